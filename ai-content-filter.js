@@ -81,77 +81,7 @@ function postProcessContent(content) {
 }
 
 /**
- * Validate if content is worth archiving using AI
- */
-async function validateContentQuality(content, title, url) {
-  if (!genAI) {
-    console.warn('Gemini API key not configured for content quality validation')
-    return { shouldArchive: true, reason: 'No AI validation available' }
-  }
-
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' })
-
-    const prompt = `You are a content quality assessor. Determine if this web content should be archived based on its value and quality.
-
-URL: ${url}
-Title: ${title}
-
-Content to evaluate:
-${content.substring(0, 2000)}${content.length > 2000 ? '...' : ''}
-
-REJECT content if it contains:
-- "404", "Page Not Found", "Not Found" messages
-- "This page doesn't exist" or similar error messages
-- Dead/broken link redirects (bit.ly, t.co redirects to error pages)
-- Primarily navigation menus, footers, or website chrome
-- Login/signup pages without substantial content
-- Empty or near-empty pages
-- Cookie notices, privacy policy pages without content
-- "Access Denied", "Forbidden", "Unauthorized" messages
-- Spam, advertising-only content
-- Error pages, maintenance pages
-- Pages that are just redirects or link aggregators
-- Social media error pages ("This tweet is unavailable")
-
-ACCEPT content if it contains:
-- Articles, blog posts, news stories
-- Educational or informational content
-- Documentation, tutorials, guides
-- Research papers, case studies
-- Product information with substantial detail
-- Forums discussions with meaningful content
-- Books, essays, opinion pieces
-
-Respond with JSON only:
-{
-  "shouldArchive": true/false,
-  "reason": "Brief explanation",
-  "confidence": 0.0-1.0
-}`
-
-    const result = await model.generateContent(prompt)
-    const response = await result.response
-    let responseText = response.text().trim()
-
-    // Clean up JSON response
-    responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?$/g, '').trim()
-
-    const validation = JSON.parse(responseText)
-
-    console.log(`Content quality validation for ${url}: ${validation.shouldArchive ? 'ACCEPT' : 'REJECT'} - ${validation.reason}`)
-
-    return validation
-
-  } catch (error) {
-    console.error('Content quality validation error:', error)
-    // On error, default to accepting content to avoid false negatives
-    return { shouldArchive: true, reason: 'Validation error, defaulting to accept', confidence: 0.5 }
-  }
-}
-
-/**
- * Enhanced content extraction with AI filtering and quality validation
+ * Enhanced content extraction with AI filtering
  */
 async function enhancedContentExtraction(firecrawlResult, url) {
   if (!firecrawlResult || !firecrawlResult.markdown) {
@@ -159,18 +89,8 @@ async function enhancedContentExtraction(firecrawlResult, url) {
   }
 
   try {
-    // First, validate if this content should be archived at all
-    const validation = await validateContentQuality(
-      firecrawlResult.markdown,
-      firecrawlResult.title || '',
-      url
-    )
-
-    if (!validation.shouldArchive) {
-      console.log(`🚫 Content rejected: ${validation.reason}`)
-      throw new Error(`Content rejected: ${validation.reason}`)
-    }
-
+    // Whether the page is worth keeping at all is up to the quality gate
+    // (quality-gate.js); this only cleans the content up.
     // Apply AI filtering to extract main content
     const aiFilteredMarkdown = await extractMainContent(firecrawlResult.markdown, url)
 
@@ -186,15 +106,7 @@ async function enhancedContentExtraction(firecrawlResult, url) {
       .replace(/\n+/g, ' ') // Replace newlines with spaces
       .trim()
 
-    // Additional quality checks on the final content
-    if (plainText.length < 50) {
-      throw new Error('Content too short after filtering')
-    }
-
     const wordCount = plainText.split(/\s+/).filter(word => word.length > 0).length
-    if (wordCount < 10) {
-      throw new Error('Content has too few meaningful words')
-    }
 
     // Update the result with filtered content
     return {
@@ -203,19 +115,17 @@ async function enhancedContentExtraction(firecrawlResult, url) {
       text: plainText,
       wordCount: wordCount,
       readingTime: Math.ceil(wordCount / 200),
-      aiFiltered: true,
-      qualityValidation: validation
+      aiFiltered: true
     }
 
   } catch (error) {
     console.error('Enhanced content extraction error:', error)
-    throw error // Re-throw to prevent archiving of rejected content
+    throw error // Re-throw so the pipeline falls back to the next extractor
   }
 }
 
 module.exports = {
   extractMainContent,
   postProcessContent,
-  enhancedContentExtraction,
-  validateContentQuality
+  enhancedContentExtraction
 }
\ No newline at end of file
@@ -0,0 +1,219 @@
+const crypto = require('crypto')
+
+// Personal API tokens are stored hashed in the `api_tokens` table:
+// id, user_id, name, token_hash, token_prefix, scopes, created_at, last_used_at, revoked_at
+const TOKEN_PREFIX = 'pants_'
+
+const API_TOKEN_SCOPES = ['archive:write', 'search:read', 'export:read']
+
+// View tokens open one archive in the page viewer, which is a plain link and
+// so has to carry its token in the query string. They are signed rather than
+// stored and expire after VIEW_TOKEN_TTL_SECONDS. Without VIEW_TOKEN_SECRET
+// each process signs with its own random key.
+const VIEW_TOKEN_PREFIX = 'pantsview_'
+const VIEW_TOKEN_TTL_MS = (parseInt(process.env.VIEW_TOKEN_TTL_SECONDS) || 300) * 1000
+const viewTokenSecret = process.env.VIEW_TOKEN_SECRET || crypto.randomBytes(32).toString('hex')
+
+/**
+ * Hash a raw token for storage and lookup
+ */
+function hashToken(rawToken) {
+  return crypto
+    .createHash('sha256')
+    .update(rawToken)
+    .digest('hex')
+}
+
+/**
+ * Check whether a bearer token looks like a personal API token
+ */
+function isApiToken(rawToken) {
+  return typeof rawToken === 'string' && rawToken.startsWith(TOKEN_PREFIX)
+}
+
+/**
+ * Create a new token. The raw value is only ever returned here.
+ */
+async function createApiToken(supabase, userId, { name, scopes }) {
+  const tokenScopes = [...new Set(scopes)].filter(scope => API_TOKEN_SCOPES.includes(scope))
+  const rawToken = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url')
+
+  const { data, error } = await supabase
+    .from('api_tokens')
+    .insert({
+      user_id: userId,
+      name: String(name || 'Untitled token').slice(0, 100),
+      token_hash: hashToken(rawToken),
+      token_prefix: rawToken.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: tokenScopes
+    })
+    .select('id, name, token_prefix, scopes, created_at, last_used_at')
+    .single()
+
+  if (error) throw error
+
+  return { ...data, token: rawToken }
+}
+
+/**
+ * List a user's active tokens (never includes the hash)
+ */
+async function listApiTokens(supabase, userId) {
+  const { data, error } = await supabase
+    .from('api_tokens')
+    .select('id, name, token_prefix, scopes, created_at, last_used_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+
+  return data || []
+}
+
+/**
+ * Rename one of the user's tokens
+ */
+async function renameApiToken(supabase, userId, tokenId, name) {
+  const { data, error } = await supabase
+    .from('api_tokens')
+    .update({ name: name.slice(0, 100) })
+    .eq('id', tokenId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id, name, token_prefix, scopes, created_at, last_used_at')
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+
+  return data || null
+}
+
+/**
+ * Revoke one of the user's tokens
+ */
+async function revokeApiToken(supabase, userId, tokenId) {
+  const { data, error } = await supabase
+    .from('api_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', tokenId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id')
+
+  if (error) throw error
+
+  return (data || []).length > 0
+}
+
+/**
+ * Resolve a raw token to its owner and scopes, recording when it was used
+ */
+async function verifyApiToken(supabase, rawToken) {
+  if (!isApiToken(rawToken)) {
+    return null
+  }
+
+  const { data: token, error } = await supabase
+    .from('api_tokens')
+    .select('id, user_id, scopes')
+    .eq('token_hash', hashToken(rawToken))
+    .is('revoked_at', null)
+    .single()
+
+  if (error || !token) {
+    return null
+  }
+
+  // Usage tracking shouldn't block the request
+  supabase
+    .from('api_tokens')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', token.id)
+    .then(({ error: updateError }) => {
+      if (updateError) console.error('Error recording API token usage:', updateError)
+    })
+    .catch(updateError => {
+      console.error('Error recording API token usage:', updateError)
+    })
+
+  return {
+    tokenId: token.id,
+    userId: token.user_id,
+    scopes: token.scopes || []
+  }
+}
+
+/**
+ * Sign the payload of a view token
+ */
+function signViewToken(payload) {
+  return crypto
+    .createHmac('sha256', viewTokenSecret)
+    .update(payload)
+    .digest('base64url')
+}
+
+/**
+ * Check whether a token looks like an archive view token
+ */
+function isViewToken(rawToken) {
+  return typeof rawToken === 'string' && rawToken.startsWith(VIEW_TOKEN_PREFIX)
+}
+
+/**
+ * Create a view token for one of the user's archives
+ */
+function createViewToken(userId, archiveId, now = Date.now()) {
+  const expiresAt = now + VIEW_TOKEN_TTL_MS
+  const payload = Buffer.from(JSON.stringify({ u: userId, a: archiveId, e: expiresAt })).toString('base64url')
+
+  return {
+    token: `${VIEW_TOKEN_PREFIX}${payload}.${signViewToken(payload)}`,
+    expires_at: new Date(expiresAt).toISOString()
+  }
+}
+
+/**
+ * Resolve a view token to its owner if it is genuine, unexpired and for
+ * `archiveId`; null otherwise
+ */
+function verifyViewToken(rawToken, archiveId, now = Date.now()) {
+  if (!isViewToken(rawToken)) {
+    return null
+  }
+
+  const [payload, signature = ''] = rawToken.slice(VIEW_TOKEN_PREFIX.length).split('.')
+  const expected = signViewToken(payload)
+  if (signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null
+  }
+
+  let claims
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+
+  if (claims.a !== archiveId || !(claims.e > now)) {
+    return null
+  }
+
+  return { userId: claims.u }
+}
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  hashToken,
+  isApiToken,
+  createApiToken,
+  listApiTokens,
+  renameApiToken,
+  revokeApiToken,
+  verifyApiToken,
+  isViewToken,
+  createViewToken,
+  verifyViewToken
+}
@@ -0,0 +1,200 @@
+const cheerio = require('cheerio')
+
+// Served with every archived page. `sandbox` without allow-scripts or
+// allow-same-origin gives the document an opaque origin, so nothing in a saved
+// page can run or act with the API origin's privileges. Self-contained archives
+// carry their assets inline, so the page may not load anything from the network.
+const ARCHIVE_VIEW_CSP = [
+  "default-src 'none'",
+  'img-src data:',
+  'media-src data:',
+  "style-src 'unsafe-inline' data:",
+  'font-src data:',
+  "form-action 'none'",
+  "base-uri 'none'",
+  'sandbox allow-popups allow-popups-to-escape-sandbox'
+].join('; ')
+
+// Archives captured before assets were inlined still reference the live site
+const LEGACY_ARCHIVE_VIEW_CSP = [
+  "default-src 'none'",
+  'img-src http: https: data:',
+  'media-src http: https: data:',
+  "style-src 'unsafe-inline' http: https: data:",
+  'font-src http: https: data:',
+  "form-action 'none'",
+  "base-uri 'none'",
+  'sandbox allow-popups allow-popups-to-escape-sandbox'
+].join('; ')
+
+// Elements that can execute code, embed other browsing contexts or change
+// how the document is interpreted
+const REMOVED_ELEMENTS = [
+  'script',
+  'noscript',
+  'iframe',
+  'frame',
+  'frameset',
+  'object',
+  'embed',
+  'applet',
+  'portal',
+  'base',
+  'meta[http-equiv]'
+].join(', ')
+
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'cite', 'background', 'action', 'formaction', 'xlink:href', 'data']
+
+const UNSAFE_URL_PATTERN = /^\s*(javascript|vbscript|data:text\/html|data:image\/svg\+xml)/i
+
+// Inlined SVG images are fine where they can only be rendered as images
+const UNSAFE_IMAGE_URL_PATTERN = /^\s*(javascript|vbscript|data:text\/html)/i
+const IMAGE_URL_ATTRIBUTES = ['src', 'poster', 'background']
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Resolve a possibly-relative URL against the original page
+ */
+function absolutizeUrl(value, baseUrl) {
+  const trimmed = value.trim()
+  if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('data:')) {
+    return trimmed
+  }
+
+  try {
+    return new URL(trimmed, baseUrl).href
+  } catch {
+    return trimmed
+  }
+}
+
+/**
+ * Rewrite every url(...) and @import target in a block of CSS
+ */
+function rewriteCssUrls(css, baseUrl) {
+  return css
+    .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
+      if (UNSAFE_IMAGE_URL_PATTERN.test(url)) return 'url()'
+      return `url(${quote}${absolutizeUrl(url, baseUrl)}${quote})`
+    })
+    .replace(/@import\s+(['"])([^'"]+)\1/gi, (match, quote, url) => {
+      return `@import ${quote}${absolutizeUrl(url, baseUrl)}${quote}`
+    })
+}
+
+/**
+ * Rewrite a srcset attribute's candidate URLs
+ */
+function rewriteSrcset(srcset, baseUrl) {
+  return srcset
+    .split(',')
+    .map(candidate => {
+      const [url, ...descriptors] = candidate.trim().split(/\s+/)
+      if (!url || UNSAFE_IMAGE_URL_PATTERN.test(url)) return null
+      return [absolutizeUrl(url, baseUrl), ...descriptors].join(' ')
+    })
+    .filter(Boolean)
+    .join(', ')
+}
+
+/**
+ * Strip scripts, event handlers and forms from archived HTML and rewrite
+ * relative resource URLs against the original page
+ */
+function sanitizeArchivedHtml(html, baseUrl) {
+  const $ = cheerio.load(html || '')
+
+  $(REMOVED_ELEMENTS).remove()
+
+  $('*').each((i, element) => {
+    const attributes = element.attribs || {}
+
+    for (const name of Object.keys(attributes)) {
+      const lowerName = name.toLowerCase()
+      const value = attributes[name]
+
+      if (lowerName.startsWith('on')) {
+        $(element).removeAttr(name)
+      } else if (URL_ATTRIBUTES.includes(lowerName)) {
+        const unsafePattern = IMAGE_URL_ATTRIBUTES.includes(lowerName) && element.name !== 'a'
+          ? UNSAFE_IMAGE_URL_PATTERN
+          : UNSAFE_URL_PATTERN
+        if (unsafePattern.test(value)) {
+          $(element).removeAttr(name)
+        } else {
+          $(element).attr(name, absolutizeUrl(value, baseUrl))
+        }
+      } else if (lowerName === 'srcset' || lowerName === 'imagesrcset') {
+        $(element).attr(name, rewriteSrcset(value, baseUrl))
+      } else if (lowerName === 'style') {
+        $(element).attr(name, rewriteCssUrls(value, baseUrl))
+      }
+    }
+  })
+
+  $('style').each((i, element) => {
+    $(element).text(rewriteCssUrls($(element).text(), baseUrl))
+  })
+
+  // Links open the live page in a new tab, never inside the sandbox
+  $('a[href]').attr('target', '_blank').attr('rel', 'noopener noreferrer')
+
+  // Forms stay visible but can't be used
+  $('form').removeAttr('action').removeAttr('method')
+  $('input, button, select, textarea').attr('disabled', 'disabled')
+
+  return $
+}
+
+/**
+ * Content-Security-Policy for viewing an archive: network access only for
+ * archives without an asset manifest (captured before inlining)
+ */
+function archiveViewCsp(archive) {
+  return archive && archive.asset_manifest ? ARCHIVE_VIEW_CSP : LEGACY_ARCHIVE_VIEW_CSP
+}
+
+/**
+ * Render an archive as a standalone, sanitized HTML document with a banner
+ */
+function renderArchiveView(archive) {
+  const $ = sanitizeArchivedHtml(archive.archived_html, archive.url)
+
+  const originalUrl = /^https?:\/\//i.test(archive.url || '') ? archive.url : ''
+  const banner = `
+    <div style="position: fixed; top: 0; left: 0; right: 0; background: #f59e0b; color: white; padding: 10px; text-align: center; z-index: 10000; font-family: system-ui;">
+      📚 Archived Page - Original: <a href="${escapeHtml(originalUrl)}" target="_blank" rel="noopener noreferrer" style="color: white; text-decoration: underline;">${escapeHtml(archive.url)}</a>
+    </div>
+    <div style="height: 50px;"></div>
+  `
+
+  if (!$('head meta[charset]').length) {
+    $('head').prepend('<meta charset="utf-8">')
+  }
+  if (!$('head title').length && archive.title) {
+    $('head').append(`<title>${escapeHtml(archive.title)}</title>`)
+  }
+  $('body').prepend(banner)
+
+  const output = $.html()
+  return /^\s*<!doctype/i.test(output) ? output : '<!DOCTYPE html>\n' + output
+}
+
+module.exports = {
+  ARCHIVE_VIEW_CSP,
+  archiveViewCsp,
+  escapeHtml,
+  sanitizeArchivedHtml,
+  renderArchiveView
+}
@@ -0,0 +1,309 @@
+const crypto = require('crypto')
+const { markdownToText } = require('./html-to-markdown')
+const { diffLines, formatUnifiedDiff } = require('./text-diff')
+
+// Archive versions. Every capture of an archive is kept in `archive_versions`
+// (id, archive_id, user_id, version_number, content_hash, created_at, plus
+// the captured columns below; archive_id cascades on delete). The `archives`
+// row holds a copy of the active version, so search, embeddings and every
+// other reader keep working off `archives`; `active_version_id` and
+// `version_count` track which version that is.
+//
+// Version 1 is written when the archive is stored. (archive_id,
+// version_number) is unique, so two captures racing for the same number
+// can't both get it; the loser retries with the next one. Archives saved
+// before versioning have no stored versions until they're re-captured, and
+// read as a single version 1 built from the archive row.
+
+// Columns that belong to a capture rather than to the archive itself
+const VERSIONED_COLUMNS = [
+  'title', 'description', 'archived_html', 'archived_text', 'archived_markdown', 'content_html', 'charset',
+  'content_type', 'document_metadata', 'original_file_url',
+  'selected_text', 'extraction_method', 'extraction_attempts', 'asset_manifest', 'capture_record',
+  'word_count', 'reading_time', 'screenshot_url', 'author', 'published_at', 'modified_at', 'site_name',
+  'language', 'favicon_url', 'lead_image_url', 'declared_canonical_url', 'structured_metadata'
+]
+
+// Listing columns (no page content)
+const VERSION_SUMMARY_COLUMNS = 'id, archive_id, version_number, title, word_count, extraction_method, content_hash, created_at'
+
+// Tries at a version number before giving up, when other captures keep taking it
+const MAX_VERSION_ATTEMPTS = 5
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505'
+
+/**
+ * Hash of a capture's readable content, used to skip identical re-captures
+ */
+function contentHash(row) {
+  return crypto.createHash('sha256').update(row.archived_text || '').digest('hex')
+}
+
+/**
+ * Pick the versioned columns out of an archive row or archive record
+ */
+function versionedColumns(row) {
+  const columns = {}
+  for (const column of VERSIONED_COLUMNS) {
+    if (row[column] !== undefined) columns[column] = row[column]
+  }
+  return columns
+}
+
+/**
+ * Version 1 as read from an archive that has no stored versions (saved
+ * before versioning). It has no id until a write stores it.
+ */
+function legacyVersion(archive) {
+  return {
+    id: null,
+    archive_id: archive.id,
+    user_id: archive.user_id,
+    version_number: 1,
+    content_hash: contentHash(archive),
+    created_at: archive.created_at,
+    ...versionedColumns(archive)
+  }
+}
+
+/**
+ * The archive's newest stored version (summary columns); null if it has none
+ */
+async function latestArchiveVersion(supabase, archiveId) {
+  const { data, error } = await supabase
+    .from('archive_versions')
+    .select(VERSION_SUMMARY_COLUMNS)
+    .eq('archive_id', archiveId)
+    .order('version_number', { ascending: false })
+    .limit(1)
+
+  if (error) throw error
+  return data && data.length > 0 ? data[0] : null
+}
+
+/**
+ * Store a new archive row as its version 1 and make it the active one.
+ * Failures are logged rather than thrown, so they can't fail the capture
+ * that stored the archive; the archive then reads as a legacy version 1.
+ * Resolves to the version, or null.
+ */
+async function createInitialVersion(supabase, archive) {
+  try {
+    return await ensureInitialVersion(supabase, archive)
+  } catch (error) {
+    console.error(`Failed to store version 1 of archive ${archive.id}:`, error)
+    return null
+  }
+}
+
+/**
+ * Make sure an archive has its original capture stored as version 1.
+ * Resolves to the latest version.
+ */
+async function ensureInitialVersion(supabase, archive) {
+  const latest = await latestArchiveVersion(supabase, archive.id)
+  if (latest) return latest
+
+  const { data: version, error: insertError } = await supabase
+    .from('archive_versions')
+    .insert({
+      archive_id: archive.id,
+      user_id: archive.user_id,
+      version_number: 1,
+      content_hash: contentHash(archive),
+      created_at: archive.created_at,
+      ...versionedColumns(archive)
+    })
+    .select(VERSION_SUMMARY_COLUMNS)
+    .single()
+
+  // Another capture stored it first
+  if (insertError && insertError.code === UNIQUE_VIOLATION) {
+    return latestArchiveVersion(supabase, archive.id)
+  }
+  if (insertError) throw insertError
+
+  const { error: updateError } = await supabase
+    .from('archives')
+    .update({ active_version_id: version.id, version_count: 1 })
+    .eq('id', archive.id)
+    .is('active_version_id', null)
+
+  if (updateError) throw updateError
+
+  return version
+}
+
+/**
+ * Store a new capture of an archive as its next version.
+ *
+ * `record` is an archives row built by buildArchiveRecord. Captures whose text
+ * is identical to the latest version aren't stored again. With `activate`
+ * (the default) the new version also becomes the one the archive serves.
+ * Resolves to { version, changed, activated, archive }.
+ */
+async function addArchiveVersion(supabase, archive, record, options = {}) {
+  const { activate = true } = options
+  const hash = contentHash(record)
+
+  let version
+  for (let attempt = 1; !version; attempt++) {
+    const latest = await ensureInitialVersion(supabase, archive)
+    if (latest.content_hash === hash) {
+      return { version: latest, changed: false, activated: false, archive }
+    }
+
+    const { data, error } = await supabase
+      .from('archive_versions')
+      .insert({
+        archive_id: archive.id,
+        user_id: archive.user_id,
+        version_number: latest.version_number + 1,
+        content_hash: hash,
+        ...versionedColumns(record)
+      })
+      .select(VERSION_SUMMARY_COLUMNS)
+      .single()
+
+    if (error && (error.code !== UNIQUE_VIOLATION || attempt >= MAX_VERSION_ATTEMPTS)) throw error
+    version = data
+  }
+
+  // Only ever raise the count, whichever capture finishes first
+  const { error: countError } = await supabase
+    .from('archives')
+    .update({ version_count: version.version_number })
+    .eq('id', archive.id)
+    .lt('version_count', version.version_number)
+
+  if (countError) throw countError
+
+  const update = { updated_at: new Date().toISOString() }
+  if (activate) {
+    Object.assign(update, versionedColumns(record), { active_version_id: version.id })
+  }
+
+  const { data: updatedArchive, error: updateError } = await supabase
+    .from('archives')
+    .update(update)
+    .eq('id', archive.id)
+    .select()
+    .single()
+
+  if (updateError) throw updateError
+
+  return { version, changed: true, activated: activate, archive: updatedArchive }
+}
+
+/**
+ * List an archive's versions, newest first, without their content
+ */
+async function listArchiveVersions(supabase, archive) {
+  const { data, error } = await supabase
+    .from('archive_versions')
+    .select(VERSION_SUMMARY_COLUMNS)
+    .eq('archive_id', archive.id)
+    .order('version_number', { ascending: false })
+
+  if (error) throw error
+
+  if (!data || data.length === 0) {
+    const { id, archive_id, version_number, title, word_count, extraction_method, content_hash, created_at } = legacyVersion(archive)
+    return [{ id, archive_id, version_number, title, word_count, extraction_method, content_hash, created_at, active: true }]
+  }
+
+  return data.map(version => ({ ...version, active: version.id === archive.active_version_id }))
+}
+
+/**
+ * Get one version with its content; null if it doesn't exist
+ */
+async function getArchiveVersion(supabase, archive, versionNumber) {
+  const { data, error } = await supabase
+    .from('archive_versions')
+    .select('*')
+    .eq('archive_id', archive.id)
+    .eq('version_number', versionNumber)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+  if (data) return data
+
+  // Version 1 is always stored first, so without it there are none
+  return versionNumber === 1 && !(await latestArchiveVersion(supabase, archive.id)) ? legacyVersion(archive) : null
+}
+
+/**
+ * Make an existing version the one the archive serves (and search indexes).
+ * Resolves to the updated archive row.
+ */
+async function setActiveArchiveVersion(supabase, archive, version) {
+  // A legacy version 1 is stored before it can be pointed at
+  if (!version.id) {
+    version = { ...version, ...(await ensureInitialVersion(supabase, archive)) }
+  }
+
+  const { data, error } = await supabase
+    .from('archives')
+    .update({
+      ...versionedColumns(version),
+      active_version_id: version.id,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', archive.id)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Lines compared in a diff: markdown as stored, or plain text with one
+ * paragraph per line (archived_text is a single collapsed line)
+ */
+function diffableContent(version, format) {
+  if (format === 'markdown') {
+    return version.archived_markdown || version.archived_text || ''
+  }
+
+  if (version.archived_markdown) {
+    return version.archived_markdown
+      .split(/\n{2,}/)
+      .map(block => markdownToText(block))
+      .filter(Boolean)
+      .join('\n')
+  }
+  return (version.archived_text || '').split(/(?<=[.!?])\s+/).join('\n')
+}
+
+/**
+ * Diff two versions as `text` or `markdown`.
+ * Returns { from, to, format, added, removed, approximate, diff }.
+ */
+function diffArchiveVersions(fromVersion, toVersion, format = 'markdown') {
+  const result = diffLines(diffableContent(fromVersion, format), diffableContent(toVersion, format))
+
+  return {
+    from: fromVersion.version_number,
+    to: toVersion.version_number,
+    format,
+    added: result.added,
+    removed: result.removed,
+    approximate: result.approximate,
+    diff: formatUnifiedDiff(result.operations, {
+      fromLabel: `version ${fromVersion.version_number} (${fromVersion.created_at})`,
+      toLabel: `version ${toVersion.version_number} (${toVersion.created_at})`
+    })
+  }
+}
+
+module.exports = {
+  createInitialVersion,
+  addArchiveVersion,
+  listArchiveVersions,
+  getArchiveVersion,
+  setActiveArchiveVersion,
+  diffArchiveVersions
+}
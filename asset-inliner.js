@@ -0,0 +1,307 @@
+const crypto = require('crypto')
+const cheerio = require('cheerio')
+const { safeFetch } = require('./safe-fetch')
+const { decodeBody } = require('./charset')
+
+// Per-archive asset budget; anything over budget is left out of the snapshot
+const DEFAULT_ASSET_BUDGET = {
+  maxTotalBytes: parseInt(process.env.ASSET_BUDGET_BYTES) || 20 * 1024 * 1024, // 20MB
+  maxAssetBytes: 5 * 1024 * 1024, // 5MB
+  maxAssets: parseInt(process.env.ASSET_BUDGET_COUNT) || 150,
+  timeoutMs: 60000,
+  concurrency: 4
+}
+
+const MAX_CSS_IMPORT_DEPTH = 3
+
+const EXTENSION_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+  bmp: 'image/bmp',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  eot: 'application/vnd.ms-fontobject',
+  css: 'text/css'
+}
+
+/**
+ * Work out an asset's MIME type from its response headers, falling back to
+ * the URL's extension for servers that send application/octet-stream
+ */
+function resolveContentType(headerValue, url) {
+  const headerType = (headerValue || '').split(';')[0].trim().toLowerCase()
+  if (headerType && headerType !== 'application/octet-stream') {
+    return headerType
+  }
+
+  const extension = (new URL(url).pathname.match(/\.([a-z0-9]+)$/i) || [])[1]
+  return EXTENSION_TYPES[(extension || '').toLowerCase()] || headerType || 'application/octet-stream'
+}
+
+/**
+ * Only images, fonts and stylesheets are inlined; never scripts or documents
+ */
+function isInlinableType(contentType, kind) {
+  if (kind === 'css') return contentType === 'text/css'
+  return contentType.startsWith('image/') ||
+    contentType.startsWith('font/') ||
+    contentType.includes('font') ||
+    contentType === 'application/vnd.ms-fontobject'
+}
+
+/**
+ * Create a fetcher that enforces the budget and remembers every asset it saw.
+ * `budget.fetch` replaces safeFetch, e.g. to read assets out of a WARC file.
+ */
+function createAssetFetcher(budget) {
+  const fetchFn = budget.fetch || safeFetch
+  const startedAt = Date.now()
+  const cache = new Map()
+  const manifest = []
+  let totalBytes = 0
+
+  function record(entry) {
+    manifest.push(entry)
+    return entry
+  }
+
+  async function fetchAsset(url, kind) {
+    if (cache.has(url)) return cache.get(url)
+
+    const request = (async () => {
+      if (manifest.filter(entry => entry.status === 'inlined').length >= budget.maxAssets) {
+        return record({ url, status: 'skipped', reason: 'asset count budget exceeded' })
+      }
+
+      const remainingTime = budget.timeoutMs - (Date.now() - startedAt)
+      if (remainingTime <= 0) {
+        return record({ url, status: 'skipped', reason: 'time budget exceeded' })
+      }
+
+      try {
+        const response = await fetchFn(url, {
+          maxBytes: budget.maxAssetBytes,
+          timeout: Math.min(remainingTime, 20000)
+        })
+
+        if (!response.ok) {
+          return record({ url, status: 'failed', reason: `HTTP ${response.status}` })
+        }
+
+        const contentType = resolveContentType(response.headers['content-type'], response.url)
+        if (!isInlinableType(contentType, kind)) {
+          return record({ url, status: 'skipped', reason: `unsupported content type ${contentType}` })
+        }
+
+        if (totalBytes + response.body.length > budget.maxTotalBytes) {
+          return record({ url, status: 'skipped', reason: 'size budget exceeded', bytes: response.body.length })
+        }
+
+        totalBytes += response.body.length
+
+        return record({
+          url,
+          finalUrl: response.url,
+          status: 'inlined',
+          contentType,
+          bytes: response.body.length,
+          sha256: crypto.createHash('sha256').update(response.body).digest('hex'),
+          body: response.body,
+          // Stylesheets are inlined as text, so they need decoding first
+          text: kind === 'css' ? decodeBody(response.body, response.headers['content-type'], 'css').text : undefined
+        })
+      } catch (error) {
+        return record({ url, status: 'failed', reason: error.code || error.message })
+      }
+    })()
+
+    cache.set(url, request)
+    return request
+  }
+
+  return {
+    fetchAsset,
+    getManifest: () => manifest.map(({ body, text, ...entry }) => entry),
+    getTotalBytes: () => totalBytes
+  }
+}
+
+/**
+ * Run async tasks with a concurrency limit
+ */
+async function runWithConcurrency(tasks, concurrency) {
+  let index = 0
+  const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, async () => {
+    while (index < tasks.length) {
+      const task = tasks[index++]
+      await task()
+    }
+  })
+  await Promise.all(workers)
+}
+
+/**
+ * Resolve a reference against a base URL, ignoring data: and fragment-only refs
+ */
+function resolveAssetUrl(value, baseUrl) {
+  const trimmed = (value || '').trim()
+  if (!trimmed || trimmed.startsWith('data:') || trimmed.startsWith('#')) return null
+
+  try {
+    const resolved = new URL(trimmed, baseUrl)
+    return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Encode a fetched asset as a data: URI
+ */
+function toDataUri(asset) {
+  return `data:${asset.contentType};base64,${asset.body.toString('base64')}`
+}
+
+/**
+ * Inline every url() and @import in a stylesheet
+ */
+async function inlineCss(css, cssUrl, fetcher, depth = 0) {
+  const references = new Set()
+  css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
+    const resolved = resolveAssetUrl(url, cssUrl)
+    if (resolved) references.add(resolved)
+    return match
+  })
+
+  const imports = []
+  css.replace(/@import\s+(?:url\(\s*)?(['"])([^'"]+)\1\s*\)?([^;]*);/gi, (match, quote, url, media) => {
+    const resolved = resolveAssetUrl(url, cssUrl)
+    if (resolved) imports.push({ match, url: resolved, media: media.trim() })
+    return match
+  })
+
+  // Nested stylesheets are inlined in place, media queries preserved
+  for (const cssImport of imports) {
+    if (depth >= MAX_CSS_IMPORT_DEPTH) break
+    const asset = await fetcher.fetchAsset(cssImport.url, 'css')
+    if (asset.status !== 'inlined') continue
+
+    const nested = await inlineCss(asset.text, asset.finalUrl, fetcher, depth + 1)
+    const replacement = cssImport.media ? `@media ${cssImport.media} {\n${nested}\n}` : nested
+    css = css.replace(cssImport.match, () => replacement)
+    references.delete(cssImport.url)
+  }
+
+  const assets = new Map()
+  await Promise.all([...references].map(async url => {
+    assets.set(url, await fetcher.fetchAsset(url, 'asset'))
+  }))
+
+  return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
+    const asset = assets.get(resolveAssetUrl(url, cssUrl))
+    return asset && asset.status === 'inlined' ? `url("${toDataUri(asset)}")` : match
+  })
+}
+
+/**
+ * Turn a captured page into a self-contained snapshot: stylesheets, images
+ * and fonts are fetched (through the SSRF-safe layer) and inlined as data:
+ * URIs, within the per-archive budget. Resolves to { html, manifest, totalBytes }
+ * where `manifest` lists every asset with its content hash or why it was skipped.
+ */
+async function inlineAssets(html, baseUrl, budgetOverrides = {}) {
+  const budget = { ...DEFAULT_ASSET_BUDGET, ...budgetOverrides }
+  const fetcher = createAssetFetcher(budget)
+  const $ = cheerio.load(html || '')
+  const tasks = []
+
+  // Scripts never run in the archive viewer, so there's nothing to keep
+  $('script, link[rel~="preload"], link[rel~="prefetch"], link[rel~="modulepreload"]').remove()
+
+  $('link[rel~="stylesheet"][href]').each((i, element) => {
+    const link = $(element)
+    const url = resolveAssetUrl(link.attr('href'), baseUrl)
+    if (!url) return
+
+    tasks.push(async () => {
+      const asset = await fetcher.fetchAsset(url, 'css')
+      if (asset.status !== 'inlined') return
+
+      const css = await inlineCss(asset.text, asset.finalUrl, fetcher)
+      const style = $('<style></style>').attr('data-href', url).text(css)
+      if (link.attr('media')) style.attr('media', link.attr('media'))
+      link.replaceWith(style)
+    })
+  })
+
+  $('style').each((i, element) => {
+    tasks.push(async () => {
+      $(element).text(await inlineCss($(element).text(), baseUrl, fetcher))
+    })
+  })
+
+  $('[style]').each((i, element) => {
+    const style = $(element).attr('style')
+    if (!/url\(/i.test(style)) return
+    tasks.push(async () => {
+      $(element).attr('style', await inlineCss(style, baseUrl, fetcher))
+    })
+  })
+
+  // Responsive images: keep a single inlined source
+  $('picture source[srcset]').remove()
+  $('img').each((i, element) => {
+    const image = $(element)
+    let source = image.attr('src')
+    if (!source || source.startsWith('data:')) {
+      source = image.attr('data-src') || (image.attr('srcset') || '').split(',')[0].trim().split(/\s+/)[0] || source
+    }
+
+    const url = resolveAssetUrl(source, baseUrl)
+    if (!url) return
+
+    tasks.push(async () => {
+      const asset = await fetcher.fetchAsset(url, 'asset')
+      if (asset.status !== 'inlined') return
+      image.attr('src', toDataUri(asset))
+      image.removeAttr('srcset').removeAttr('data-src').removeAttr('data-srcset').removeAttr('loading')
+    })
+  })
+
+  const singleUrlAttributes = [
+    ['video[poster]', 'poster'],
+    ['input[type="image"][src]', 'src'],
+    ['link[rel~="icon"][href]', 'href']
+  ]
+  for (const [selector, attribute] of singleUrlAttributes) {
+    $(selector).each((i, element) => {
+      const url = resolveAssetUrl($(element).attr(attribute), baseUrl)
+      if (!url) return
+      tasks.push(async () => {
+        const asset = await fetcher.fetchAsset(url, 'asset')
+        if (asset.status === 'inlined') $(element).attr(attribute, toDataUri(asset))
+      })
+    })
+  }
+
+  await runWithConcurrency(tasks, budget.concurrency)
+
+  return {
+    html: $.html(),
+    manifest: fetcher.getManifest(),
+    totalBytes: fetcher.getTotalBytes()
+  }
+}
+
+module.exports = {
+  DEFAULT_ASSET_BUDGET,
+  inlineAssets
+}
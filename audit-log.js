@@ -0,0 +1,120 @@
+// Audit entries live in the append-only `audit_log` table:
+// id, actor_id, actor_type, action, target_user_id, target_type, target_id,
+// before, after, request_id, metadata, created_at
+// Nothing in the API updates or deletes rows; the table only grants INSERT/SELECT.
+
+const MAX_QUERY_LIMIT = 200
+
+/**
+ * Record an audit event. Failures are logged rather than thrown so that
+ * auditing never breaks the action being audited.
+ */
+async function recordAuditEvent(supabase, event) {
+  const {
+    actorId = null,
+    actorType = 'user',
+    action,
+    targetUserId = null,
+    targetType = null,
+    targetId = null,
+    before = null,
+    after = null,
+    requestId = null,
+    metadata = {}
+  } = event
+
+  try {
+    const { error } = await supabase
+      .from('audit_log')
+      .insert({
+        actor_id: actorId,
+        actor_type: actorType,
+        action,
+        target_user_id: targetUserId,
+        target_type: targetType,
+        target_id: targetId,
+        before,
+        after,
+        request_id: requestId,
+        metadata
+      })
+
+    if (error) throw error
+  } catch (error) {
+    console.error(`Error recording audit event ${action}:`, error)
+  }
+}
+
+/**
+ * Reduce an archive row to the fields worth keeping in an audit snapshot
+ * (the full HTML and text are too large to copy into every entry)
+ */
+function archiveSnapshot(archive) {
+  if (!archive) return null
+
+  return {
+    id: archive.id,
+    url: archive.url,
+    title: archive.title,
+    description: archive.description,
+    tags: archive.tags,
+    extraction_method: archive.extraction_method,
+    created_at: archive.created_at
+  }
+}
+
+/**
+ * Query audit entries. `action` may end in `.*` to match a whole family
+ * (e.g. `archive.*`); `from` and `to` bound `created_at`.
+ */
+async function queryAuditLog(supabase, filters = {}) {
+  const {
+    targetUserId,
+    actorId,
+    action,
+    targetId,
+    from,
+    to,
+    limit = 50,
+    offset = 0
+  } = filters
+
+  const pageSize = Math.min(parseInt(limit) || 50, MAX_QUERY_LIMIT)
+  const start = parseInt(offset) || 0
+
+  let query = supabase
+    .from('audit_log')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(start, start + pageSize - 1)
+
+  if (targetUserId) query = query.eq('target_user_id', targetUserId)
+  if (actorId) query = query.eq('actor_id', actorId)
+  if (targetId) query = query.eq('target_id', targetId)
+
+  if (action) {
+    query = action.endsWith('.*')
+      ? query.like('action', `${action.slice(0, -2)}.%`)
+      : query.eq('action', action)
+  }
+
+  if (from) query = query.gte('created_at', new Date(from).toISOString())
+  if (to) query = query.lte('created_at', new Date(to).toISOString())
+
+  const { data, error, count } = await query
+
+  if (error) throw error
+
+  return {
+    entries: data || [],
+    total_count: count || 0,
+    limit: pageSize,
+    offset: start
+  }
+}
+
+module.exports = {
+  recordAuditEvent,
+  archiveSnapshot,
+  queryAuditLog
+}
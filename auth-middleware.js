@@ -0,0 +1,175 @@
+const { isApiToken, verifyApiToken, isViewToken, verifyViewToken } = require('./api-tokens')
+
+/**
+ * Extract a bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null
+  }
+
+  return authHeader.substring(7).trim() || null
+}
+
+/**
+ * Collect every userId the client supplied in the path, query or body
+ */
+function getSuppliedUserIds(req) {
+  return [
+    req.params && req.params.userId,
+    req.query && req.query.userId,
+    req.body && req.body.userId
+  ].filter(userId => userId !== undefined && userId !== null && userId !== '')
+}
+
+/**
+ * Create the auth middleware factory bound to a Supabase client.
+ *
+ * The returned `requireAuth(options)` resolves the caller from the
+ * Authorization header, sets `req.user` and `req.auth`, and rejects requests
+ * whose client-supplied userId doesn't match the authenticated user.
+ *
+ * Supabase session tokens are accepted everywhere. Personal API tokens are
+ * only accepted on routes that declare a `scope` (or list of scopes), and
+ * must carry one of them.
+ *
+ * With `allowQueryToken`, a route for one archive (`:id`) also takes an
+ * `access_token` query parameter: a view token for that archive, or an API
+ * token. Session tokens are never accepted there, since URLs end up in logs
+ * and browser history.
+ */
+function createAuthMiddleware(supabase) {
+  async function authenticate(token) {
+    if (isApiToken(token)) {
+      const apiToken = await verifyApiToken(supabase, token)
+      if (!apiToken) {
+        return null
+      }
+
+      return {
+        user: { id: apiToken.userId, email: null },
+        auth: { type: 'api_token', tokenId: apiToken.tokenId, scopes: apiToken.scopes }
+      }
+    }
+
+    const { data: { user }, error } = await supabase.auth.getUser(token)
+
+    if (error || !user) {
+      return null
+    }
+
+    return {
+      user: { id: user.id, email: user.email },
+      auth: { type: 'session', scopes: null }
+    }
+  }
+
+  /**
+   * Resolve a token sent in the query string for the archive `archiveId`
+   */
+  async function authenticateQueryToken(token, archiveId) {
+    if (isViewToken(token)) {
+      const viewToken = verifyViewToken(token, archiveId)
+      return viewToken && {
+        user: { id: viewToken.userId, email: null },
+        auth: { type: 'view_token', scopes: null }
+      }
+    }
+
+    return authenticate(token)
+  }
+
+  function requireAuth(options = {}) {
+    const { allowQueryToken = false, scope = null } = options
+
+    return async (req, res, next) => {
+      try {
+        const token = getBearerToken(req)
+
+        // Plain links (e.g. the archived page viewer) can't send headers
+        const queryToken = !token && allowQueryToken && typeof req.query.access_token === 'string'
+          ? req.query.access_token
+          : null
+
+        if (!token && !queryToken) {
+          return res.status(401).json({ error: 'No valid authorization header' })
+        }
+        if (queryToken && !isViewToken(queryToken) && !isApiToken(queryToken)) {
+          return res.status(401).json({ error: 'access_token must be a view token or an API token' })
+        }
+
+        const result = queryToken
+          ? await authenticateQueryToken(queryToken, req.params.id)
+          : await authenticate(token)
+        if (!result) {
+          return res.status(401).json({ error: 'Invalid token' })
+        }
+
+        const { user, auth } = result
+
+        if (auth.type === 'api_token') {
+          if (!scope) {
+            return res.status(403).json({ error: 'API tokens cannot be used for this endpoint' })
+          }
+          const acceptedScopes = [].concat(scope)
+          if (!acceptedScopes.some(accepted => auth.scopes.includes(accepted))) {
+            return res.status(403).json({ error: `API token is missing the ${acceptedScopes.join(' or ')} scope` })
+          }
+        }
+
+        const mismatched = getSuppliedUserIds(req).some(userId => userId !== user.id)
+        if (mismatched) {
+          return res.status(403).json({ error: 'userId does not match the authenticated user' })
+        }
+
+        req.user = user
+        req.auth = auth
+        next()
+      } catch (error) {
+        console.error('Auth middleware error:', error)
+        res.status(500).json({ error: 'Internal server error' })
+      }
+    }
+  }
+
+  return requireAuth
+}
+
+/**
+ * Create the admin authorization middleware bound to a Supabase client.
+ * Must run after `requireAuth()`; checks the caller's own admin role.
+ */
+function createAdminMiddleware(supabase) {
+  return async function requireAdmin(req, res, next) {
+    try {
+      if (!req.user || req.auth?.type !== 'session') {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      const { data: profile, error } = await supabase
+        .from('user_profiles')
+        .select('is_admin')
+        .eq('id', req.user.id)
+        .single()
+
+      if (error && error.code !== 'PGRST116') throw error
+
+      if (!profile?.is_admin) {
+        return res.status(403).json({ error: 'Admin access required' })
+      }
+
+      req.user.isAdmin = true
+      next()
+    } catch (error) {
+      console.error('Admin middleware error:', error)
+      res.status(500).json({ error: 'Internal server error' })
+    }
+  }
+}
+
+module.exports = {
+  createAuthMiddleware,
+  createAdminMiddleware,
+  getBearerToken
+}
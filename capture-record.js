@@ -0,0 +1,183 @@
+// Capture records: how a page was fetched (redirect chain, final URL, status,
+// key headers, timing), stored as archives.capture_record so a wrong-looking
+// archive can be explained, and used to refuse soft-404s and login walls.
+
+// Response headers worth keeping; the rest are noise for this purpose
+const RECORDED_HEADERS = [
+  'content-type', 'content-length', 'content-language', 'content-encoding', 'content-disposition',
+  'last-modified', 'etag', 'date', 'expires', 'cache-control', 'age',
+  'server', 'x-robots-tag', 'link', 'retry-after'
+]
+
+// Statuses that mean the page is gone, whatever an extractor managed to get
+const GONE_STATUSES = [404, 410]
+
+const NOT_FOUND_TITLE = /(^|\W)(404|not found|page not found|doesn'?t exist|does not exist|no longer available|page unavailable)(\W|$)/i
+const NOT_FOUND_PATH = /\/(404|not-?found|error)(\.html?)?(\/|$)/i
+const LOGIN_PATH = /\/(login|log-in|signin|sign-in|sign_in|auth|authenticate|sso|session|sessions\/new|users\/sign_in|accounts?\/login)(\/|\?|$)/i
+const LOGIN_HOST = /^(login|auth|accounts?|sso|signin|id)\./i
+const LOGIN_PROMPT = /((sign|log) ?in|register|create (a free |an )?account|subscribe) to (continue|read|view|access)|you must be (logged|signed) in|please (log|sign) in|(login|sign in) required/i
+const PASSWORD_FIELD = /<input[^>]+type\s*=\s*["']?password/i
+
+/**
+ * Error raised when a fetched page turns out not to be the requested content
+ */
+class CaptureRejectedError extends Error {
+  constructor(message, code, captureRecord) {
+    super(message)
+    this.name = 'CaptureRejectedError'
+    this.code = code
+    this.captureRecord = captureRecord
+  }
+}
+
+/**
+ * Keep only the recorded response headers
+ */
+function pickHeaders(headers = {}) {
+  const picked = {}
+  for (const name of RECORDED_HEADERS) {
+    if (headers[name] !== undefined) picked[name] = headers[name]
+  }
+  return picked
+}
+
+/**
+ * Describe a server-side fetch (a safeFetch response or error)
+ */
+function describeFetch(url, response, error) {
+  if (!response) {
+    return {
+      source: 'server-fetch',
+      requested_url: url,
+      final_url: null,
+      status: null,
+      redirects: error && error.redirects ? error.redirects : [],
+      error: error ? { code: error.code || null, message: error.message } : null
+    }
+  }
+
+  return {
+    source: 'server-fetch',
+    requested_url: response.requestedUrl || url,
+    final_url: response.url,
+    status: response.status,
+    status_text: response.statusText || null,
+    redirects: response.redirects || [],
+    content_type: response.headers['content-type'] || null,
+    last_modified: response.headers['last-modified'] || null,
+    bytes: response.body ? response.body.length : null,
+    headers: pickHeaders(response.headers),
+    error: null
+  }
+}
+
+/**
+ * Describe a capture that used client-supplied HTML instead of a fetch
+ */
+function describeSnapshot(url, snapshot) {
+  return {
+    source: 'snapshot',
+    requested_url: url,
+    final_url: snapshot.finalUrl || url,
+    status: null,
+    redirects: [],
+    bytes: Buffer.byteLength(snapshot.html || '', 'utf8'),
+    error: null
+  }
+}
+
+/**
+ * Describe a capture fetched by the extractor itself (a hosted service), from
+ * the final URL and status it reported
+ */
+function describeExtractorFetch(url, extractor, metadata = {}) {
+  return {
+    source: extractor,
+    requested_url: url,
+    final_url: metadata.finalUrl || url,
+    status: metadata.statusCode || null,
+    redirects: [],
+    error: null
+  }
+}
+
+/**
+ * Path of a URL, or null when it can't be parsed
+ */
+function pathOf(url) {
+  try {
+    return new URL(url).pathname
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Look for signs that the captured page isn't the article that was asked
+ * for. Returns { soft404, loginWall, reasons }.
+ */
+function assessCapture(record, { title = '', wordCount = 0, html = '' } = {}) {
+  const reasons = []
+  let soft404 = false
+  let loginWall = false
+
+  const requestedPath = pathOf(record.requested_url)
+  const finalPath = record.final_url ? pathOf(record.final_url) : requestedPath
+  const redirected = record.redirects && record.redirects.length > 0
+
+  if (GONE_STATUSES.includes(record.status)) {
+    soft404 = true
+    reasons.push(`HTTP ${record.status}`)
+  }
+
+  // A deep link that redirects to the homepage or an error page
+  if (redirected && finalPath === '/' && requestedPath && requestedPath !== '/') {
+    soft404 = true
+    reasons.push('Redirected to the site homepage')
+  }
+  if (redirected && NOT_FOUND_PATH.test(finalPath || '') && !NOT_FOUND_PATH.test(requestedPath || '')) {
+    soft404 = true
+    reasons.push(`Redirected to an error page (${record.final_url})`)
+  }
+
+  // "404 Media" is a real site, so only short pages count
+  if (NOT_FOUND_TITLE.test(title) && wordCount < 250) {
+    soft404 = true
+    reasons.push(`Title looks like an error page: "${title}"`)
+  }
+
+  if (redirected && record.final_url) {
+    try {
+      const finalUrl = new URL(record.final_url)
+      const requestedUrl = new URL(record.requested_url)
+      const redirectedToLogin = (LOGIN_PATH.test(finalUrl.pathname) && !LOGIN_PATH.test(requestedUrl.pathname)) ||
+        (LOGIN_HOST.test(finalUrl.hostname) && finalUrl.hostname !== requestedUrl.hostname)
+      if (redirectedToLogin) {
+        loginWall = true
+        reasons.push(`Redirected to a login page (${record.final_url})`)
+      }
+    } catch {
+      // Unparseable URLs were already rejected before fetching
+    }
+  }
+
+  if (wordCount < 400 && PASSWORD_FIELD.test(html)) {
+    loginWall = true
+    reasons.push('Page is a short form with a password field')
+  }
+  if (wordCount < 400 && LOGIN_PROMPT.test(html.replace(/<[^>]+>/g, ' ').substring(0, 200000))) {
+    loginWall = true
+    reasons.push('Page asks the reader to sign in or subscribe')
+  }
+
+  return { soft404, loginWall, reasons }
+}
+
+module.exports = {
+  CaptureRejectedError,
+  describeFetch,
+  describeSnapshot,
+  describeExtractorFetch,
+  assessCapture
+}
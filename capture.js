@@ -0,0 +1,461 @@
+const { createExtractorRegistry, runExtractors } = require('./extractor-pipeline')
+const { inlineAssets } = require('./asset-inliner')
+const { safeFetch, assertPublicUrl, SafeFetchError } = require('./safe-fetch')
+const { extractMainContent } = require('./readability-extractor')
+const { extractPageMetadata, fromFirecrawlMetadata, mergeMetadata } = require('./metadata-extractor')
+const { resolveCanonicalUrl } = require('./url-canonicalizer')
+const { CaptureRejectedError, describeFetch, describeSnapshot, describeExtractorFetch, assessCapture } = require('./capture-record')
+const { DEFAULT_MIN_QUALITY_SCORE, scoreContent } = require('./quality-gate')
+const { decodeBody } = require('./charset')
+const { PDF_TYPES, TEXT_TYPES, JSON_TYPES, IMAGE_TYPES, resolveContentType, extractDocument } = require('./document-extractors')
+const { SITE_EXTRACTORS, siteExtractorFor, extractSite } = require('./site-extractors')
+
+// Firecrawl extractor - try to load if available
+let extractWithFirecrawl = async () => null
+let isFirecrawlAvailable = () => false
+try {
+  const firecrawlModule = require('./firecrawl-extractor')
+  extractWithFirecrawl = firecrawlModule.extractWithFirecrawl
+  isFirecrawlAvailable = firecrawlModule.isFirecrawlAvailable
+} catch (err) {
+  console.log('Firecrawl extractor not available, using fallback')
+}
+
+// Every capture path (/api/archive, /api/links, the Pocket importer) goes
+// through this registry, so new extractors only need registering here.
+const extractorRegistry = createExtractorRegistry()
+
+// Limits for HTML snapshots sent by the browser extension
+const MAX_SNAPSHOT_BYTES = parseInt(process.env.MAX_SNAPSHOT_BYTES) || 10 * 1024 * 1024 // 10MB
+const MAX_SELECTED_TEXT_LENGTH = 10000
+
+// Client snapshot: the fully rendered DOM sent by the browser extension, for
+// paywalled, logged-in and client-rendered pages we can't fetch ourselves
+extractorRegistry.register({
+  name: 'client-snapshot',
+  priority: 0,
+  cost: 0,
+  timeout: 20000,
+  matches: (url, context) => !!context.snapshot,
+  extract: async (url, context) => {
+    const { html, finalUrl, selectedText } = context.snapshot
+    const article = extractMainContent(html, finalUrl)
+
+    if (!article.text && !selectedText) {
+      return null
+    }
+
+    return {
+      title: article.title || context.fallbackTitle || 'Untitled',
+      description: article.excerpt || (selectedText || '').substring(0, 200),
+      html,
+      contentHtml: article.html,
+      markdown: article.markdown,
+      text: (article.text || selectedText).substring(0, 50000),
+      selectedText: selectedText || null,
+      screenshot: null,
+      pageMetadata: { author: article.byline || null },
+      wordCount: article.wordCount,
+      readingTime: article.readingTime,
+      metadata: {
+        author: article.byline,
+        finalUrl,
+        extractedAt: new Date().toISOString()
+      }
+    }
+  }
+})
+
+// Site-specific extractors (GitHub, Hacker News, Reddit, arXiv, Stack
+// Exchange) run ahead of the generic ones; they return null when the page
+// doesn't have the markup they expect, and generic extraction takes over
+for (const site of SITE_EXTRACTORS) {
+  extractorRegistry.register({
+    name: site.name,
+    priority: 20,
+    cost: 1,
+    timeout: 35000,
+    contentTypes: ['text/html', 'application/xhtml+xml'],
+    matches: (url, context) => !context.snapshot && siteExtractorFor(url) === site,
+    extract: async (url, context) => {
+      const { response, text: html, charset } = await context.fetchPageText()
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      const result = extractSite(site, html, response.url)
+      return result && { ...result, charset }
+    }
+  })
+}
+
+// Firecrawl: hosted scraping with JS rendering and AI cleanup
+extractorRegistry.register({
+  name: 'firecrawl',
+  priority: 50,
+  cost: 10,
+  timeout: 60000,
+  contentTypes: ['text/html', 'application/xhtml+xml'],
+  fetchesPage: true,
+  matches: () => isFirecrawlAvailable(),
+  extract: async url => {
+    const result = await extractWithFirecrawl(url, { throwOnError: true })
+    return result && { ...result, pageMetadata: fromFirecrawlMetadata(result.metadata, url) }
+  }
+})
+
+// Readability: fetch the page ourselves and pull out the main content locally,
+// so self-hosted and offline deployments still get article-quality archives
+extractorRegistry.register({
+  name: 'readability',
+  priority: 100,
+  cost: 1,
+  timeout: 35000,
+  contentTypes: ['text/html', 'application/xhtml+xml'],
+  extract: async (url, context) => {
+    const { response, text: html, charset } = await context.fetchPageText()
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    const article = extractMainContent(html, response.url)
+
+    return {
+      title: article.title || context.fallbackTitle || 'Untitled',
+      description: article.excerpt,
+      html,
+      contentHtml: article.html,
+      markdown: article.markdown,
+      text: article.text.substring(0, 50000), // Limit text content
+      screenshot: null,
+      pageMetadata: { author: article.byline || null },
+      wordCount: article.wordCount,
+      readingTime: article.readingTime,
+      charset,
+      metadata: {
+        author: article.byline,
+        finalUrl: response.url,
+        extractedAt: new Date().toISOString()
+      }
+    }
+  }
+})
+
+// Documents that aren't web pages: PDFs, plain text and markdown, JSON and
+// images. Picked by the fetched Content-Type, so they only run when our own
+// fetch reached the URL; the original file is kept in `originalFile`.
+for (const [name, contentTypes, timeout] of [
+  ['pdf', PDF_TYPES, 60000],
+  ['plain-text', TEXT_TYPES, 10000],
+  ['json', JSON_TYPES, 10000],
+  ['image', IMAGE_TYPES, 10000]
+]) {
+  extractorRegistry.register({
+    name,
+    priority: 10,
+    cost: 1,
+    timeout,
+    contentTypes,
+    matches: (url, context) => !!context.contentType,
+    extract: async (url, context) => {
+      const response = await context.fetchPage()
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+      }
+
+      return extractDocument(response, url, context.contentType, context)
+    }
+  })
+}
+
+/**
+ * Errors that no other extractor can recover from
+ */
+function isUnrecoverableCaptureError(error) {
+  return error instanceof SafeFetchError &&
+    ['INVALID_URL', 'UNSUPPORTED_PROTOCOL', 'BLOCKED_ADDRESS'].includes(error.code)
+}
+
+/**
+ * Validate a client-supplied snapshot ({ html, finalUrl, selectedText }).
+ * Returns { snapshot } or { error, status } for the route to return.
+ */
+function validateSnapshot(snapshot, url) {
+  if (!snapshot || typeof snapshot !== 'object') {
+    return { error: 'snapshot must be an object with html, finalUrl and selectedText', status: 400 }
+  }
+
+  const { html, finalUrl = url, selectedText = null } = snapshot
+
+  if (typeof html !== 'string' || html.trim().length === 0) {
+    return { error: 'snapshot.html is required', status: 400 }
+  }
+  if (Buffer.byteLength(html, 'utf8') > MAX_SNAPSHOT_BYTES) {
+    return { error: `snapshot.html exceeds the ${MAX_SNAPSHOT_BYTES} byte limit`, status: 413 }
+  }
+  if (selectedText !== null && typeof selectedText !== 'string') {
+    return { error: 'snapshot.selectedText must be a string', status: 400 }
+  }
+
+  try {
+    const parsed = new URL(finalUrl)
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error()
+  } catch {
+    return { error: 'snapshot.finalUrl must be an http(s) URL', status: 400 }
+  }
+
+  return {
+    snapshot: {
+      html,
+      finalUrl,
+      selectedText: selectedText ? selectedText.substring(0, MAX_SELECTED_TEXT_LENGTH) : null
+    }
+  }
+}
+
+/**
+ * Capture a page through the extractor pipeline.
+ *
+ * Options: `fallbackTitle` (used when the page has none), `snapshot`
+ * (validated client-captured HTML, tried before any server-side fetch),
+ * `assetBudget` (overrides for the asset inliner's per-archive budget),
+ * `assetFetch` (where assets come from instead of the network, e.g. a WARC),
+ * `allowSoftErrors` (keep pages that look like soft-404s or login walls),
+ * `minQualityScore` (the user's quality gate threshold) and
+ * `skipQualityGate` (keep the page whatever it scores).
+ *
+ * Extractors are picked by the response's Content-Type: PDFs, plain text,
+ * JSON and images get document extractors (their results carry
+ * `documentType`, `documentMetadata` and the `originalFile` to store), web
+ * pages go through Firecrawl and Readability.
+ *
+ * The result gains `pageMetadata` (structured metadata parsed from the page,
+ * backed by anything the extractor reported itself) and `captureRecord` (how
+ * the page was fetched: redirects, final URL, status, key headers, timing).
+ * The captured HTML is made self-contained: its stylesheets, images and fonts
+ * are inlined, and `assetManifest` records what was (or wasn't) preserved.
+ *
+ * Server-fetched pages that turn out to be soft-404s or login walls, or that
+ * score under the quality gate's threshold, are rejected with a
+ * CaptureRejectedError.
+ */
+async function capturePage(url, options = {}) {
+  const startedAt = Date.now()
+  let pageRequest = null
+  let decodedPage = null
+
+  const context = {
+    ...options,
+    // Extractors share a single fetch of the page
+    fetchPage: () => {
+      if (!pageRequest) pageRequest = safeFetch(url)
+      return pageRequest
+    },
+    // The page as text, transcoded from its declared or sniffed charset
+    fetchPageText: async () => {
+      const response = await context.fetchPage()
+      if (!decodedPage) decodedPage = decodeBody(response.body, response.headers['content-type'])
+      return { response, ...decodedPage }
+    }
+  }
+
+  // When the first extractor fetches the page itself (Firecrawl), fetching it
+  // up front as well would request it twice: the URL is only checked here,
+  // and the capture is recorded from whichever fetch ends up being used
+  const [firstExtractor] = extractorRegistry.candidatesFor(url, context)
+  const fetchedByExtractor = !options.snapshot && Boolean(firstExtractor && firstExtractor.fetchesPage)
+
+  // Otherwise fetch up front (unless the client sent the page) so every
+  // capture records how the page was served, whichever extractor ends up
+  // producing content
+  let captureRecord
+  if (options.snapshot) {
+    captureRecord = describeSnapshot(url, options.snapshot)
+  } else {
+    try {
+      if (fetchedByExtractor) {
+        await assertPublicUrl(url)
+      } else {
+        const response = await context.fetchPage()
+        captureRecord = describeFetch(url, response)
+        context.contentType = resolveContentType(response.headers, response.body, response.url || url)
+      }
+    } catch (error) {
+      if (isUnrecoverableCaptureError(error)) {
+        error.attempts = []
+        throw error
+      }
+      // Hosted extractors may still reach pages our own fetch can't
+      captureRecord = describeFetch(url, null, error)
+    }
+
+    // Gone pages and login redirects are known before paying for extraction
+    if (!fetchedByExtractor) rejectSoftErrors(captureRecord, assessCapture(captureRecord), options)
+  }
+
+  const fetchedAt = Date.now()
+
+  const result = await runExtractors(extractorRegistry, url, context, {
+    shouldAbort: isUnrecoverableCaptureError
+  })
+
+  const extractedAt = Date.now()
+
+  if (fetchedByExtractor) {
+    captureRecord = pageRequest
+      ? await pageRequest.then(response => describeFetch(url, response), error => describeFetch(url, null, error))
+      : describeExtractorFetch(url, result.extractionMethod, result.metadata)
+  }
+
+  // Hosted extractors decode the page themselves; record how it was served
+  if (!result.charset && !result.documentType && pageRequest && captureRecord.status) {
+    result.charset = (await context.fetchPageText()).charset
+  }
+  if (decodedPage) {
+    captureRecord.charset = { charset: decodedPage.charset, source: decodedPage.source }
+  }
+  const baseUrl = (result.metadata && result.metadata.finalUrl) || url
+  const sourceHtml = result.sourceHtml || result.html
+
+  // Metadata is read from the page as served, before assets are inlined
+  result.pageMetadata = mergeMetadata(
+    sourceHtml ? extractPageMetadata(sourceHtml, baseUrl) : null,
+    result.pageMetadata
+  )
+  delete result.sourceHtml
+
+  captureRecord.assessment = assessCapture(captureRecord, {
+    title: result.title,
+    wordCount: result.wordCount,
+    html: sourceHtml || ''
+  })
+  if (!options.snapshot) {
+    rejectSoftErrors(captureRecord, captureRecord.assessment, options)
+    // The gate's signals (text density, boilerplate, links) describe web pages
+    if (!result.documentType) rejectLowQuality(captureRecord, result, sourceHtml, options)
+  }
+
+  // Document renderings have no external assets
+  if (result.html && !result.documentType) {
+    const inlined = await inlineAssets(result.html, baseUrl, { ...options.assetBudget, fetch: options.assetFetch })
+    const inlinedCount = inlined.manifest.filter(asset => asset.status === 'inlined').length
+    console.log(`📦 Inlined ${inlinedCount}/${inlined.manifest.length} assets (${inlined.totalBytes} bytes) for ${url}`)
+
+    result.html = inlined.html
+    result.assetManifest = inlined.manifest
+  }
+
+  const completedAt = Date.now()
+  captureRecord.extractor = result.extractionMethod
+  captureRecord.timing = {
+    started_at: new Date(startedAt).toISOString(),
+    completed_at: new Date(completedAt).toISOString(),
+    fetch_ms: fetchedAt - startedAt,
+    extraction_ms: extractedAt - fetchedAt,
+    assets_ms: completedAt - extractedAt,
+    total_ms: completedAt - startedAt
+  }
+  result.captureRecord = captureRecord
+
+  return result
+}
+
+/**
+ * Throw if the assessment found a soft-404 or login wall
+ */
+function rejectSoftErrors(captureRecord, assessment, options) {
+  if (options.allowSoftErrors || (!assessment.soft404 && !assessment.loginWall)) return
+
+  const message = assessment.loginWall
+    ? 'Page is behind a login wall'
+    : 'Page appears to be missing (soft 404)'
+  throw new CaptureRejectedError(
+    `${message}: ${assessment.reasons.join('; ')}`,
+    assessment.loginWall ? 'LOGIN_WALL' : 'SOFT_404',
+    { ...captureRecord, assessment }
+  )
+}
+
+/**
+ * Score the extracted content and throw if it's under the user's threshold.
+ * Client snapshots skip the gate: the user was looking at the page.
+ */
+function rejectLowQuality(captureRecord, result, html, options) {
+  captureRecord.quality = scoreContent({ capture: result, html: html || '', captureRecord })
+  if (options.skipQualityGate) return
+
+  const minScore = options.minQualityScore ?? DEFAULT_MIN_QUALITY_SCORE
+  const { score, reasons } = captureRecord.quality
+  if (score >= minScore) return
+
+  throw new CaptureRejectedError(
+    `Content scored ${score} (minimum ${minScore}): ${reasons.map(entry => entry.reason).join('; ')}`,
+    'LOW_QUALITY',
+    captureRecord
+  )
+}
+
+/**
+ * Structured metadata columns of an `archives` row
+ */
+function metadataColumns(pageMetadata) {
+  if (!pageMetadata) return {}
+
+  return {
+    author: pageMetadata.author,
+    published_at: pageMetadata.publishedAt,
+    modified_at: pageMetadata.modifiedAt,
+    site_name: pageMetadata.siteName,
+    language: pageMetadata.language,
+    favicon_url: pageMetadata.faviconUrl,
+    lead_image_url: pageMetadata.leadImageUrl,
+    declared_canonical_url: pageMetadata.canonicalUrl,
+    structured_metadata: {
+      type: pageMetadata.type,
+      keywords: pageMetadata.keywords,
+      sources: pageMetadata.sources
+    }
+  }
+}
+
+/**
+ * Build the `archives` row for a capture result
+ */
+function buildArchiveRecord(capture, { userId, url, tags = [] }) {
+  return {
+    user_id: userId,
+    url: url,
+    canonical_url: resolveCanonicalUrl(url, capture.pageMetadata && capture.pageMetadata.canonicalUrl),
+    title: capture.title,
+    description: capture.description,
+    archived_html: capture.html,
+    archived_text: capture.text,
+    archived_markdown: capture.markdown || null,
+    content_html: capture.contentHtml || null,
+    charset: capture.charset || null,
+    content_type: capture.contentType || 'text/html',
+    document_metadata: capture.documentMetadata || null,
+    selected_text: capture.selectedText || null,
+    extraction_method: capture.extractionMethod || (capture.extraction ? capture.extraction.extractor : null),
+    extraction_attempts: capture.extraction ? capture.extraction.attempts : [],
+    asset_manifest: capture.assetManifest || null,
+    capture_record: capture.captureRecord || null,
+    ...metadataColumns(capture.pageMetadata),
+    word_count: capture.wordCount || 0,
+    reading_time: capture.readingTime || 0,
+    tags: Array.isArray(tags) ? tags : [],
+    screenshot_url: null,
+    original_file_url: null
+  }
+}
+
+module.exports = {
+  CaptureRejectedError,
+  extractorRegistry,
+  capturePage,
+  validateSnapshot,
+  buildArchiveRecord
+}
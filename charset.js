@@ -0,0 +1,196 @@
+const iconv = require('iconv-lite')
+
+// Character set detection for fetched pages and stylesheets, so pages served
+// as Shift_JIS, GB2312, Windows-1252 and the like are transcoded to UTF-8
+// instead of being stored as mojibake. Follows the HTML spec's order: byte
+// order mark, Content-Type header, in-document declaration, then sniffing.
+
+// Bytes scanned for <meta charset> / <?xml encoding> / @charset declarations
+const PRESCAN_BYTES = 4096
+
+// Labels browsers treat as another (superset) encoding
+const CHARSET_ALIASES = {
+  'utf8': 'utf-8',
+  'unicode-1-1-utf-8': 'utf-8',
+  'us-ascii': 'windows-1252',
+  'ascii': 'windows-1252',
+  'iso-8859-1': 'windows-1252',
+  'iso8859-1': 'windows-1252',
+  'latin1': 'windows-1252',
+  'l1': 'windows-1252',
+  'cp1252': 'windows-1252',
+  'gb2312': 'gb18030',
+  'gbk': 'gb18030',
+  'x-gbk': 'gb18030',
+  'cp936': 'gb18030',
+  'x-sjis': 'shift_jis',
+  'sjis': 'shift_jis',
+  'ms_kanji': 'shift_jis',
+  'windows-31j': 'shift_jis',
+  'csshiftjis': 'shift_jis',
+  'x-euc-jp': 'euc-jp',
+  'big5-hkscs': 'big5',
+  'x-x-big5': 'big5',
+  'ks_c_5601-1987': 'euc-kr',
+  'windows-949': 'euc-kr',
+  'utf-16': 'utf-16le'
+}
+
+// Multi-byte encodings tried when nothing is declared and the bytes aren't
+// UTF-8, with some of the most frequent characters of the language each is
+// used for (byte ranges overlap, so plausible-looking text isn't enough)
+const SNIFF_CANDIDATES = {
+  'shift_jis': 'のにはをたがでてとしれさないかるもすこ',
+  'euc-jp': 'のにはをたがでてとしれさないかるもすこ',
+  'gb18030': '的一是不了人我在有他这中大来上个国到说们为子和你地出道也时年',
+  'big5': '的一是不了人我在有他這中大來上個國到說們為子和你地出道也時年',
+  'euc-kr': '이다는의에가을를하고기서지한로도있습니사으것수나요'
+}
+
+/**
+ * Normalize a charset label; null if iconv-lite can't decode it
+ */
+function normalizeCharset(label) {
+  if (!label) return null
+  const name = String(label).trim().replace(/^["']|["']$/g, '').toLowerCase()
+  const charset = CHARSET_ALIASES[name] || name
+  return iconv.encodingExists(charset) ? charset : null
+}
+
+/**
+ * Charset declared by a byte order mark
+ */
+function charsetFromBom(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8'
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le'
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be'
+  return null
+}
+
+/**
+ * Charset parameter of a Content-Type header
+ */
+function charsetFromContentType(contentType) {
+  const match = /;\s*charset\s*=\s*("[^"]*"|[^;\s]*)/i.exec(contentType || '')
+  return match ? normalizeCharset(match[1]) : null
+}
+
+/**
+ * Charset declared inside the document: <meta charset>, <meta http-equiv>,
+ * <?xml encoding> for HTML, a leading @charset rule for CSS. Plain text has
+ * nowhere to declare one.
+ */
+function charsetFromDocument(buffer, kind) {
+  if (kind === 'text') return null
+
+  // Declarations are ASCII, so a byte-per-char decode is safe for any charset
+  const head = buffer.subarray(0, PRESCAN_BYTES).toString('latin1')
+
+  if (kind === 'css') {
+    const match = /^@charset\s+"([^"]+)"\s*;/i.exec(head)
+    return match ? normalizeCharset(match[1]) : null
+  }
+
+  const patterns = [
+    /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i,
+    /<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i
+  ]
+  for (const pattern of patterns) {
+    const match = pattern.exec(head)
+    const charset = match && normalizeCharset(match[1])
+    // A UTF-16 declaration can't be right in a document we just read as ASCII
+    if (charset && !charset.startsWith('utf-16')) return charset
+  }
+  return null
+}
+
+/**
+ * Whether a buffer is well-formed UTF-8
+ */
+function isValidUtf8(buffer) {
+  for (let i = 0; i < buffer.length;) {
+    const byte = buffer[i]
+    let length
+    if (byte < 0x80) length = 1
+    else if (byte >= 0xc2 && byte <= 0xdf) length = 2
+    else if (byte >= 0xe0 && byte <= 0xef) length = 3
+    else if (byte >= 0xf0 && byte <= 0xf4) length = 4
+    else return false
+
+    // A sequence cut off by a size limit at the very end is still UTF-8
+    if (i + length > buffer.length) return buffer.length - i < 4 && i > 0
+    for (let j = 1; j < length; j++) {
+      if ((buffer[i + j] & 0xc0) !== 0x80) return false
+    }
+    i += length
+  }
+  return true
+}
+
+/**
+ * How plausible a decoding is: characters from the scripts the encoding is
+ * meant for score, replacement characters and stray controls cost
+ */
+function decodingScore(text, charset) {
+  const frequent = SNIFF_CANDIDATES[charset]
+  let score = 0
+  for (const char of text) {
+    const code = char.codePointAt(0)
+    if (code < 0x80) continue
+    if (frequent.includes(char)) score += 5
+    else if (code === 0xfffd || (code >= 0x80 && code < 0xa0) || (code >= 0xe000 && code <= 0xf8ff)) score -= 10
+    else if (code >= 0x3040 && code <= 0x30ff) score += charset === 'shift_jis' || charset === 'euc-jp' ? 3 : 1 // kana
+    else if (code >= 0xac00 && code <= 0xd7af) score += charset === 'euc-kr' ? 3 : 0 // hangul
+    else if (code >= 0xff61 && code <= 0xff9f) score -= 2 // half-width katakana, rare in real text
+    else if (code >= 0x4e00 && code <= 0x9fff) score += 1 // CJK ideographs
+    else if (code >= 0x3000 && code <= 0x303f) score += 1 // CJK punctuation
+  }
+  return score
+}
+
+/**
+ * Guess the charset of undeclared bytes: UTF-8 if they're valid UTF-8, else
+ * the best-scoring CJK encoding, else Windows-1252
+ */
+function sniffCharset(buffer) {
+  const sample = buffer.subarray(0, 64 * 1024)
+  if (isValidUtf8(sample)) return 'utf-8'
+
+  let best = null
+  for (const charset of Object.keys(SNIFF_CANDIDATES)) {
+    const score = decodingScore(iconv.decode(sample, charset), charset)
+    if (score > 0 && (!best || score > best.score)) best = { charset, score }
+  }
+  return best ? best.charset : 'windows-1252'
+}
+
+/**
+ * Work out a body's charset. `kind` is 'html', 'css' or 'text'.
+ * Returns { charset, source } where source is bom, header, document or sniffed.
+ */
+function detectCharset(buffer, contentType, kind = 'html') {
+  const fromBom = charsetFromBom(buffer)
+  if (fromBom) return { charset: fromBom, source: 'bom' }
+
+  const fromHeader = charsetFromContentType(contentType)
+  if (fromHeader) return { charset: fromHeader, source: 'header' }
+
+  const fromDocument = charsetFromDocument(buffer, kind)
+  if (fromDocument) return { charset: fromDocument, source: 'document' }
+
+  return { charset: sniffCharset(buffer), source: 'sniffed' }
+}
+
+/**
+ * Decode a fetched body to a string. Returns { text, charset, source }.
+ */
+function decodeBody(buffer, contentType, kind = 'html') {
+  const { charset, source } = detectCharset(buffer, contentType, kind)
+  // iconv-lite strips the BOM
+  return { text: iconv.decode(buffer, charset), charset, source }
+}
+
+module.exports = {
+  detectCharset,
+  decodeBody
+}
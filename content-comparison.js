@@ -0,0 +1,93 @@
+// Similarity between two captures of a page's readable text. Word shingles
+// make the score insensitive to reflowed whitespace and small edits, and
+// numbers are masked (by default) so dates and counters don't register as changes.
+
+const DEFAULT_SHINGLE_SIZE = 4
+
+// Blocks shorter than this are mostly datelines, bylines, breadcrumbs and
+// "updated 5 minutes ago" labels that churn without the content changing
+const MIN_BLOCK_WORDS = 6
+
+/**
+ * Lowercased words with punctuation dropped and, optionally, digits masked
+ */
+function comparableWords(text, maskNumbers = true) {
+  const lowered = (text || '').toLowerCase()
+  return (maskNumbers ? lowered.replace(/\d+/g, '0') : lowered)
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(Boolean)
+}
+
+/**
+ * Drop the markdown blocks that are page furniture rather than content:
+ * short one-line labels and blocks that are mostly links (navigation,
+ * related stories, footers). Tables and lists are kept whatever their size.
+ */
+function substantiveText(markdown) {
+  return (markdown || '')
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(block => {
+      const links = block.match(/\[[^\]]*\]\([^)]*\)/g) || []
+      if (links.length > 0 && links.join('').length / block.length > 0.6) return false
+      return block.includes('\n') || comparableWords(block.replace(/\]\([^)]*\)/g, ']')).length >= MIN_BLOCK_WORDS
+    })
+    .join('\n\n')
+}
+
+/**
+ * Set of overlapping `size`-word sequences (the whole text if it's shorter)
+ */
+function shingleSet(words, size = DEFAULT_SHINGLE_SIZE) {
+  const shingles = new Set()
+  if (words.length === 0) return shingles
+  if (words.length <= size) {
+    shingles.add(words.join(' '))
+    return shingles
+  }
+  for (let i = 0; i + size <= words.length; i++) {
+    shingles.add(words.slice(i, i + size).join(' '))
+  }
+  return shingles
+}
+
+/**
+ * Similarity of two texts from 0 (nothing in common) to 1 (same words in the
+ * same order). `ignore` lists texts, such as navigation or footers seen on
+ * every capture, whose shingles are left out of both sides; `maskNumbers:
+ * false` makes changed figures (prices, limits) count.
+ */
+function contentSimilarity(a, b, options = {}) {
+  const { shingleSize = DEFAULT_SHINGLE_SIZE, ignore = [], maskNumbers = true } = options
+
+  const left = shingleSet(comparableWords(a, maskNumbers), shingleSize)
+  const right = shingleSet(comparableWords(b, maskNumbers), shingleSize)
+  for (const text of ignore) {
+    for (const shingle of shingleSet(comparableWords(text, maskNumbers), shingleSize)) {
+      left.delete(shingle)
+      right.delete(shingle)
+    }
+  }
+
+  if (left.size === 0 && right.size === 0) return 1
+  if (left.size === 0 || right.size === 0) return 0
+
+  let shared = 0
+  for (const shingle of left) {
+    if (right.has(shingle)) shared++
+  }
+  return shared / (left.size + right.size - shared)
+}
+
+/**
+ * Number of words a text has once masked and split like contentSimilarity does
+ */
+function comparableWordCount(text) {
+  return comparableWords(text).length
+}
+
+module.exports = {
+  substantiveText,
+  contentSimilarity,
+  comparableWordCount
+}
@@ -0,0 +1,448 @@
+const path = require('path')
+const { decodeBody } = require('./charset')
+const { escapeHtml } = require('./archive-renderer')
+const { markdownToText } = require('./html-to-markdown')
+
+// Extractors for saved URLs that aren't web pages: PDFs, plain text and
+// markdown, JSON and images. Capture dispatches on the response's Content-Type
+// (sniffed from the body when the server doesn't say), and every result keeps
+// the original bytes in `originalFile` so they can be stored next to the
+// archive. Document properties (page count, outline, image dimensions, ...)
+// end up in archives.document_metadata.
+
+const MAX_PDF_PAGES = parseInt(process.env.MAX_PDF_PAGES) || 500
+const MAX_TEXT_LENGTH = 50000
+
+// Images up to this size are embedded in the archived HTML as data URIs
+const MAX_INLINE_IMAGE_BYTES = 5 * 1024 * 1024 // 5MB
+
+const PDF_TYPES = ['application/pdf', 'application/x-pdf']
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/x-markdown']
+const JSON_TYPES = ['application/json', 'application/ld+json', 'text/json']
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml', 'image/avif', 'image/bmp']
+
+const EXTENSION_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  text: 'text/plain',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  json: 'application/json',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+}
+
+const FILE_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'text/markdown': '.md',
+  'application/json': '.json',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  'image/avif': '.avif',
+  'image/bmp': '.bmp'
+}
+
+// pdf.js is large; only load it the first time a PDF is captured
+let pdfjs = null
+function loadPdfjs() {
+  if (!pdfjs) pdfjs = require('pdfjs-dist/legacy/build/pdf.js')
+  return pdfjs
+}
+
+/**
+ * MIME type from the magic bytes at the start of a body, if recognisable
+ */
+function sniffContentType(body) {
+  if (!body || body.length < 4) return null
+  if (body.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf'
+  if (body[0] === 0x89 && body.subarray(1, 4).toString('latin1') === 'PNG') return 'image/png'
+  if (body[0] === 0xff && body[1] === 0xd8 && body[2] === 0xff) return 'image/jpeg'
+  if (body.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif'
+  if (body.length >= 12 && body.subarray(0, 4).toString('latin1') === 'RIFF' && body.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp'
+  return null
+}
+
+/**
+ * Lowercased extension of a URL's path, without the dot
+ */
+function urlExtension(url) {
+  try {
+    return ((new URL(url).pathname.match(/\.([a-z0-9]+)$/i) || [])[1] || '').toLowerCase()
+  } catch {
+    return ''
+  }
+}
+
+/**
+ * The MIME type capture should dispatch on. The Content-Type header wins,
+ * except when it's missing or a generic binary type, in which case the body's
+ * magic bytes and then the URL's extension decide. Markdown files served as
+ * text/plain (most raw file hosts do) are treated as markdown.
+ */
+function resolveContentType(headers, body, url) {
+  const headerType = ((headers && headers['content-type']) || '').split(';')[0].trim().toLowerCase()
+  const extension = urlExtension(url)
+
+  if (headerType === 'text/plain' && EXTENSION_TYPES[extension] === 'text/markdown') return 'text/markdown'
+  if (headerType && headerType !== 'application/octet-stream' && headerType !== 'binary/octet-stream') return headerType
+
+  return sniffContentType(body) || EXTENSION_TYPES[extension] || headerType || null
+}
+
+/**
+ * File name for a stored original: the last path segment of the URL, or a
+ * generic name with an extension for the type
+ */
+function originalFilename(url, contentType) {
+  let name = ''
+  try {
+    name = decodeURIComponent(path.posix.basename(new URL(url).pathname))
+  } catch {
+    name = ''
+  }
+  name = name.replace(/[^\w.-]+/g, '_').substring(0, 120)
+  if (!name || name === '_') name = 'document'
+  if (!path.extname(name) && FILE_EXTENSIONS[contentType]) name += FILE_EXTENSIONS[contentType]
+  return name
+}
+
+/**
+ * Title from a URL when the document doesn't carry one
+ */
+function titleFromUrl(url) {
+  const name = originalFilename(url, null).replace(/\.[a-z0-9]+$/i, '').replace(/[_-]+/g, ' ').trim()
+  return name && name !== 'document' ? name : null
+}
+
+/**
+ * Whitespace-separated words in a text
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length
+}
+
+/**
+ * Parse a PDF date ("D:20170612120000+02'00'") to an ISO string
+ */
+function parsePdfDate(value) {
+  const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(String(value || '').trim())
+  if (!match) return null
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match
+  const zone = sign && sign !== 'Z' && sign !== 'z' ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z'
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * A PDF's outline (bookmarks) flattened to [{ title, level }]
+ */
+function flattenOutline(items, level = 1, entries = []) {
+  for (const item of items || []) {
+    const title = (item.title || '').trim()
+    if (title) entries.push({ title, level })
+    flattenOutline(item.items, level + 1, entries)
+  }
+  return entries
+}
+
+/**
+ * One page's text, with line breaks where pdf.js saw them
+ */
+async function pageText(page) {
+  const content = await page.getTextContent()
+  let text = ''
+  for (const item of content.items) {
+    text += item.str
+    if (item.hasEOL) text += '\n'
+    else if (item.str && !/\s$/.test(item.str)) text += ' '
+  }
+  return text.replace(/[ \t]+\n/g, '\n').replace(/[ \t]{2,}/g, ' ').trim()
+}
+
+/**
+ * Extract a PDF's text, outline and document metadata (title, author,
+ * subject, keywords, dates, page count). Pages past MAX_PDF_PAGES are left out.
+ */
+async function extractPdf(body, url, context = {}) {
+  const { getDocument } = loadPdfjs()
+  // pdf.js takes ownership of the array it's given, so pass a copy
+  const pdf = await getDocument({
+    data: new Uint8Array(body),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise
+
+  try {
+    const { info = {} } = await pdf.getMetadata().catch(() => ({}))
+    const outline = flattenOutline(await pdf.getOutline().catch(() => null))
+
+    const pageCount = Math.min(pdf.numPages, MAX_PDF_PAGES)
+    const pages = []
+    for (let number = 1; number <= pageCount; number++) {
+      const page = await pdf.getPage(number)
+      pages.push(await pageText(page))
+      page.cleanup()
+    }
+
+    const title = (info.Title || '').trim() || titleFromUrl(url) || context.fallbackTitle || 'Untitled'
+    const author = (info.Author || '').trim() || null
+    const text = pages.filter(Boolean).join('\n\n')
+    const wordCount = countWords(text)
+
+    const markdown = [
+      `# ${title}`,
+      ...(outline.length > 0
+        ? ['## Contents', outline.map(entry => `${'  '.repeat(entry.level - 1)}- ${entry.title}`).join('\n')]
+        : []),
+      ...pages.map((page, index) => `## Page ${index + 1}\n\n${page}`)
+    ].join('\n\n')
+
+    const contentHtml = pages
+      .map((page, index) => `<section data-page="${index + 1}"><h2>Page ${index + 1}</h2>${page.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('')}</section>`)
+      .join('\n')
+
+    return {
+      title,
+      description: (info.Subject || '').trim() || text.substring(0, 200),
+      html: documentHtml(title, contentHtml),
+      contentHtml,
+      markdown,
+      text: text.substring(0, MAX_TEXT_LENGTH),
+      screenshot: null,
+      pageMetadata: {
+        author,
+        publishedAt: parsePdfDate(info.CreationDate),
+        modifiedAt: parsePdfDate(info.ModDate),
+        keywords: info.Keywords ? String(info.Keywords).split(/[,;]\s*/).filter(Boolean) : null
+      },
+      wordCount,
+      readingTime: Math.ceil(wordCount / 200),
+      documentType: 'pdf',
+      documentMetadata: {
+        page_count: pdf.numPages,
+        pages_extracted: pageCount,
+        outline,
+        subject: (info.Subject || '').trim() || null,
+        keywords: (info.Keywords || '').trim() || null,
+        creator: (info.Creator || '').trim() || null,
+        producer: (info.Producer || '').trim() || null,
+        pdf_version: info.PDFFormatVersion || null,
+        created_at: parsePdfDate(info.CreationDate),
+        modified_at: parsePdfDate(info.ModDate)
+      },
+      metadata: { author, finalUrl: url, extractedAt: new Date().toISOString() }
+    }
+  } finally {
+    await pdf.destroy()
+  }
+}
+
+/**
+ * Plain text and markdown, stored verbatim
+ */
+function extractText(body, url, contentType, context = {}) {
+  const { text: raw, charset } = decodeBody(body, contentType, 'text')
+  const isMarkdown = contentType === 'text/markdown' || contentType === 'text/x-markdown'
+  const text = isMarkdown ? markdownToText(raw) : raw.trim()
+
+  const heading = isMarkdown ? (/^#\s+(.+)$/m.exec(raw) || [])[1] : null
+  const firstLine = raw.trim().split('\n')[0].trim()
+  const title = (heading && heading.trim()) || titleFromUrl(url) ||
+    (firstLine.length > 0 && firstLine.length <= 120 ? firstLine : null) || context.fallbackTitle || 'Untitled'
+  const wordCount = countWords(text)
+  const contentHtml = `<pre style="white-space: pre-wrap;">${escapeHtml(raw)}</pre>`
+
+  return {
+    title,
+    description: text.substring(0, 200),
+    html: documentHtml(title, contentHtml),
+    contentHtml,
+    markdown: isMarkdown ? raw : null,
+    text: text.substring(0, MAX_TEXT_LENGTH),
+    screenshot: null,
+    pageMetadata: {},
+    wordCount,
+    readingTime: Math.ceil(wordCount / 200),
+    charset,
+    documentType: isMarkdown ? 'markdown' : 'text',
+    documentMetadata: { line_count: raw.split('\n').length },
+    metadata: { finalUrl: url, extractedAt: new Date().toISOString() }
+  }
+}
+
+/**
+ * JSON documents, pretty-printed (or kept as sent if they don't parse)
+ */
+function extractJson(body, url, context = {}) {
+  const { text: raw, charset } = decodeBody(body, 'application/json; charset=utf-8', 'text')
+
+  let pretty = raw
+  let valid = true
+  try {
+    pretty = JSON.stringify(JSON.parse(raw), null, 2)
+  } catch {
+    valid = false
+  }
+
+  const title = titleFromUrl(url) || context.fallbackTitle || 'Untitled'
+  const contentHtml = `<pre>${escapeHtml(pretty)}</pre>`
+  const wordCount = countWords(pretty.replace(/[{}[\]",:]/g, ' '))
+
+  return {
+    title,
+    description: raw.replace(/\s+/g, ' ').substring(0, 200),
+    html: documentHtml(title, contentHtml),
+    contentHtml,
+    markdown: '```json\n' + pretty + '\n```',
+    text: pretty.substring(0, MAX_TEXT_LENGTH),
+    screenshot: null,
+    pageMetadata: {},
+    wordCount,
+    readingTime: Math.ceil(wordCount / 200),
+    charset,
+    documentType: 'json',
+    documentMetadata: { valid_json: valid },
+    metadata: { finalUrl: url, extractedAt: new Date().toISOString() }
+  }
+}
+
+/**
+ * Width and height from a PNG, GIF, JPEG or WebP header; null if unknown
+ */
+function imageDimensions(body, contentType) {
+  try {
+    if (contentType === 'image/png' && body.length >= 24) {
+      return { width: body.readUInt32BE(16), height: body.readUInt32BE(20) }
+    }
+    if (contentType === 'image/gif' && body.length >= 10) {
+      return { width: body.readUInt16LE(6), height: body.readUInt16LE(8) }
+    }
+    if (contentType === 'image/webp' && body.length >= 30) {
+      const chunk = body.subarray(12, 16).toString('latin1')
+      if (chunk === 'VP8X') return { width: body.readUIntLE(24, 3) + 1, height: body.readUIntLE(27, 3) + 1 }
+      if (chunk === 'VP8 ') return { width: body.readUInt16LE(26) & 0x3fff, height: body.readUInt16LE(28) & 0x3fff }
+      if (chunk === 'VP8L') {
+        const bits = body.readUInt32LE(21)
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 }
+      }
+    }
+    if (contentType === 'image/jpeg') {
+      // Walk the segments to the start-of-frame marker
+      let offset = 2
+      while (offset + 9 < body.length) {
+        if (body[offset] !== 0xff) return null
+        const marker = body[offset + 1]
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: body.readUInt16BE(offset + 7), height: body.readUInt16BE(offset + 5) }
+        }
+        offset += 2 + body.readUInt16BE(offset + 2)
+      }
+    }
+  } catch {
+    return null
+  }
+  return null
+}
+
+/**
+ * Images: the original is stored as-is; the archive gets a placeholder
+ * record describing it (embedded in the HTML when it's small enough)
+ */
+function extractImage(body, url, contentType, context = {}) {
+  const filename = originalFilename(url, contentType)
+  const dimensions = imageDimensions(body, contentType)
+  const title = titleFromUrl(url) || context.fallbackTitle || filename
+  const details = [dimensions && `${dimensions.width}×${dimensions.height}`, contentType, `${body.length} bytes`].filter(Boolean).join(', ')
+  const text = `Image: ${filename} (${details})`
+
+  const contentHtml = body.length <= MAX_INLINE_IMAGE_BYTES
+    ? `<figure><img src="data:${contentType};base64,${body.toString('base64')}" alt="${escapeHtml(title)}" style="max-width: 100%;"><figcaption>${escapeHtml(text)}</figcaption></figure>`
+    : `<p>${escapeHtml(text)}. The original image is kept with the archive.</p>`
+
+  return {
+    title,
+    description: text,
+    html: documentHtml(title, contentHtml),
+    contentHtml,
+    markdown: text,
+    text,
+    screenshot: null,
+    pageMetadata: {},
+    wordCount: 0,
+    readingTime: 0,
+    documentType: 'image',
+    documentMetadata: { ...dimensions, bytes: body.length },
+    metadata: { finalUrl: url, extractedAt: new Date().toISOString() }
+  }
+}
+
+/**
+ * Minimal standalone page around extracted document content
+ */
+function documentHtml(title, contentHtml) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>body { max-width: 50em; margin: 2em auto; padding: 0 1em; font-family: sans-serif; line-height: 1.5; }</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${contentHtml}
+</body>
+</html>`
+}
+
+/**
+ * Run the extractor for a fetched response's (resolved) content type.
+ * The result carries `documentType`, `documentMetadata`, the type it was
+ * captured as and `originalFile` ({ body, contentType, filename }).
+ */
+async function extractDocument(response, url, contentType, context = {}) {
+  const finalUrl = response.url || url
+  let result
+  if (PDF_TYPES.includes(contentType)) {
+    result = await extractPdf(response.body, finalUrl, context)
+  } else if (TEXT_TYPES.includes(contentType)) {
+    result = extractText(response.body, finalUrl, contentType, context)
+  } else if (JSON_TYPES.includes(contentType)) {
+    result = extractJson(response.body, finalUrl, context)
+  } else if (IMAGE_TYPES.includes(contentType)) {
+    result = extractImage(response.body, finalUrl, contentType, context)
+  } else {
+    return null
+  }
+
+  return {
+    ...result,
+    contentType,
+    originalFile: {
+      body: response.body,
+      contentType,
+      filename: originalFilename(finalUrl, contentType)
+    }
+  }
+}
+
+module.exports = {
+  PDF_TYPES,
+  TEXT_TYPES,
+  JSON_TYPES,
+  IMAGE_TYPES,
+  FILE_EXTENSIONS,
+  resolveContentType,
+  extractDocument,
+  documentHtml
+}
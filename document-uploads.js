@@ -0,0 +1,474 @@
+const crypto = require('crypto')
+const path = require('path')
+const cheerio = require('cheerio')
+const JSZip = require('jszip')
+const { decodeBody } = require('./charset')
+const { extractMainContent } = require('./readability-extractor')
+const { extractPageMetadata } = require('./metadata-extractor')
+const { htmlToMarkdown, markdownToText } = require('./html-to-markdown')
+const { extractDocument, documentHtml } = require('./document-extractors')
+
+// Local documents uploaded as archives: EPUB, DOCX, Markdown and standalone
+// HTML files (plus PDFs and plain text, which share the URL capture's
+// extractors). An upload has no URL, so it's identified by its content:
+// file://sha256-<hash>/<file name>, which canonicalizes to the hash alone so
+// the same file uploaded under another name is a duplicate.
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES) || 50 * 1024 * 1024 // 50MB
+const MAX_TEXT_LENGTH = 50000
+
+// Total size of the images from an EPUB embedded in its archived HTML
+const MAX_EMBEDDED_IMAGE_BYTES = 20 * 1024 * 1024 // 20MB
+
+// Most an EPUB or DOCX may expand to, so a small zip can't unpack to gigabytes
+const MAX_UNCOMPRESSED_BYTES = parseInt(process.env.MAX_UPLOAD_UNCOMPRESSED_BYTES) || MAX_UPLOAD_BYTES * 4
+
+const UPLOAD_FORMATS = {
+  epub: 'application/epub+zip',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  html: 'text/html',
+  htm: 'text/html',
+  xhtml: 'text/html',
+  pdf: 'application/pdf',
+  txt: 'text/plain'
+}
+
+const IMAGE_TYPES_BY_EXTENSION = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+}
+
+// mammoth is only needed for Word documents
+let mammoth = null
+function loadMammoth() {
+  if (!mammoth) mammoth = require('mammoth')
+  return mammoth
+}
+
+/**
+ * Error raised for uploads that can't be turned into an archive.
+ * `code` is UNSUPPORTED_FORMAT, INVALID_DOCUMENT or DOCUMENT_TOO_LARGE.
+ */
+class UploadFormatError extends Error {
+  constructor(message, code = 'INVALID_DOCUMENT') {
+    super(message)
+    this.name = 'UploadFormatError'
+    this.code = code
+  }
+}
+
+/**
+ * Work out what an uploaded file is from its name, falling back to its
+ * bytes. Resolves to the MIME type of a supported format.
+ */
+async function detectUploadFormat(file) {
+  const extension = path.extname(file.filename || '').substring(1).toLowerCase()
+  if (UPLOAD_FORMATS[extension]) return UPLOAD_FORMATS[extension]
+
+  const head = file.body.subarray(0, 1024).toString('latin1')
+  if (head.startsWith('%PDF-')) return UPLOAD_FORMATS.pdf
+  if (head.startsWith('PK\x03\x04')) {
+    const zip = await JSZip.loadAsync(file.body).catch(() => null)
+    const mimetype = zip && await readZipText(zip, 'mimetype', { remaining: 1024 }).catch(() => null)
+    if (mimetype && mimetype.trim() === UPLOAD_FORMATS.epub) return UPLOAD_FORMATS.epub
+    if (zip && zip.file('word/document.xml')) return UPLOAD_FORMATS.docx
+  }
+  if (/^(\xef\xbb\xbf)?\s*(<!doctype html|<html)/i.test(head)) return UPLOAD_FORMATS.html
+
+  throw new UploadFormatError(
+    `Unsupported file type${extension ? ` (.${extension})` : ''}; upload EPUB, DOCX, Markdown, HTML, PDF or text files`,
+    'UNSUPPORTED_FORMAT'
+  )
+}
+
+/**
+ * The synthetic URL an uploaded file is archived under
+ */
+function uploadIdentifier(hash, filename) {
+  return `file://sha256-${hash}/${encodeURIComponent(filename || 'document')}`
+}
+
+/**
+ * A file name as the client sent it. Multipart parsers hand over UTF-8 names
+ * decoded as Latin-1; only names without any path are kept.
+ */
+function uploadFilename(originalname) {
+  const raw = String(originalname || '')
+  const decoded = Buffer.from(raw, 'latin1').toString('utf8')
+  const name = decoded.includes('\ufffd') ? raw : decoded
+  return path.basename(name.replace(/\\/g, '/')).trim() || 'document'
+}
+
+/**
+ * Tags sent with an upload: a JSON array or a comma-separated list
+ */
+function parseUploadTags(value) {
+  if (Array.isArray(value)) return value.map(String).map(tag => tag.trim()).filter(Boolean)
+  if (!value) return []
+
+  try {
+    const parsed = JSON.parse(value)
+    if (Array.isArray(parsed)) return parsed.map(String).map(tag => tag.trim()).filter(Boolean)
+  } catch {
+    // Not JSON; treat it as a list
+  }
+  return String(value).split(',').map(tag => tag.trim()).filter(Boolean)
+}
+
+/**
+ * ISO timestamp from a document date ("2019", "2019-04-01", ...); null if unparseable
+ */
+function isoDate(value) {
+  if (!value) return null
+  const date = new Date(/^\d{4}$/.test(value) ? `${value}-01-01` : value)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * Title from a file name without its extension
+ */
+function titleFromFilename(filename) {
+  return path.basename(filename, path.extname(filename)).replace(/[_-]+/g, ' ').trim() || 'Untitled'
+}
+
+/**
+ * Markdown and plain text of extracted document HTML. Images that only exist
+ * inside the file (or as data URIs) are left out of the markdown.
+ */
+function textVersions(contentHtml) {
+  const $ = cheerio.load(contentHtml || '')
+  $('img').filter((i, img) => !/^https?:/i.test($(img).attr('src') || '')).remove()
+
+  const markdown = htmlToMarkdown($('body').html() || '')
+  const text = markdownToText(markdown)
+  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length
+  return { markdown, text, wordCount }
+}
+
+/**
+ * The uncompressed-size budget for reading a zip, after checking the sizes
+ * its directory declares. Reads take from `remaining`.
+ */
+function zipBudget(zip) {
+  const declared = Object.values(zip.files)
+    .reduce((total, entry) => total + ((entry._data && entry._data.uncompressedSize) || 0), 0)
+
+  if (declared > MAX_UNCOMPRESSED_BYTES) {
+    throw new UploadFormatError(`File expands to ${declared} bytes; the limit is ${MAX_UNCOMPRESSED_BYTES}`, 'DOCUMENT_TOO_LARGE')
+  }
+  return { remaining: MAX_UNCOMPRESSED_BYTES }
+}
+
+/**
+ * Decompress a zip entry, taking its size from `budget`. The directory's
+ * sizes can lie, so the bytes are counted as they come out.
+ */
+function readZipEntry(entry, budget) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    const stream = entry.internalStream('uint8array')
+    let exceeded = false
+
+    stream
+      .on('data', chunk => {
+        if (exceeded) return
+        budget.remaining -= chunk.length
+        if (budget.remaining < 0) {
+          exceeded = true
+          stream.pause()
+          return reject(new UploadFormatError(`File expands past ${MAX_UNCOMPRESSED_BYTES} bytes`, 'DOCUMENT_TOO_LARGE'))
+        }
+        chunks.push(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.length))
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume()
+  })
+}
+
+/**
+ * Text of an entry in a zip file; null if it isn't there
+ */
+async function readZipText(zip, name, budget) {
+  const entry = zip.file(name)
+  return entry ? (await readZipEntry(entry, budget)).toString('utf8') : null
+}
+
+/**
+ * Parse an EPUB (2 or 3): metadata from the package document, chapters in
+ * spine order, table of contents from the EPUB 3 nav or the NCX, and images
+ * embedded as data URIs within MAX_EMBEDDED_IMAGE_BYTES
+ */
+async function extractEpub(body, filename) {
+  const zip = await JSZip.loadAsync(body).catch(() => {
+    throw new UploadFormatError('EPUB file is not a valid zip archive')
+  })
+  const budget = zipBudget(zip)
+
+  const container = await readZipText(zip, 'META-INF/container.xml', budget)
+  const packagePath = container && cheerio.load(container, { xmlMode: true })('rootfile').first().attr('full-path')
+  const packageXml = packagePath && await readZipText(zip, packagePath, budget)
+  if (!packageXml) {
+    throw new UploadFormatError('EPUB file has no package document')
+  }
+
+  const $package = cheerio.load(packageXml, { xmlMode: true })
+  const packageDir = path.posix.dirname(packagePath)
+  const resolve = (base, href) => path.posix.normalize(path.posix.join(base, decodeURIComponent(href.split('#')[0])))
+  const meta = name => $package(`metadata > dc\\:${name}, metadata > ${name}`).first().text().trim() || null
+
+  const manifest = {}
+  $package('manifest > item').each((i, item) => {
+    manifest[$package(item).attr('id')] = {
+      path: resolve(packageDir, $package(item).attr('href') || ''),
+      mediaType: $package(item).attr('media-type'),
+      properties: $package(item).attr('properties') || ''
+    }
+  })
+
+  const chapterPaths = $package('spine > itemref')
+    .toArray()
+    .filter(itemref => $package(itemref).attr('linear') !== 'no')
+    .map(itemref => manifest[$package(itemref).attr('idref')])
+    .filter(item => item && /html/.test(item.mediaType || ''))
+    .map(item => item.path)
+
+  if (chapterPaths.length === 0) {
+    throw new UploadFormatError('EPUB file has no readable chapters')
+  }
+
+  const sections = []
+  for (const [index, chapterPath] of chapterPaths.entries()) {
+    const chapter = await readZipText(zip, chapterPath, budget)
+    if (!chapter) continue
+
+    const $ = cheerio.load(chapter)
+    $('script, style, link, meta').remove()
+    // Point images at their place in the zip; they're embedded below
+    $('img[src]').each((i, img) => {
+      $(img).attr('src', `epub:${resolve(path.posix.dirname(chapterPath), $(img).attr('src'))}`)
+    })
+    sections.push(`<section data-chapter="${index + 1}">${$('body').html() || ''}</section>`)
+  }
+
+  const tableOfContents = await epubTableOfContents(zip, $package, manifest, resolve, budget)
+  const contentHtml = sections.join('\n')
+  const { markdown, text, wordCount } = textVersions(contentHtml)
+
+  const $content = cheerio.load(contentHtml, null, false)
+  let embeddedBytes = 0
+  for (const img of $content('img[src^="epub:"]').toArray()) {
+    const entry = zip.file($content(img).attr('src').substring(5))
+    const type = IMAGE_TYPES_BY_EXTENSION[path.extname($content(img).attr('src')).toLowerCase()]
+    const data = entry && type ? await readZipEntry(entry, budget) : null
+    if (data && embeddedBytes + data.length <= MAX_EMBEDDED_IMAGE_BYTES) {
+      embeddedBytes += data.length
+      $content(img).attr('src', `data:${type};base64,${data.toString('base64')}`)
+    } else {
+      $content(img).removeAttr('src')
+    }
+  }
+
+  const title = meta('title') || titleFromFilename(filename)
+  const author = meta('creator')
+  const description = meta('description')
+
+  return {
+    title,
+    description: description ? cheerio.load(description).text().trim().substring(0, 500) : text.substring(0, 200),
+    html: documentHtml(title, $content.html()),
+    contentHtml,
+    markdown,
+    text: text.substring(0, MAX_TEXT_LENGTH),
+    pageMetadata: {
+      author,
+      publishedAt: isoDate(meta('date')),
+      language: meta('language'),
+      siteName: meta('publisher')
+    },
+    wordCount,
+    readingTime: Math.ceil(wordCount / 200),
+    documentType: 'epub',
+    documentMetadata: {
+      chapter_count: sections.length,
+      table_of_contents: tableOfContents,
+      identifier: meta('identifier'),
+      publisher: meta('publisher'),
+      subjects: $package('metadata > dc\\:subject, metadata > subject').toArray().map(subject => $package(subject).text().trim()).filter(Boolean)
+    }
+  }
+}
+
+/**
+ * An EPUB's table of contents as [{ title, level }]: the EPUB 3 nav document
+ * if there is one, else the EPUB 2 NCX
+ */
+async function epubTableOfContents(zip, $package, manifest, resolve, budget) {
+  const items = Object.values(manifest)
+  const nav = items.find(item => item.properties.split(/\s+/).includes('nav'))
+  const navXml = nav && await readZipText(zip, nav.path, budget)
+  if (navXml) {
+    const $ = cheerio.load(navXml)
+    const toc = $('nav[epub\\:type="toc"], nav').first()
+    return toc.find('a').toArray().map(link => ({
+      title: $(link).text().replace(/\s+/g, ' ').trim(),
+      level: $(link).parentsUntil(toc, 'ol').length
+    })).filter(entry => entry.title)
+  }
+
+  const ncxId = $package('spine').attr('toc')
+  const ncx = (ncxId && manifest[ncxId]) || items.find(item => item.mediaType === 'application/x-dtbncx+xml')
+  const ncxXml = ncx && await readZipText(zip, ncx.path, budget)
+  if (!ncxXml) return []
+
+  const $ = cheerio.load(ncxXml, { xmlMode: true })
+  return $('navPoint').toArray().map(point => ({
+    title: $(point).children('navLabel').first().text().replace(/\s+/g, ' ').trim(),
+    level: $(point).parents('navPoint').length + 1
+  })).filter(entry => entry.title)
+}
+
+/**
+ * Convert a Word document with mammoth; core properties (title, author,
+ * dates) come from docProps/core.xml
+ */
+async function extractDocx(body, filename) {
+  const zip = await JSZip.loadAsync(body).catch(() => {
+    throw new UploadFormatError('DOCX file is not a valid zip archive')
+  })
+  if (!zip.file('word/document.xml')) {
+    throw new UploadFormatError('DOCX file has no document body')
+  }
+
+  // mammoth unpacks the file itself with no limit, so make sure it fits first
+  const budget = zipBudget(zip)
+  for (const entry of Object.values(zip.files)) {
+    if (!entry.dir) await readZipEntry(entry, budget)
+  }
+
+  const { value: contentHtml, messages } = await loadMammoth().convertToHtml({ buffer: body })
+  const { markdown, text, wordCount } = textVersions(contentHtml)
+
+  const coreXml = await readZipText(zip, 'docProps/core.xml', budget)
+  const $core = cheerio.load(coreXml || '', { xmlMode: true })
+  const core = name => $core(name.replace(':', '\\:')).first().text().trim() || null
+  const appXml = await readZipText(zip, 'docProps/app.xml', budget)
+  const pageCount = appXml ? parseInt(cheerio.load(appXml, { xmlMode: true })('Pages').first().text()) || null : null
+
+  const heading = cheerio.load(contentHtml)('h1').first().text().trim()
+  const title = core('dc:title') || heading || titleFromFilename(filename)
+  const author = core('dc:creator')
+
+  return {
+    title,
+    description: core('dc:description') || core('dc:subject') || text.substring(0, 200),
+    html: documentHtml(title, contentHtml),
+    contentHtml,
+    markdown,
+    text: text.substring(0, MAX_TEXT_LENGTH),
+    pageMetadata: {
+      author,
+      publishedAt: isoDate(core('dcterms:created')),
+      modifiedAt: isoDate(core('dcterms:modified')),
+      keywords: core('cp:keywords') ? core('cp:keywords').split(/[,;]\s*/).filter(Boolean) : null
+    },
+    wordCount,
+    readingTime: Math.ceil(wordCount / 200),
+    documentType: 'docx',
+    documentMetadata: {
+      page_count: pageCount,
+      subject: core('dc:subject'),
+      last_modified_by: core('cp:lastModifiedBy'),
+      conversion_warnings: messages.filter(message => message.type === 'warning').map(message => message.message).slice(0, 20)
+    }
+  }
+}
+
+/**
+ * A standalone HTML file, kept as uploaded with its main content extracted
+ */
+function extractHtmlFile(body, identifier, filename) {
+  const { text: html, charset } = decodeBody(body, null, 'html')
+  const article = extractMainContent(html, identifier)
+
+  return {
+    title: article.title || titleFromFilename(filename),
+    description: article.excerpt,
+    html,
+    contentHtml: article.html,
+    markdown: article.markdown,
+    text: article.text.substring(0, MAX_TEXT_LENGTH),
+    pageMetadata: { ...extractPageMetadata(html, identifier), author: article.byline || null },
+    wordCount: article.wordCount,
+    readingTime: article.readingTime,
+    charset,
+    documentType: 'html',
+    documentMetadata: null
+  }
+}
+
+/**
+ * Turn an uploaded file ({ body, filename }) into a capture result that
+ * buildArchiveRecord accepts, with the original in `originalFile`.
+ * Throws UploadFormatError for unsupported or unreadable files.
+ */
+async function extractUpload(file) {
+  const contentType = await detectUploadFormat(file)
+  const hash = crypto.createHash('sha256').update(file.body).digest('hex')
+  const identifier = uploadIdentifier(hash, file.filename)
+
+  let result
+  try {
+    if (contentType === UPLOAD_FORMATS.epub) {
+      result = await extractEpub(file.body, file.filename)
+    } else if (contentType === UPLOAD_FORMATS.docx) {
+      result = await extractDocx(file.body, file.filename)
+    } else if (contentType === UPLOAD_FORMATS.html) {
+      result = extractHtmlFile(file.body, identifier, file.filename)
+    } else {
+      // Markdown, PDFs and text are handled like the same files fetched from a URL
+      result = await extractDocument({ body: file.body, url: identifier }, identifier, contentType, {
+        fallbackTitle: titleFromFilename(file.filename)
+      })
+    }
+  } catch (error) {
+    if (error instanceof UploadFormatError) throw error
+    throw new UploadFormatError(`Could not read ${file.filename}: ${error.message}`)
+  }
+
+  if (!result.text || result.text.trim().length === 0) {
+    throw new UploadFormatError(`No text could be extracted from ${file.filename}`)
+  }
+
+  return {
+    screenshot: null,
+    ...result,
+    url: identifier,
+    contentType,
+    extractionMethod: 'upload',
+    originalFile: { body: file.body, contentType, filename: file.filename },
+    captureRecord: {
+      source: 'upload',
+      filename: file.filename,
+      size: file.body.length,
+      content_type: contentType,
+      sha256: hash,
+      uploaded_at: new Date().toISOString()
+    },
+    metadata: { finalUrl: identifier, extractedAt: new Date().toISOString() }
+  }
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  UploadFormatError,
+  uploadFilename,
+  parseUploadTags,
+  extractUpload
+}
@@ -0,0 +1,146 @@
+const DEFAULT_EXTRACTOR_TIMEOUT_MS = 45000
+
+/**
+ * Error raised when no registered extractor could produce content.
+ * `attempts` explains why each candidate failed.
+ */
+class ExtractionError extends Error {
+  constructor(message, attempts) {
+    super(message)
+    this.name = 'ExtractionError'
+    this.attempts = attempts
+  }
+}
+
+/**
+ * Create an extractor registry.
+ *
+ * An extractor is an object with:
+ * - name: unique identifier, recorded as the archive's extraction method
+ * - priority: lower runs first
+ * - cost: relative cost of a run (0 = free, local work); breaks priority ties
+ * - timeout: per-run timeout in ms (optional)
+ * - contentTypes: MIME types it handles (optional; checked when known)
+ * - matches(url, context): whether it applies to this URL (optional)
+ * - fetchesPage: it fetches the page itself rather than through
+ *   context.fetchPage (optional)
+ * - extract(url, context): resolves with a capture result, or null for "no content"
+ */
+function createExtractorRegistry() {
+  const extractors = []
+
+  function sortExtractors() {
+    extractors.sort((a, b) => (a.priority - b.priority) || ((a.cost || 0) - (b.cost || 0)))
+  }
+
+  return {
+    register(extractor) {
+      if (!extractor || !extractor.name || typeof extractor.extract !== 'function') {
+        throw new Error('Extractors need a name and an extract function')
+      }
+      if (extractors.some(existing => existing.name === extractor.name)) {
+        throw new Error(`Extractor already registered: ${extractor.name}`)
+      }
+
+      extractors.push({ priority: 100, cost: 0, ...extractor })
+      sortExtractors()
+    },
+
+    unregister(name) {
+      const index = extractors.findIndex(extractor => extractor.name === name)
+      if (index !== -1) extractors.splice(index, 1)
+    },
+
+    list() {
+      return extractors.map(({ name, priority, cost, contentTypes }) => ({ name, priority, cost, contentTypes }))
+    },
+
+    candidatesFor(url, context = {}) {
+      return extractors.filter(extractor => {
+        if (extractor.contentTypes && context.contentType) {
+          const mimeType = context.contentType.split(';')[0].trim().toLowerCase()
+          if (!extractor.contentTypes.includes(mimeType)) return false
+        }
+        return !extractor.matches || extractor.matches(url, context)
+      })
+    }
+  }
+}
+
+/**
+ * Run a promise with a timeout
+ */
+function withTimeout(promise, timeoutMs, name) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeoutMs}ms`)), timeoutMs)
+  })
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Run the registry's matching extractors in order until one produces content.
+ *
+ * The winning result gets `extractionMethod` (the extractor's name, unless it
+ * set its own) and `extraction` ({ extractor, attempts }) describing every
+ * attempt. `shouldAbort(error)` lets callers stop on errors no other extractor
+ * could recover from (e.g. a blocked URL).
+ */
+async function runExtractors(registry, url, context = {}, options = {}) {
+  const { shouldAbort = () => false } = options
+  const attempts = []
+
+  for (const extractor of registry.candidatesFor(url, context)) {
+    const startedAt = Date.now()
+
+    try {
+      const result = await withTimeout(
+        Promise.resolve().then(() => extractor.extract(url, context)),
+        extractor.timeout || DEFAULT_EXTRACTOR_TIMEOUT_MS,
+        extractor.name
+      )
+
+      if (!result) {
+        attempts.push({ extractor: extractor.name, outcome: 'no_content', durationMs: Date.now() - startedAt })
+        continue
+      }
+
+      attempts.push({ extractor: extractor.name, outcome: 'succeeded', durationMs: Date.now() - startedAt })
+      console.log(`✅ ${extractor.name} extraction successful for ${url}`)
+
+      return {
+        ...result,
+        extractionMethod: result.extractionMethod || extractor.name,
+        extraction: { extractor: extractor.name, attempts }
+      }
+    } catch (error) {
+      attempts.push({
+        extractor: extractor.name,
+        outcome: 'failed',
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      })
+      console.log(`⚠️ ${extractor.name} failed for ${url}: ${error.message}`)
+
+      if (shouldAbort(error)) {
+        error.attempts = attempts
+        throw error
+      }
+    }
+  }
+
+  const reasons = attempts.map(attempt => `${attempt.extractor}: ${attempt.error || attempt.outcome}`)
+  throw new ExtractionError(
+    attempts.length > 0
+      ? `Failed to extract content (${reasons.join('; ')})`
+      : 'No extractor available for this URL',
+    attempts
+  )
+}
+
+module.exports = {
+  ExtractionError,
+  createExtractorRegistry,
+  runExtractors
+}
@@ -6,11 +6,14 @@ const firecrawl = process.env.FIRECRAWL_API_KEY ?
   new Firecrawl({ apiKey: process.env.FIRECRAWL_API_KEY }) : null
 
 /**
- * Extract clean content from a URL using Firecrawl
+ * Extract clean content from a URL using Firecrawl.
+ * Resolves with null on failure unless `throwOnError` is set.
  */
-async function extractWithFirecrawl(url) {
+async function extractWithFirecrawl(url, options = {}) {
+  const { throwOnError = false } = options
+
   if (!firecrawl) {
-    console.warn('Firecrawl API key not configured, falling back to Puppeteer')
+    console.warn('Firecrawl API key not configured, falling back to the readability extractor')
     return null
   }
 
@@ -18,7 +21,7 @@ async function extractWithFirecrawl(url) {
     console.log(`Extracting content with Firecrawl: ${url}`)
 
     const scrapeResult = await firecrawl.scrape(url, {
-      formats: ['markdown', 'html'],
+      formats: ['markdown', 'html', 'rawHtml'],
       waitFor: 3000,
       timeout: 30000,
       onlyMainContent: true, // Extract only main content, remove navigation/ads
@@ -27,6 +30,7 @@ async function extractWithFirecrawl(url) {
 
     if (!scrapeResult || !scrapeResult.markdown) {
       console.error('Firecrawl extraction failed: No content returned')
+      if (throwOnError) throw new Error('Firecrawl returned no content')
       return null
     }
 
@@ -39,10 +43,15 @@ async function extractWithFirecrawl(url) {
       keywords: data.metadata?.keywords || '',
       author: data.metadata?.author || '',
       publishedTime: data.metadata?.publishedTime || '',
+      modifiedTime: data.metadata?.modifiedTime || '',
+      language: data.metadata?.language || '',
+      favicon: data.metadata?.favicon || '',
+      ogSiteName: data.metadata?.ogSiteName || '',
       ogTitle: data.metadata?.ogTitle || '',
       ogDescription: data.metadata?.ogDescription || '',
       ogImage: data.metadata?.ogImage || '',
       sourceURL: data.metadata?.sourceURL || url,
+      finalUrl: data.metadata?.url || data.metadata?.sourceURL || url,
       statusCode: data.metadata?.statusCode || 200
     }
 
@@ -90,6 +99,7 @@ async function extractWithFirecrawl(url) {
       description: metadata.description || metadata.ogDescription || '',
       markdown: cleanMarkdown,
       html: data.html || '',
+      sourceHtml: data.rawHtml || '', // Full page, for metadata extraction
       text: plainText,
       metadata: metadata,
       wordCount: plainText.split(/\s+/).filter(word => word.length > 0).length,
@@ -105,44 +115,11 @@ async function extractWithFirecrawl(url) {
 
   } catch (error) {
     console.error('Firecrawl extraction error:', error)
+    if (throwOnError) throw error
     return null
   }
 }
 
-/**
- * Enhanced archiving function that tries Firecrawl first, then falls back to Puppeteer
- */
-async function archivePageWithFirecrawl(url, fallbackFunction) {
-  // Try Firecrawl first
-  const firecrawlResult = await extractWithFirecrawl(url)
-
-  if (firecrawlResult) {
-    console.log(`✅ Firecrawl extraction successful for ${url}`)
-    return firecrawlResult
-  }
-
-  // Fallback to Puppeteer if Firecrawl fails
-  console.log(`⚠️ Firecrawl failed, falling back to Puppeteer for ${url}`)
-
-  try {
-    const puppeteerResult = await fallbackFunction(url)
-
-    // Add extraction method info
-    if (puppeteerResult) {
-      puppeteerResult.extractionMethod = 'puppeteer-fallback'
-      puppeteerResult.metadata = {
-        ...puppeteerResult.metadata,
-        extractionMethod: 'puppeteer-fallback'
-      }
-    }
-
-    return puppeteerResult
-  } catch (error) {
-    console.error('Both Firecrawl and Puppeteer failed:', error)
-    throw new Error(`Failed to extract content: ${error.message}`)
-  }
-}
-
 /**
  * Batch process multiple URLs with Firecrawl
  */
@@ -208,7 +185,6 @@ async function getFirecrawlUsage() {
 
 module.exports = {
   extractWithFirecrawl,
-  archivePageWithFirecrawl,
   batchExtractWithFirecrawl,
   isFirecrawlAvailable,
   getFirecrawlUsage
@@ -16,9 +16,12 @@ function hashContent(url, content) {
 }
 
 /**
- * Generate embeddings for text using Gemini
+ * Generate embeddings for text using Gemini.
+ * Resolves with null on failure unless `throwOnError` is set.
  */
-async function generateEmbedding(text) {
+async function generateEmbedding(text, options = {}) {
+  const { throwOnError = false } = options
+
   if (!genAI) {
     console.warn('Gemini API key not configured, skipping embeddings')
     return null
@@ -32,6 +35,7 @@ async function generateEmbedding(text) {
 
     return embedding.values // Returns 768-dimensional vector
   } catch (error) {
+    if (throwOnError) throw error
     console.error('Error generating Gemini embedding:', error)
     return null
   }
@@ -80,9 +84,14 @@ function chunkText(text, chunkSize = 1500, overlap = 300) {
 }
 
 /**
- * Process an archive with shared embeddings system
+ * Process an archive with shared embeddings system.
+ * Skips chunks that fail and resolves with the rest unless `throwOnError`
+ * is set, in which case the first failure rejects. Stops between chunks
+ * once `signal` aborts.
  */
-async function processArchiveWithSharedEmbeddings(archive, supabase) {
+async function processArchiveWithSharedEmbeddings(archive, supabase, options = {}) {
+  const { throwOnError = false, signal } = options
+
   if (!genAI) {
     console.log('Embeddings disabled - Gemini API key not configured')
     return
@@ -101,6 +110,8 @@ async function processArchiveWithSharedEmbeddings(archive, supabase) {
 
     // Process each chunk
     for (const chunk of chunks) {
+      if (signal) signal.throwIfAborted()
+
       // Generate hash for this content
       const contentHash = hashContent(archive.url, chunk.content)
 
@@ -120,7 +131,7 @@ async function processArchiveWithSharedEmbeddings(archive, supabase) {
         console.log(`Reusing existing embedding for chunk ${chunk.index}`)
       } else {
         // Generate new embedding
-        const embedding = await generateEmbedding(chunk.content)
+        const embedding = await generateEmbedding(chunk.content, { throwOnError })
 
         if (embedding) {
           // Store in content_embeddings table
@@ -135,6 +146,7 @@ async function processArchiveWithSharedEmbeddings(archive, supabase) {
             })
 
           if (error) {
+            if (throwOnError) throw error
             console.error('Error storing content embedding:', error)
             continue
           }
@@ -160,6 +172,7 @@ async function processArchiveWithSharedEmbeddings(archive, supabase) {
           })
 
         if (linkError) {
+          if (throwOnError) throw linkError
           console.error('Error linking content to user:', linkError)
         }
       }
@@ -171,11 +184,39 @@ async function processArchiveWithSharedEmbeddings(archive, supabase) {
     console.log(`Successfully processed ${contentIds.length} embeddings for archive ${archive.id}`)
     return contentIds
   } catch (error) {
+    if (throwOnError) throw error
     console.error('Error processing archive with shared embeddings:', error)
     return []
   }
 }
 
+/**
+ * Re-embed an archive whose content changed (e.g. a different version became
+ * active) and unlink the chunks of its previous content from the user
+ */
+async function reprocessArchiveEmbeddings(archive, supabase, options = {}) {
+  const contentIds = await processArchiveWithSharedEmbeddings(archive, supabase, options)
+
+  // Embeddings disabled or failed: keep the old links rather than none
+  if (!contentIds || contentIds.length === 0) {
+    return contentIds
+  }
+
+  const { error } = await supabase
+    .from('user_content')
+    .delete()
+    .eq('user_id', archive.user_id)
+    .eq('archive_id', archive.id)
+    .not('content_id', 'in', `(${contentIds.join(',')})`)
+
+  if (error) {
+    if (options.throwOnError) throw error
+    console.error('Error unlinking stale content:', error)
+  }
+
+  return contentIds
+}
+
 /**
  * Search archives using shared semantic search
  */
@@ -279,6 +320,7 @@ module.exports = {
   chunkText,
   hashContent,
   processArchiveWithSharedEmbeddings,
+  reprocessArchiveEmbeddings,
   searchWithSharedEmbeddings,
   hybridSearchWithSharedEmbeddings,
   batchProcessEmbeddings
@@ -0,0 +1,214 @@
+const cheerio = require('cheerio')
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+])
+
+/**
+ * Escape characters that would otherwise be read as markdown syntax
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1')
+}
+
+/**
+ * Collapse whitespace the way a browser renders inline text
+ */
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ')
+}
+
+/**
+ * Convert a table element to a GitHub-flavoured markdown table
+ */
+function tableToMarkdown($, table, convertInline) {
+  const rows = []
+  $(table).find('tr').each((i, row) => {
+    const cells = []
+    $(row).children('th, td').each((j, cell) => {
+      cells.push(convertInline(cell).replace(/\|/g, '\\|').replace(/\n+/g, ' ').trim())
+    })
+    if (cells.length > 0) rows.push(cells)
+  })
+
+  if (rows.length === 0) return ''
+
+  const columnCount = Math.max(...rows.map(row => row.length))
+  const pad = row => [...row, ...Array(columnCount - row.length).fill('')]
+  const lines = [
+    `| ${pad(rows[0]).join(' | ')} |`,
+    `| ${Array(columnCount).fill('---').join(' | ')} |`,
+    ...rows.slice(1).map(row => `| ${pad(row).join(' | ')} |`)
+  ]
+
+  return lines.join('\n')
+}
+
+/**
+ * Convert an HTML fragment to markdown. Keeps headings, paragraphs, lists,
+ * links, images, emphasis, code, blockquotes and tables.
+ */
+function htmlToMarkdown(html, options = {}) {
+  const { baseUrl } = options
+  const $ = cheerio.load(html || '')
+
+  const resolveUrl = value => {
+    if (!value || !baseUrl) return value || ''
+    try {
+      return new URL(value, baseUrl).href
+    } catch {
+      return value
+    }
+  }
+
+  function convertChildren(element, context) {
+    return $(element).contents().toArray().map(child => convertNode(child, context)).join('')
+  }
+
+  function convertInline(element) {
+    return convertChildren(element, { inline: true, listDepth: 0 })
+  }
+
+  function convertList(element, context, ordered) {
+    const depth = context.listDepth || 0
+    const indent = '  '.repeat(depth)
+    const start = parseInt($(element).attr('start')) || 1
+
+    const items = $(element).children('li').toArray().map((item, index) => {
+      const marker = ordered ? `${start + index}.` : '-'
+      const content = convertChildren(item, { ...context, listDepth: depth + 1 })
+        .trim()
+        .replace(/\n{2,}/g, '\n')
+        .replace(/\n(?!\s*(?:-|\d+\.) )/g, `\n${indent}  `)
+      return `${indent}${marker} ${content}`
+    })
+
+    return `\n\n${items.join('\n')}\n\n`
+  }
+
+  function convertNode(node, context) {
+    if (node.type === 'text') {
+      return context.pre ? node.data : escapeMarkdown(collapseWhitespace(node.data))
+    }
+    if (node.type !== 'tag') {
+      return ''
+    }
+
+    const tag = node.name.toLowerCase()
+
+    switch (tag) {
+      case 'script':
+      case 'style':
+      case 'noscript':
+      case 'template':
+        return ''
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const text = convertInline(node).trim()
+        return text ? `\n\n${'#'.repeat(parseInt(tag[1]))} ${text}\n\n` : ''
+      }
+      case 'p':
+        return `\n\n${convertChildren(node, context).trim()}\n\n`
+      case 'br':
+        return context.pre ? '\n' : '  \n'
+      case 'hr':
+        return '\n\n---\n\n'
+      case 'strong':
+      case 'b': {
+        const text = convertChildren(node, context).trim()
+        return text ? `**${text}**` : ''
+      }
+      case 'em':
+      case 'i': {
+        const text = convertChildren(node, context).trim()
+        return text ? `_${text}_` : ''
+      }
+      case 'del':
+      case 's':
+        return `~~${convertChildren(node, context).trim()}~~`
+      case 'code':
+        if (context.pre) return $(node).text()
+        return '`' + $(node).text().replace(/`/g, '\\`') + '`'
+      case 'pre': {
+        const codeElement = $(node).children('code').first()
+        const className = codeElement.attr('class') || $(node).attr('class') || ''
+        const language = (className.match(/(?:language|lang)-([\w+#-]+)/) || [])[1] || ''
+        const code = $(node).text().replace(/\n+$/, '')
+        return `\n\n\`\`\`${language}\n${code}\n\`\`\`\n\n`
+      }
+      case 'a': {
+        const text = convertChildren(node, context).trim()
+        const href = $(node).attr('href')
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text
+        return text ? `[${text}](${resolveUrl(href)})` : ''
+      }
+      case 'img': {
+        const src = $(node).attr('src') || $(node).attr('data-src')
+        if (!src || src.startsWith('data:')) return ''
+        const alt = ($(node).attr('alt') || '').replace(/[[\]]/g, '')
+        return `![${alt}](${resolveUrl(src)})`
+      }
+      case 'ul':
+        return convertList(node, context, false)
+      case 'ol':
+        return convertList(node, context, true)
+      case 'blockquote': {
+        const content = convertChildren(node, context).trim().replace(/\n{3,}/g, '\n\n')
+        return `\n\n${content.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`
+      }
+      case 'table':
+        return `\n\n${tableToMarkdown($, node, convertInline)}\n\n`
+      case 'figure':
+      case 'figcaption':
+        return `\n\n${convertChildren(node, context).trim()}\n\n`
+      default: {
+        const content = convertChildren(node, context)
+        return BLOCK_ELEMENTS.has(tag) && !context.inline ? `\n\n${content}\n\n` : content
+      }
+    }
+  }
+
+  const root = $('body').length ? $('body').get(0) : $.root().get(0)
+  const markdown = convertChildren(root, { listDepth: 0 })
+
+  let inCodeBlock = false
+  return markdown
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('```')) inCodeBlock = !inCodeBlock
+      // Stray inter-element whitespace shouldn't indent regular lines
+      return inCodeBlock ? line.trimEnd() : line.replace(/^ (?=[^\s-\d])/, '').trimEnd()
+    })
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * Flatten markdown into plain text for search
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1') // Keep code block contents
+    .replace(/`([^`]*)`/g, '$1') // Keep inline code text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images to alt text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // Convert links to text
+    .replace(/^\|?[\s|:-]*-{3,}[\s|:-]*$/gm, '') // Remove table separator rows
+    .replace(/\s\|\s|^\|\s|\s\|$/gm, ' ') // Remove table cell borders
+    .replace(/^\s*(#{1,6}|>|-|\d+\.)\s+/gm, '') // Remove block markers
+    .replace(/[*_~]{1,2}([^*_~]+)[*_~]{1,2}/g, '$1') // Remove emphasis
+    .replace(/\\([\\`*_[\]])/g, '$1') // Unescape
+    .replace(/\s+/g, ' ') // Collapse whitespace
+    .trim()
+}
+
+module.exports = {
+  htmlToMarkdown,
+  markdownToText
+}
@@ -0,0 +1,333 @@
+// Import runs (Pocket CSV and WARC imports) and the state of every URL in
+// them, so an import can report its progress, be cancelled, resume after a
+// crash and retry just the URLs that failed. One row per run in `imports`
+// (id, user_id, source, status, job_id, options, total_count,
+// pending_count, archived_count, skipped_count, failed_count, last_error,
+// created_at, updated_at, started_at, completed_at) and one per URL in
+// `import_items` (id, import_id, user_id, position, url, title, tags, state,
+// error, error_code, archive_id, rejection_id, updated_at). The run itself
+// is an 'import' job (see job-queue.js) that works through pending items.
+// A WARC import's file is kept in storage while the run needs it.
+
+const IMPORT_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed']
+const IMPORT_ITEM_STATES = ['pending', 'archived', 'skipped-duplicate', 'failed']
+
+// Count column on `imports` for each item state
+const STATE_COUNT_COLUMNS = {
+  pending: 'pending_count',
+  archived: 'archived_count',
+  'skipped-duplicate': 'skipped_count',
+  failed: 'failed_count'
+}
+
+const IMPORT_COLUMNS = 'id, source, status, job_id, total_count, pending_count, archived_count, skipped_count, failed_count, last_error, created_at, updated_at, started_at, completed_at'
+const IMPORT_ITEM_COLUMNS = 'id, position, url, title, tags, state, error, error_code, archive_id, rejection_id, updated_at'
+
+// Rows per insert, and per page when reading items back (PostgREST caps responses)
+const ITEM_PAGE_SIZE = 500
+
+/**
+ * Store a new import run with its URLs ({ url, title, tags }), all pending
+ */
+async function createImport(supabase, userId, items, options = {}) {
+  const { source = 'pocket', importOptions = {} } = options
+
+  const { data: record, error } = await supabase
+    .from('imports')
+    .insert({
+      user_id: userId,
+      source,
+      status: 'queued',
+      options: importOptions,
+      total_count: items.length,
+      pending_count: items.length,
+      archived_count: 0,
+      skipped_count: 0,
+      failed_count: 0
+    })
+    .select(IMPORT_COLUMNS)
+    .single()
+
+  if (error) throw error
+
+  for (let i = 0; i < items.length; i += ITEM_PAGE_SIZE) {
+    const rows = items.slice(i, i + ITEM_PAGE_SIZE).map((item, offset) => ({
+      import_id: record.id,
+      user_id: userId,
+      position: i + offset,
+      url: item.url,
+      title: item.title || null,
+      tags: item.tags || [],
+      state: 'pending'
+    }))
+
+    const { error: itemsError } = await supabase
+      .from('import_items')
+      .insert(rows)
+
+    if (itemsError) {
+      // Don't leave a run behind that can't be resumed
+      await supabase.from('imports').delete().eq('id', record.id)
+      throw itemsError
+    }
+  }
+
+  return record
+}
+
+/**
+ * Get one of the user's import runs; null if it doesn't exist
+ */
+async function getImport(supabase, userId, importId) {
+  const { data, error } = await supabase
+    .from('imports')
+    .select(IMPORT_COLUMNS)
+    .eq('id', importId)
+    .eq('user_id', userId)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+  return data || null
+}
+
+/**
+ * The user's import runs, newest first
+ */
+async function listImports(supabase, userId, options = {}) {
+  const { status, limit = 50, offset = 0 } = options
+
+  let query = supabase
+    .from('imports')
+    .select(IMPORT_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (Array.isArray(status)) query = query.in('status', status)
+  else if (status) query = query.eq('status', status)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * An import run's URLs in CSV order, optionally only those in one state
+ */
+async function listImportItems(supabase, importId, options = {}) {
+  const { state, limit = 100, offset = 0 } = options
+
+  let query = supabase
+    .from('import_items')
+    .select(IMPORT_ITEM_COLUMNS)
+    .eq('import_id', importId)
+    .order('position', { ascending: true })
+    .range(offset, offset + limit - 1)
+
+  if (state) query = query.eq('state', state)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Update an import run's status, job or counts
+ */
+async function updateImport(supabase, importId, fields) {
+  const { data, error } = await supabase
+    .from('imports')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', importId)
+    .select(IMPORT_COLUMNS)
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Count an import run's items in each state, as `imports` count columns
+ */
+async function countImportItems(supabase, importId) {
+  const counts = {}
+
+  for (const state of IMPORT_ITEM_STATES) {
+    const { count, error } = await supabase
+      .from('import_items')
+      .select('id', { count: 'exact', head: true })
+      .eq('import_id', importId)
+      .eq('state', state)
+
+    if (error) throw error
+    counts[STATE_COUNT_COLUMNS[state]] = count || 0
+  }
+
+  return counts
+}
+
+/**
+ * Put an import run's failed URLs back to pending. Resolves to how many.
+ */
+async function resetFailedImportItems(supabase, importId) {
+  const { data, error } = await supabase
+    .from('import_items')
+    .update({ state: 'pending', error: null, error_code: null, rejection_id: null, updated_at: new Date().toISOString() })
+    .eq('import_id', importId)
+    .eq('state', 'failed')
+    .select('id')
+
+  if (error) throw error
+
+  await updateImport(supabase, importId, await countImportItems(supabase, importId))
+  return data ? data.length : 0
+}
+
+/**
+ * Item fields for a processPocketImport result
+ */
+function itemOutcome(result) {
+  const outcome = { error: null, error_code: null, rejection_id: null, updated_at: new Date().toISOString() }
+
+  if (!result.success) {
+    return {
+      ...outcome,
+      state: 'failed',
+      error: result.error || 'Unknown error',
+      error_code: result.code || null,
+      rejection_id: result.rejection_id || null
+    }
+  }
+
+  return {
+    ...outcome,
+    state: result.skipped ? 'skipped-duplicate' : 'archived',
+    archive_id: result.archive ? result.archive.id : null
+  }
+}
+
+/**
+ * Every pending item of an import run, a page at a time
+ */
+async function loadPendingItems(supabase, importId) {
+  const items = []
+
+  for (let offset = 0; ; offset += ITEM_PAGE_SIZE) {
+    const page = await listImportItems(supabase, importId, { state: 'pending', limit: ITEM_PAGE_SIZE, offset })
+    items.push(...page)
+    if (page.length < ITEM_PAGE_SIZE) return items
+  }
+}
+
+/**
+ * Work through an import run's pending URLs with `processImport`
+ * (processPocketImport's signature, plus the run's `importId` in its options),
+ * recording each URL's outcome from its onProgress callback. Items already
+ * archived, skipped or failed are left alone, so running it again resumes
+ * where the last run stopped.
+ */
+async function runImport(supabase, importId, processImport, options = {}) {
+  const { isCancelled = () => false } = options
+
+  const { data: record, error } = await supabase
+    .from('imports')
+    .select('id, user_id, status, options, started_at')
+    .eq('id', importId)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+  if (!record || record.status === 'cancelled') {
+    return { skipped: record ? 'Import cancelled' : 'Import not found' }
+  }
+
+  const pending = await loadPendingItems(supabase, importId)
+  const counts = await countImportItems(supabase, importId)
+
+  await updateImport(supabase, importId, {
+    ...counts,
+    status: 'running',
+    last_error: null,
+    started_at: record.started_at || new Date().toISOString(),
+    completed_at: null
+  })
+
+  // Outcomes are written one at a time, in the order they're reported
+  let writes = Promise.resolve()
+  const recordOutcome = async (item, result) => {
+    try {
+      const outcome = itemOutcome(result)
+      const { error: itemError } = await supabase
+        .from('import_items')
+        .update(outcome)
+        .eq('id', item.itemId)
+
+      if (itemError) throw itemError
+
+      counts.pending_count--
+      counts[STATE_COUNT_COLUMNS[outcome.state]]++
+      await updateImport(supabase, importId, counts)
+    } catch (writeError) {
+      console.error(`Failed to record import outcome for ${item.url}:`, writeError)
+    }
+  }
+
+  try {
+    const results = await processImport(
+      pending.map(item => ({ url: item.url, title: item.title || '', tags: item.tags || [], itemId: item.id, position: item.position })),
+      record.user_id,
+      {
+        ...record.options,
+        importId,
+        isCancelled,
+        onProgress: ({ item, currentResult }) => {
+          writes = writes.then(() => recordOutcome(item, currentResult))
+        }
+      }
+    )
+    await writes
+
+    // A cancel made from another process may not have reached isCancelled() yet
+    const { data: current, error: currentError } = await supabase
+      .from('imports')
+      .select('status')
+      .eq('id', importId)
+      .single()
+
+    if (currentError) throw currentError
+
+    const cancelled = (results && results.cancelled) || isCancelled() || current.status === 'cancelled'
+    const finished = await updateImport(supabase, importId, {
+      ...await countImportItems(supabase, importId),
+      status: cancelled ? 'cancelled' : 'completed',
+      completed_at: new Date().toISOString()
+    })
+
+    console.log(`✅ Import ${importId} ${finished.status}: ${finished.archived_count} archived, ${finished.skipped_count} skipped, ${finished.failed_count} failed, ${finished.pending_count} pending`)
+    return {
+      status: finished.status,
+      archived: finished.archived_count,
+      skipped: finished.skipped_count,
+      failed: finished.failed_count,
+      pending: finished.pending_count
+    }
+  } catch (runError) {
+    await writes
+    await updateImport(supabase, importId, { status: 'failed', last_error: runError.message }).catch(updateError => {
+      console.error(`Failed to mark import ${importId} as failed:`, updateError)
+    })
+    throw runError
+  }
+}
+
+module.exports = {
+  IMPORT_STATUSES,
+  IMPORT_ITEM_STATES,
+  createImport,
+  getImport,
+  listImports,
+  listImportItems,
+  updateImport,
+  countImportItems,
+  resetFailedImportItems,
+  runImport
+}
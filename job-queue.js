@@ -0,0 +1,414 @@
+const crypto = require('crypto')
+const os = require('os')
+
+// Durable background jobs (embeddings, knowledge-graph extraction, summaries,
+// captures, imports), so a restart or deploy doesn't lose enrichment work.
+// Jobs live in `jobs` (id, user_id, type, payload, status, attempts,
+// max_attempts, run_at, locked_by, locked_at, last_error, result,
+// created_at, updated_at, completed_at). Status is one of:
+// - queued: waiting for run_at (new, or retrying after a failure)
+// - running: claimed by a worker, which refreshes locked_at while it runs
+// - succeeded, cancelled
+// - dead: failed max_attempts times, or with an error marked non-retryable
+// A running job whose locked_at goes stale belonged to a worker that stopped
+// (crash, deploy) and is queued again.
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead', 'cancelled']
+
+const DEFAULT_QUEUE_OPTIONS = {
+  staleAfterMs: parseInt(process.env.JOB_STALE_MS) || 90 * 1000,
+  baseBackoffMs: parseInt(process.env.JOB_BACKOFF_MS) || 30 * 1000,
+  maxBackoffMs: 6 * 60 * 60 * 1000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5
+}
+
+// Listing columns (no payload or result)
+const JOB_SUMMARY_COLUMNS = 'id, type, status, attempts, max_attempts, run_at, last_error, created_at, updated_at, completed_at'
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential with jitter
+ */
+function backoffDelay(attempt, baseBackoffMs, maxBackoffMs) {
+  const delay = Math.min(maxBackoffMs, baseBackoffMs * 2 ** (attempt - 1))
+  return Math.round(delay * (0.75 + Math.random() * 0.5))
+}
+
+/**
+ * Parse per-type concurrency overrides such as "embed:4,capture:1"
+ */
+function parseJobConcurrency(value) {
+  const concurrency = {}
+  for (const pair of String(value || '').split(',')) {
+    const [type, limit] = pair.split(':').map(part => part.trim())
+    if (type && parseInt(limit) > 0) concurrency[type] = parseInt(limit)
+  }
+  return concurrency
+}
+
+/**
+ * Create a job queue.
+ *
+ * Handlers are registered per type with register(type, handler, { concurrency,
+ * maxAttempts, timeout }); handler(payload, context) gets `context.job`,
+ * `context.isCancelled()` and `context.signal`, which aborts on timeout or
+ * cancellation. Throw to fail the attempt (an error with `retryable: false`
+ * goes straight to dead). A job keeps its slot and its lock until the handler
+ * has actually returned, even after a timeout, so it never runs twice at once.
+ *
+ * enqueue() stores a job and tries to start it at once; poll() (run it on a
+ * timer) recovers stale jobs and starts due ones, up to each type's
+ * concurrency in this process; call start() once at boot to recover jobs a
+ * previous process left running.
+ */
+function createJobQueue(supabase, options = {}) {
+  const { staleAfterMs, baseBackoffMs, maxBackoffMs, maxAttempts } = { ...DEFAULT_QUEUE_OPTIONS, ...options }
+  const workerId = options.workerId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`
+  const handlers = new Map()
+  const running = new Map() // job id -> { type, cancelled, controller }
+  let polling = null
+
+  function cancelEntry(entry) {
+    entry.cancelled = true
+    entry.controller.abort(new Error('Job cancelled'))
+  }
+
+  function activeCount(type) {
+    let count = 0
+    for (const entry of running.values()) {
+      if (entry.type === type) count++
+    }
+    return count
+  }
+
+  /**
+   * Keep a running job's lock fresh; notices when it was cancelled meanwhile
+   */
+  function startHeartbeat(job, entry) {
+    const timer = setInterval(async () => {
+      try {
+        const { data, error } = await supabase
+          .from('jobs')
+          .update({ locked_at: new Date().toISOString() })
+          .eq('id', job.id)
+          .eq('status', 'running')
+          .eq('locked_by', workerId)
+          .select('id')
+
+        if (error) throw error
+        if (!data || data.length === 0) cancelEntry(entry)
+      } catch (error) {
+        console.error(`Failed to refresh lock of job ${job.id}:`, error)
+      }
+    }, Math.max(1000, Math.floor(staleAfterMs / 3)))
+    if (timer.unref) timer.unref()
+    return timer
+  }
+
+  /**
+   * Record how an attempt ended. Updates only apply while this worker still
+   * holds the job, so a cancellation made meanwhile sticks.
+   */
+  async function finish(job, update) {
+    const { error } = await supabase
+      .from('jobs')
+      .update({ ...update, locked_by: null, locked_at: null, updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('locked_by', workerId)
+
+    if (error) console.error(`Failed to record outcome of job ${job.id}:`, error)
+  }
+
+  async function execute(job) {
+    const definition = handlers.get(job.type)
+    const entry = { type: job.type, cancelled: false, controller: new AbortController() }
+    running.set(job.id, entry)
+    const heartbeat = startHeartbeat(job, entry)
+
+    // Past the timeout the handler is asked to stop, but the job stays ours
+    // until it has; only then is it queued for another attempt
+    let timedOut = false
+    const timer = definition.timeout && setTimeout(() => {
+      timedOut = true
+      console.warn(`⏱️  Job ${job.type} ${job.id} timed out after ${definition.timeout}ms; waiting for it to stop`)
+      entry.controller.abort(new Error(`${job.type} job timed out after ${definition.timeout}ms`))
+    }, definition.timeout)
+
+    try {
+      const result = await definition.handler(job.payload || {}, {
+        job,
+        signal: entry.controller.signal,
+        isCancelled: () => entry.cancelled
+      })
+      await finish(job, { status: 'succeeded', result: result === undefined ? null : result, last_error: null, completed_at: new Date().toISOString() })
+    } catch (caught) {
+      const error = timedOut && caught.retryable !== false ? entry.controller.signal.reason : caught
+      const retryable = error.retryable !== false && job.attempts < job.max_attempts
+      console.error(`❌ Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error.message)
+
+      await finish(job, retryable
+        ? { status: 'queued', last_error: error.message, run_at: new Date(Date.now() + backoffDelay(job.attempts, baseBackoffMs, maxBackoffMs)).toISOString() }
+        : { status: 'dead', last_error: error.message, completed_at: new Date().toISOString() })
+    } finally {
+      clearTimeout(timer)
+      clearInterval(heartbeat)
+      running.delete(job.id)
+    }
+
+    // A slot is free; start whatever is waiting
+    if (polling === null) poll().catch(err => console.error('Job poll error:', err))
+  }
+
+  /**
+   * Claim up to `limit` due jobs of a type. The status condition on the
+   * update means only one worker wins each job.
+   */
+  async function claim(type, limit) {
+    const { data: due, error } = await supabase
+      .from('jobs')
+      .select('id, attempts')
+      .eq('type', type)
+      .eq('status', 'queued')
+      .lte('run_at', new Date().toISOString())
+      .order('run_at', { ascending: true })
+      .limit(limit)
+
+    if (error) throw error
+
+    const claimed = []
+    for (const candidate of due || []) {
+      const now = new Date().toISOString()
+      const { data, error: claimError } = await supabase
+        .from('jobs')
+        .update({ status: 'running', locked_by: workerId, locked_at: now, attempts: candidate.attempts + 1, updated_at: now })
+        .eq('id', candidate.id)
+        .eq('status', 'queued')
+        .select('*')
+
+      if (claimError) throw claimError
+      if (data && data.length > 0) claimed.push(data[0])
+    }
+    return claimed
+  }
+
+  /**
+   * Queue again the running jobs whose worker stopped refreshing them; those
+   * out of attempts are dead. Resolves to the number recovered.
+   */
+  async function recover() {
+    const cutoff = new Date(Date.now() - staleAfterMs).toISOString()
+    const { data: stale, error } = await supabase
+      .from('jobs')
+      .select('id, type, attempts, max_attempts, locked_by')
+      .eq('status', 'running')
+      .lt('locked_at', cutoff)
+
+    if (error) throw error
+
+    let recovered = 0
+    for (const job of stale || []) {
+      if (running.has(job.id)) continue
+
+      const exhausted = job.attempts >= job.max_attempts
+      const now = new Date().toISOString()
+      const { data, error: updateError } = await supabase
+        .from('jobs')
+        .update(exhausted
+          ? { status: 'dead', last_error: 'Worker stopped while running the job', completed_at: now, locked_by: null, locked_at: null, updated_at: now }
+          : { status: 'queued', last_error: 'Worker stopped while running the job', run_at: now, locked_by: null, locked_at: null, updated_at: now })
+        .eq('id', job.id)
+        .eq('status', 'running')
+        .eq('locked_by', job.locked_by)
+        .select('id')
+
+      if (updateError) throw updateError
+      if (data && data.length > 0) recovered++
+    }
+
+    if (recovered > 0) console.log(`♻️  Recovered ${recovered} interrupted job(s)`)
+    return recovered
+  }
+
+  /**
+   * Recover stale jobs and start due ones within each type's concurrency.
+   * Resolves once they've started (not finished) to { recovered, started }.
+   */
+  function poll() {
+    if (polling) return polling
+
+    polling = (async () => {
+      const recovered = await recover()
+      let started = 0
+      for (const [type, definition] of handlers) {
+        const free = definition.concurrency - activeCount(type)
+        if (free <= 0) continue
+
+        for (const job of await claim(type, free)) {
+          started++
+          execute(job)
+        }
+      }
+      return { recovered, started }
+    })().finally(() => {
+      polling = null
+    })
+
+    return polling
+  }
+
+  return {
+    workerId,
+
+    register(type, handler, handlerOptions = {}) {
+      if (handlers.has(type)) {
+        throw new Error(`Job type already registered: ${type}`)
+      }
+      handlers.set(type, {
+        handler,
+        concurrency: handlerOptions.concurrency || 1,
+        maxAttempts: handlerOptions.maxAttempts || maxAttempts,
+        timeout: handlerOptions.timeout || null
+      })
+    },
+
+    /**
+     * Store a job and try to start it. `userId` owns it (null for system
+     * jobs); `runAt` delays it. Resolves to the job row.
+     */
+    async enqueue(type, payload = {}, enqueueOptions = {}) {
+      const definition = handlers.get(type)
+      if (!definition) {
+        throw new Error(`Unknown job type: ${type}`)
+      }
+
+      const { data: job, error } = await supabase
+        .from('jobs')
+        .insert({
+          user_id: enqueueOptions.userId || null,
+          type,
+          payload,
+          status: 'queued',
+          attempts: 0,
+          max_attempts: enqueueOptions.maxAttempts || definition.maxAttempts,
+          run_at: (enqueueOptions.runAt ? new Date(enqueueOptions.runAt) : new Date()).toISOString()
+        })
+        .select(JOB_SUMMARY_COLUMNS)
+        .single()
+
+      if (error) throw error
+
+      poll().catch(err => console.error('Job poll error:', err))
+      return job
+    },
+
+    poll,
+    recover,
+
+    /**
+     * Startup recovery, independent of any poll timer: start due jobs now,
+     * and look again once the previous process's jobs (whose heartbeat
+     * stopped with it) have gone stale
+     */
+    start() {
+      poll().catch(err => console.error('Job poll error:', err))
+      const timer = setTimeout(() => {
+        poll().catch(err => console.error('Job poll error:', err))
+      }, staleAfterMs + 1000)
+      if (timer.unref) timer.unref()
+    },
+
+    /**
+     * The user's jobs, newest first
+     */
+    async listJobs(userId, listOptions = {}) {
+      const { status, type, limit = 50, offset = 0 } = listOptions
+
+      let query = supabase
+        .from('jobs')
+        .select(JOB_SUMMARY_COLUMNS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1)
+
+      if (status) query = query.eq('status', status)
+      if (type) query = query.eq('type', type)
+
+      const { data, error } = await query
+      if (error) throw error
+      return data || []
+    },
+
+    /**
+     * One of the user's jobs with its payload and result; null if it doesn't exist
+     */
+    async getJob(userId, id) {
+      const { data, error } = await supabase
+        .from('jobs')
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .single()
+
+      if (error && error.code !== 'PGRST116') throw error
+      return data || null
+    },
+
+    /**
+     * Cancel a queued or running job. A running handler sees it through
+     * isCancelled() (within a heartbeat); its outcome is then discarded.
+     * Resolves to the updated job, or null if it had already finished.
+     */
+    async cancelJob(job) {
+      const now = new Date().toISOString()
+      const { data, error } = await supabase
+        .from('jobs')
+        .update({ status: 'cancelled', completed_at: now, updated_at: now, locked_by: null, locked_at: null })
+        .eq('id', job.id)
+        .in('status', ['queued', 'running'])
+        .select(JOB_SUMMARY_COLUMNS)
+
+      if (error) throw error
+
+      const entry = running.get(job.id)
+      if (entry) cancelEntry(entry)
+      return (data && data[0]) || null
+    },
+
+    /**
+     * Queue a dead or cancelled job again with a fresh set of attempts.
+     * Resolves to the updated job, or null if it wasn't dead or cancelled.
+     */
+    async retryJob(job) {
+      const now = new Date().toISOString()
+      const { data, error } = await supabase
+        .from('jobs')
+        .update({ status: 'queued', attempts: 0, run_at: now, last_error: null, completed_at: null, updated_at: now })
+        .eq('id', job.id)
+        .in('status', ['dead', 'cancelled'])
+        .select(JOB_SUMMARY_COLUMNS)
+
+      if (error) throw error
+
+      poll().catch(err => console.error('Job poll error:', err))
+      return (data && data[0]) || null
+    },
+
+    /**
+     * Registered types with their concurrency and jobs running in this process
+     */
+    status() {
+      return [...handlers.entries()].map(([type, definition]) => ({
+        type,
+        concurrency: definition.concurrency,
+        max_attempts: definition.maxAttempts,
+        running: activeCount(type)
+      }))
+    }
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  parseJobConcurrency,
+  createJobQueue
+}
@@ -12,9 +12,13 @@ const supabase = createClient(
 )
 
 /**
- * Extract entities and relationships from article content using Gemini
+ * Extract entities and relationships from article content using Gemini.
+ * A failed Gemini call yields no entities unless `throwOnError` is set.
+ * `signal` aborts the Gemini request.
  */
-async function extractEntitiesAndRelationships(articleContent, articleTitle, articleUrl) {
+async function extractEntitiesAndRelationships(articleContent, articleTitle, articleUrl, options = {}) {
+  const { throwOnError = false, signal } = options
+
   if (!genAI) {
     console.warn('Gemini API key not configured for entity extraction')
     return { entities: [], relationships: [] }
@@ -66,7 +70,7 @@ Return your response as a JSON object with this exact structure:
 
 Focus on extracting 5-20 entities and 3-15 relationships. Only include entities that are clearly mentioned and relationships that are explicitly stated or strongly implied.`
 
-    const result = await model.generateContent(prompt)
+    const result = await model.generateContent(prompt, { signal })
     const response = await result.response
     let extractedData = response.text()
 
@@ -94,6 +98,7 @@ Focus on extracting 5-20 entities and 3-15 relationships. Only include entities
     }
 
   } catch (error) {
+    if (throwOnError) throw error
     console.error('Entity extraction error:', error)
     return { entities: [], relationships: [] }
   }
@@ -253,9 +258,13 @@ async function linkEntitiesToArticle(articleId, entityIds, userId, extractedEnti
 }
 
 /**
- * Generate article summary using Gemini
+ * Generate article summary using Gemini.
+ * Resolves with null on failure unless `throwOnError` is set. `signal`
+ * aborts the Gemini request.
  */
-async function generateArticleSummary(articleContent, articleTitle) {
+async function generateArticleSummary(articleContent, articleTitle, options = {}) {
+  const { throwOnError = false, signal } = options
+
   if (!genAI) {
     console.warn('Gemini API key not configured for summary generation')
     return null
@@ -273,7 +282,7 @@ ${articleContent}
 
 Summary:`
 
-    const result = await model.generateContent(prompt)
+    const result = await model.generateContent(prompt, { signal })
     const response = await result.response
     const summary = response.text().trim()
 
@@ -281,6 +290,7 @@ Summary:`
     return summary
 
   } catch (error) {
+    if (throwOnError) throw error
     console.error('Summary generation error:', error)
     return null
   }
@@ -320,27 +330,46 @@ async function saveArticleSummary(articleId, summary, userId) {
 }
 
 /**
- * Process an article and extract knowledge graph data
+ * Load an article's title, URL and content (markdown if available, otherwise
+ * text); null if it doesn't exist
+ */
+async function loadArticleContent(articleId, userId) {
+  const { data: article, error } = await supabase
+    .from('archives')
+    .select('title, archived_text, archived_markdown, url')
+    .eq('id', articleId)
+    .eq('user_id', userId)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+  if (!article) return null
+
+  return {
+    ...article,
+    content: article.archived_markdown || article.archived_text || ''
+  }
+}
+
+/**
+ * Process an article and extract knowledge graph data. Also summarizes it
+ * unless `summarize` is false. Resolves with false when there was nothing to
+ * extract or it failed; with `throwOnError` failures reject instead.
+ * Nothing more is saved once `signal` aborts.
  */
-async function processArticleForKnowledgeGraph(articleId, userId) {
+async function processArticleForKnowledgeGraph(articleId, userId, options = {}) {
+  const { throwOnError = false, summarize = true, signal } = options
+
   try {
     console.log(`Processing article ${articleId} for knowledge graph...`)
 
-    // Get article content
-    const { data: article, error } = await supabase
-      .from('archives')
-      .select('title, archived_text, archived_markdown, url')
-      .eq('id', articleId)
-      .eq('user_id', userId)
-      .single()
+    const article = await loadArticleContent(articleId, userId)
 
-    if (error || !article) {
-      console.error('Article not found:', error)
+    if (!article) {
+      console.error('Article not found:', articleId)
       return false
     }
 
-    // Use markdown content if available, otherwise fall back to text
-    const content = article.archived_markdown || article.archived_text || ''
+    const content = article.content
 
     if (content.length < 100) {
       console.log('Article content too short for processing')
@@ -351,9 +380,12 @@ async function processArticleForKnowledgeGraph(articleId, userId) {
     const extractedData = await extractEntitiesAndRelationships(
       content,
       article.title,
-      article.url
+      article.url,
+      { throwOnError, signal }
     )
 
+    if (signal) signal.throwIfAborted()
+
     if (extractedData.entities.length === 0) {
       console.log('No entities extracted from article')
       return false
@@ -377,20 +409,58 @@ async function processArticleForKnowledgeGraph(articleId, userId) {
     await linkEntitiesToArticle(articleId, entityIds, userId, extractedData.entities)
 
     // Generate and save summary
-    const summary = await generateArticleSummary(content, article.title)
-    if (summary) {
-      await saveArticleSummary(articleId, summary, userId)
+    if (summarize) {
+      const summary = await generateArticleSummary(content, article.title, { signal })
+      if (signal) signal.throwIfAborted()
+      if (summary) {
+        await saveArticleSummary(articleId, summary, userId)
+      }
     }
 
     console.log(`✅ Knowledge graph processing complete for article ${articleId}`)
     return true
 
   } catch (error) {
+    if (throwOnError) throw error
     console.error('Error processing article for knowledge graph:', error)
     return false
   }
 }
 
+/**
+ * Generate an article's AI summary, replacing any previous one. Resolves with
+ * false when there was nothing to summarize; Gemini and database failures
+ * reject so the caller can retry, as does an aborted `signal`.
+ */
+async function summarizeArticle(articleId, userId, options = {}) {
+  const { signal } = options
+
+  const article = await loadArticleContent(articleId, userId)
+
+  if (!article || article.content.length < 100) {
+    return false
+  }
+
+  const summary = await generateArticleSummary(article.content, article.title, { throwOnError: true, signal })
+  if (!summary) return false
+  if (signal) signal.throwIfAborted()
+
+  const { error } = await supabase
+    .from('article_summaries')
+    .delete()
+    .eq('user_id', userId)
+    .eq('article_id', articleId)
+    .eq('summary_type', 'ai_generated')
+
+  if (error) throw error
+
+  if (!await saveArticleSummary(articleId, summary, userId)) {
+    throw new Error('Failed to save article summary')
+  }
+
+  return true
+}
+
 /**
  * Batch process multiple articles for knowledge graph extraction
  */
@@ -418,5 +488,6 @@ module.exports = {
   extractEntitiesAndRelationships,
   processArticleForKnowledgeGraph,
   batchProcessArticles,
-  generateArticleSummary
+  generateArticleSummary,
+  summarizeArticle
 }
\ No newline at end of file
@@ -0,0 +1,332 @@
+const dns = require('dns')
+const { safeFetch } = require('./safe-fetch')
+const { extractMainContent } = require('./readability-extractor')
+const { describeFetch, assessCapture } = require('./capture-record')
+const { canonicalizeUrl } = require('./url-canonicalizer')
+const { contentSimilarity, comparableWordCount } = require('./content-comparison')
+const { decodeBody } = require('./charset')
+
+// Link-rot monitor. Periodically re-requests archived originals and keeps a
+// history in `link_checks` (id, archive_id, user_id, checked_at, status,
+// http_status, final_url, similarity, error, duration_ms; archive_id cascades
+// on delete). The latest result is copied to archives.link_status,
+// link_checked_at and link_status_changed_at for filtering.
+
+// alive: same page still there; redirected: now lives at another URL;
+// changed: still there but the text is substantially different;
+// not_found: 404/410 or a soft-404; domain_gone: the host no longer resolves;
+// unreachable: timeouts, 5xx, blocked bots and other failures worth retrying
+const LINK_STATUSES = ['alive', 'redirected', 'changed', 'not_found', 'domain_gone', 'unreachable']
+const DEAD_LINK_STATUSES = ['not_found', 'domain_gone']
+
+const DEFAULT_LINK_CHECK_OPTIONS = {
+  batchSize: parseInt(process.env.LINK_CHECK_BATCH_SIZE) || 100,
+  recheckAfterMs: (parseFloat(process.env.LINK_CHECK_RECHECK_DAYS) || 7) * 24 * 60 * 60 * 1000,
+  hostDelayMs: parseInt(process.env.LINK_CHECK_HOST_DELAY_MS) || 10000,
+  changeThreshold: parseFloat(process.env.LINK_CHECK_CHANGE_THRESHOLD) || 0.5,
+  timeoutMs: 20000,
+  maxBytes: 5 * 1024 * 1024
+}
+
+// Archived texts shorter than this are too small to compare meaningfully
+const MIN_COMPARABLE_WORDS = 50
+
+/**
+ * Whether a hostname still exists in DNS. Only NXDOMAIN counts as gone;
+ * resolver timeouts and server failures don't.
+ */
+async function domainExists(hostname) {
+  try {
+    await dns.promises.lookup(hostname)
+    return true
+  } catch (error) {
+    return error.code !== 'ENOTFOUND'
+  }
+}
+
+/**
+ * Milliseconds a Retry-After header asks us to wait, or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return seconds * 1000
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now())
+}
+
+/**
+ * Re-request an archive's original URL and classify what came back.
+ * Resolves to { status, http_status, final_url, similarity, error,
+ * duration_ms, retry_after_ms }.
+ */
+async function checkLink(archive, options = {}) {
+  const { changeThreshold, timeoutMs, maxBytes, fetch = safeFetch } = { ...DEFAULT_LINK_CHECK_OPTIONS, ...options }
+  const startedAt = Date.now()
+
+  let response
+  try {
+    response = await fetch(archive.url, { timeout: timeoutMs, maxBytes })
+  } catch (error) {
+    const gone = error.code === 'DNS_LOOKUP_FAILED' && !(await domainExists(new URL(archive.url).hostname))
+    return {
+      status: gone ? 'domain_gone' : 'unreachable',
+      http_status: null,
+      final_url: null,
+      similarity: null,
+      error: error.message,
+      duration_ms: Date.now() - startedAt,
+      retry_after_ms: null
+    }
+  }
+
+  const result = {
+    http_status: response.status,
+    final_url: response.url,
+    similarity: null,
+    error: null,
+    duration_ms: Date.now() - startedAt,
+    retry_after_ms: null
+  }
+
+  if (response.status === 404 || response.status === 410) {
+    return { ...result, status: 'not_found' }
+  }
+  if (response.status >= 400) {
+    // 403s and 429s are usually bot protection or rate limits, not a dead page
+    return {
+      ...result,
+      status: 'unreachable',
+      error: `HTTP ${response.status}`,
+      retry_after_ms: response.status === 429 || response.status === 503 ? parseRetryAfter(response.headers['retry-after']) : null
+    }
+  }
+
+  const contentType = response.headers['content-type'] || ''
+  const html = /html|xml/i.test(contentType) || !contentType ? decodeBody(response.body, contentType).text : ''
+  const content = html ? extractMainContent(html, response.url) : null
+
+  const assessment = assessCapture(describeFetch(archive.url, response), {
+    title: content ? content.title : '',
+    wordCount: content ? content.wordCount : 0,
+    html
+  })
+  if (assessment.soft404) {
+    return { ...result, status: 'not_found', error: assessment.reasons.join('; ') }
+  }
+
+  if (content && archive.archived_text && comparableWordCount(archive.archived_text) >= MIN_COMPARABLE_WORDS) {
+    result.similarity = Math.round(contentSimilarity(archive.archived_text, content.text) * 1000) / 1000
+    if (result.similarity < changeThreshold) {
+      return { ...result, status: 'changed' }
+    }
+  }
+
+  const archivedCanonical = archive.canonical_url || canonicalizeUrl(archive.url)
+  const finalCanonical = canonicalizeUrl(response.url)
+  if (finalCanonical !== archivedCanonical && finalCanonical !== canonicalizeUrl(archive.url)) {
+    return { ...result, status: 'redirected' }
+  }
+
+  return { ...result, status: 'alive' }
+}
+
+/**
+ * Host of a URL, lowercased (empty for unparseable URLs)
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname
+  } catch {
+    return ''
+  }
+}
+
+/**
+ * Order archives round-robin by host so per-host delays overlap
+ */
+function interleaveByHost(archives) {
+  const byHost = new Map()
+  for (const archive of archives) {
+    const host = hostOf(archive.url)
+    if (!byHost.has(host)) byHost.set(host, [])
+    byHost.get(host).push(archive)
+  }
+
+  const queues = [...byHost.values()]
+  const ordered = []
+  for (let round = 0; ordered.length < archives.length; round++) {
+    for (const queue of queues) {
+      if (round < queue.length) ordered.push(queue[round])
+    }
+  }
+  return ordered
+}
+
+/**
+ * Store a check in the history and update the archive's current link status
+ */
+async function recordLinkCheck(supabase, archive, result) {
+  const checkedAt = new Date().toISOString()
+
+  const { error } = await supabase
+    .from('link_checks')
+    .insert({
+      archive_id: archive.id,
+      user_id: archive.user_id,
+      checked_at: checkedAt,
+      status: result.status,
+      http_status: result.http_status,
+      final_url: result.final_url,
+      similarity: result.similarity,
+      error: result.error,
+      duration_ms: result.duration_ms
+    })
+
+  if (error) throw error
+
+  const update = { link_status: result.status, link_checked_at: checkedAt }
+  if (result.status !== archive.link_status) {
+    update.link_status_changed_at = checkedAt
+    if (DEAD_LINK_STATUSES.includes(result.status)) {
+      console.log(`🔗 Original is gone (${result.status}): ${archive.url}`)
+    }
+  }
+
+  const { error: updateError } = await supabase
+    .from('archives')
+    .update(update)
+    .eq('id', archive.id)
+
+  if (updateError) throw updateError
+}
+
+/**
+ * Check and record a single archive now
+ */
+async function checkArchiveLink(supabase, archive, options = {}) {
+  const result = await checkLink(archive, options)
+  await recordLinkCheck(supabase, archive, result)
+  return result
+}
+
+/**
+ * Check the archives whose originals are due, oldest check first.
+ *
+ * Politeness: requests to the same host are spaced `hostDelayMs` apart, a
+ * host that answers 429 (or 503 with Retry-After) is left alone for the rest of
+ * the run, and at most `batchSize` URLs are checked per run.
+ * Resolves to { checked, statuses, deferred_hosts }.
+ */
+async function runLinkChecks(supabase, options = {}) {
+  const settings = { ...DEFAULT_LINK_CHECK_OPTIONS, ...options }
+  const { batchSize, recheckAfterMs, hostDelayMs, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) } = settings
+  const cutoff = new Date(Date.now() - recheckAfterMs).toISOString()
+
+  const { data: due, error } = await supabase
+    .from('archives')
+    .select('id, user_id, url, canonical_url, archived_text, link_status')
+    .or(`link_checked_at.is.null,link_checked_at.lt.${cutoff}`)
+    .like('url', 'http%')
+    .order('link_checked_at', { ascending: true, nullsFirst: true })
+    .limit(batchSize)
+
+  if (error) throw error
+
+  const nextRequestAt = new Map()
+  const deferredHosts = new Set()
+  const statuses = {}
+  let checked = 0
+
+  for (const archive of interleaveByHost(due || [])) {
+    const host = hostOf(archive.url)
+    if (deferredHosts.has(host)) continue
+
+    const wait = (nextRequestAt.get(host) || 0) - Date.now()
+    if (wait > 0) await sleep(wait)
+
+    try {
+      const result = await checkArchiveLink(supabase, archive, settings)
+      statuses[result.status] = (statuses[result.status] || 0) + 1
+      checked++
+
+      if (result.http_status === 429 || result.retry_after_ms !== null) {
+        deferredHosts.add(host)
+      }
+    } catch (checkError) {
+      console.error(`Link check failed for ${archive.url}:`, checkError.message)
+    }
+
+    nextRequestAt.set(host, Date.now() + hostDelayMs)
+  }
+
+  if (checked > 0) {
+    console.log(`🔗 Checked ${checked} archived links:`, statuses)
+  }
+
+  return { checked, statuses, deferred_hosts: [...deferredHosts] }
+}
+
+/**
+ * A user's link health: counts per status and the originals that died most recently
+ */
+async function getLinkHealthReport(supabase, userId, options = {}) {
+  const { recentLimit = 20 } = options
+
+  const [{ data: archives, error }, { data: recentlyDead, error: deadError }] = await Promise.all([
+    supabase
+      .from('archives')
+      .select('link_status')
+      .eq('user_id', userId),
+    supabase
+      .from('archives')
+      .select('id, url, title, link_status, link_checked_at, link_status_changed_at')
+      .eq('user_id', userId)
+      .in('link_status', DEAD_LINK_STATUSES)
+      .order('link_status_changed_at', { ascending: false })
+      .limit(recentLimit)
+  ])
+
+  if (error) throw error
+  if (deadError) throw deadError
+
+  const counts = { unchecked: 0 }
+  for (const status of LINK_STATUSES) counts[status] = 0
+  for (const archive of archives || []) {
+    counts[archive.link_status || 'unchecked']++
+  }
+
+  return {
+    total: (archives || []).length,
+    dead: DEAD_LINK_STATUSES.reduce((sum, status) => sum + counts[status], 0),
+    counts,
+    recently_dead: recentlyDead || []
+  }
+}
+
+/**
+ * Check history for one archive, newest first
+ */
+async function listLinkChecks(supabase, archiveId, options = {}) {
+  const { limit = 50 } = options
+
+  const { data, error } = await supabase
+    .from('link_checks')
+    .select('checked_at, status, http_status, final_url, similarity, error, duration_ms')
+    .eq('archive_id', archiveId)
+    .order('checked_at', { ascending: false })
+    .limit(limit)
+
+  if (error) throw error
+  return data || []
+}
+
+module.exports = {
+  LINK_STATUSES,
+  DEAD_LINK_STATUSES,
+  checkLink,
+  checkArchiveLink,
+  runLinkChecks,
+  getLinkHealthReport,
+  listLinkChecks
+}
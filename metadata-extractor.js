@@ -0,0 +1,311 @@
+const cheerio = require('cheerio')
+
+// schema.org types treated as "the article" when reading JSON-LD
+const ARTICLE_TYPES = [
+  'Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report',
+  'AnalysisNewsArticle', 'OpinionNewsArticle', 'ReportageNewsArticle', 'LiveBlogPosting', 'SocialMediaPosting'
+]
+
+const MAX_TEXT_LENGTH = 1000
+
+/**
+ * Trim and collapse a metadata value; null when empty
+ */
+function clean(value) {
+  if (value === null || value === undefined) return null
+  const text = String(value).replace(/\s+/g, ' ').trim()
+  return text ? text.substring(0, MAX_TEXT_LENGTH) : null
+}
+
+/**
+ * Normalize a date to ISO 8601; null when it can't be parsed
+ */
+function toIsoDate(value) {
+  const text = clean(value)
+  if (!text) return null
+  const date = new Date(text)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * Resolve a URL against the page; null when it isn't http(s)
+ */
+function toAbsoluteUrl(value, baseUrl) {
+  const text = clean(value)
+  if (!text) return null
+  try {
+    const url = new URL(text, baseUrl)
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * BCP 47 language tag from `en_US`, `en-us` or `EN` forms
+ */
+function normalizeLanguage(value) {
+  const text = clean(value)
+  if (!text) return null
+  const [language, region] = text.split(/[-_]/)
+  if (!/^[a-z]{2,3}$/i.test(language)) return null
+  return region && /^[a-z]{2}$/i.test(region)
+    ? `${language.toLowerCase()}-${region.toUpperCase()}`
+    : language.toLowerCase()
+}
+
+/**
+ * First non-empty value
+ */
+function firstOf(...values) {
+  return values.find(value => value !== null && value !== undefined && value !== '') ?? null
+}
+
+/**
+ * Parse every JSON-LD block, flattening arrays and @graph containers
+ */
+function readJsonLd($) {
+  const nodes = []
+
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect)
+    } else if (value && typeof value === 'object') {
+      nodes.push(value)
+      if (value['@graph']) collect(value['@graph'])
+    }
+  }
+
+  $('script[type="application/ld+json"]').each((i, element) => {
+    const source = $(element).text().trim().replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    try {
+      collect(JSON.parse(source))
+    } catch {
+      // Sites ship broken JSON-LD often enough that it's not worth failing over
+    }
+  })
+
+  return nodes
+}
+
+/**
+ * Whether a JSON-LD node has one of the given @types
+ */
+function hasType(node, types) {
+  const nodeTypes = Array.isArray(node['@type']) ? node['@type'] : [node['@type']]
+  return nodeTypes.some(type => types.includes(String(type).replace(/^https?:\/\/schema\.org\//, '')))
+}
+
+/**
+ * Names from a JSON-LD person/organization value, following @id references
+ */
+function jsonLdNames(value, nodesById) {
+  const values = Array.isArray(value) ? value : [value]
+  return values
+    .map(item => {
+      if (!item) return null
+      if (typeof item === 'string') return clean(item)
+      const resolved = item['@id'] && nodesById.has(item['@id']) ? { ...nodesById.get(item['@id']), ...item } : item
+      return clean(resolved.name)
+    })
+    .filter(Boolean)
+}
+
+/**
+ * URL from a JSON-LD image value (string, ImageObject or array of either)
+ */
+function jsonLdImage(value) {
+  const image = Array.isArray(value) ? value[0] : value
+  if (!image) return null
+  return typeof image === 'string' ? image : image.url || image.contentUrl || null
+}
+
+/**
+ * Collect `<meta>` values whose property/name starts with one of the prefixes,
+ * keyed by the lowercased property. Repeated properties become arrays.
+ */
+function readMetaTags($, prefixes) {
+  const values = {}
+  $('meta').each((i, element) => {
+    const key = ($(element).attr('property') || $(element).attr('name') || '').trim().toLowerCase()
+    const content = clean($(element).attr('content'))
+    if (!key || !content || !prefixes.some(prefix => key.startsWith(prefix))) return
+
+    if (values[key] === undefined) {
+      values[key] = content
+    } else {
+      values[key] = [].concat(values[key], content)
+    }
+  })
+  return values
+}
+
+/**
+ * First value of a possibly-repeated meta property
+ */
+function single(value) {
+  return Array.isArray(value) ? value[0] : value ?? null
+}
+
+/**
+ * Best favicon declared by the page, falling back to /favicon.ico
+ */
+function findFavicon($, baseUrl) {
+  const icons = $('link[rel]').toArray()
+    .filter(element => /(^|\s)(icon|apple-touch-icon)(\s|$)/i.test($(element).attr('rel')))
+    .map(element => ({
+      href: $(element).attr('href'),
+      size: parseInt(($(element).attr('sizes') || '').split('x')[0]) || 0,
+      touch: /apple-touch-icon/i.test($(element).attr('rel'))
+    }))
+    .filter(icon => icon.href)
+    // Regular icons first, then the largest
+    .sort((a, b) => (a.touch - b.touch) || (b.size - a.size))
+
+  if (icons.length > 0) return toAbsoluteUrl(icons[0].href, baseUrl)
+
+  try {
+    return new URL('/favicon.ico', baseUrl).href
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Extract structured page metadata from JSON-LD, OpenGraph, Twitter cards,
+ * Dublin Core and standard tags. Earlier sources win: JSON-LD, then
+ * OpenGraph, then Twitter, then Dublin Core, then plain <meta>/<title>.
+ * `sources` in the result keeps the raw values of each vocabulary.
+ */
+function extractPageMetadata(html, baseUrl) {
+  const $ = cheerio.load(html || '')
+
+  const nodes = readJsonLd($)
+  const nodesById = new Map(nodes.filter(node => node['@id']).map(node => [node['@id'], node]))
+  const article = nodes.find(node => hasType(node, ARTICLE_TYPES)) || {}
+  const website = nodes.find(node => hasType(node, ['WebSite'])) || {}
+
+  const openGraph = readMetaTags($, ['og:', 'article:'])
+  const twitter = readMetaTags($, ['twitter:'])
+  const dublinCore = readMetaTags($, ['dc.', 'dcterms.'])
+
+  const jsonLdAuthors = jsonLdNames(article.author, nodesById)
+  const publisherNames = jsonLdNames(article.publisher, nodesById)
+  const keywords = Array.isArray(article.keywords)
+    ? article.keywords
+    : article.keywords
+      ? String(article.keywords).split(',')
+      : openGraph['article:tag']
+        ? [].concat(openGraph['article:tag'])
+        : ($('meta[name="keywords"]').attr('content') || '').split(',')
+
+  const declaredCanonical = $('link[rel="canonical"]').attr('href')
+
+  return {
+    title: firstOf(
+      clean(article.headline),
+      clean(single(openGraph['og:title'])),
+      clean(single(twitter['twitter:title'])),
+      clean(single(dublinCore['dc.title'] || dublinCore['dcterms.title'])),
+      clean($('title').first().text())
+    ),
+    description: firstOf(
+      clean(article.description),
+      clean(single(openGraph['og:description'])),
+      clean(single(twitter['twitter:description'])),
+      clean(single(dublinCore['dc.description'] || dublinCore['dcterms.description'])),
+      clean($('meta[name="description"]').attr('content'))
+    ),
+    author: firstOf(
+      jsonLdAuthors.length > 0 ? jsonLdAuthors.join(', ') : null,
+      // article:author is often a profile URL rather than a name
+      [].concat(openGraph['article:author'] || []).filter(value => !/^https?:\/\//i.test(value)).join(', ') || null,
+      clean(single(dublinCore['dc.creator'] || dublinCore['dcterms.creator'])),
+      clean($('meta[name="author"]').attr('content')),
+      clean(single(twitter['twitter:creator']))
+    ),
+    publishedAt: firstOf(
+      toIsoDate(article.datePublished),
+      toIsoDate(single(openGraph['article:published_time'])),
+      toIsoDate(single(dublinCore['dc.date'] || dublinCore['dcterms.created'] || dublinCore['dcterms.date'])),
+      toIsoDate($('time[datetime]').first().attr('datetime'))
+    ),
+    modifiedAt: firstOf(
+      toIsoDate(article.dateModified),
+      toIsoDate(single(openGraph['article:modified_time'] || openGraph['og:updated_time'])),
+      toIsoDate(single(dublinCore['dcterms.modified']))
+    ),
+    siteName: firstOf(
+      clean(single(openGraph['og:site_name'])),
+      publisherNames[0] || null,
+      clean(website.name),
+      clean(single(dublinCore['dc.publisher'] || dublinCore['dcterms.publisher'])),
+      clean(single(twitter['twitter:site']))
+    ),
+    language: firstOf(
+      normalizeLanguage($('html').attr('lang')),
+      normalizeLanguage(article.inLanguage),
+      normalizeLanguage(single(openGraph['og:locale'])),
+      normalizeLanguage(single(dublinCore['dc.language'] || dublinCore['dcterms.language'])),
+      normalizeLanguage($('meta[http-equiv="content-language" i]').attr('content'))
+    ),
+    faviconUrl: findFavicon($, baseUrl),
+    leadImageUrl: firstOf(
+      toAbsoluteUrl(jsonLdImage(article.image), baseUrl),
+      toAbsoluteUrl(single(openGraph['og:image'] || openGraph['og:image:url']), baseUrl),
+      toAbsoluteUrl(single(twitter['twitter:image'] || twitter['twitter:image:src']), baseUrl)
+    ),
+    canonicalUrl: toAbsoluteUrl(declaredCanonical, baseUrl),
+    keywords: [...new Set(keywords.map(clean).filter(Boolean))].slice(0, 50),
+    type: firstOf(clean([].concat(article['@type'] || [])[0]), clean(single(openGraph['og:type']))),
+    sources: {
+      jsonLd: Object.keys(article).length > 0 ? article : null,
+      openGraph,
+      twitter,
+      dublinCore
+    }
+  }
+}
+
+/**
+ * Map Firecrawl's scrape metadata onto extractPageMetadata's shape
+ */
+function fromFirecrawlMetadata(metadata = {}, baseUrl) {
+  return {
+    title: clean(metadata.ogTitle || metadata.title),
+    description: clean(metadata.ogDescription || metadata.description),
+    author: clean(metadata.author),
+    publishedAt: toIsoDate(metadata.publishedTime),
+    modifiedAt: toIsoDate(metadata.modifiedTime),
+    siteName: clean(metadata.ogSiteName),
+    language: normalizeLanguage(metadata.language),
+    faviconUrl: toAbsoluteUrl(metadata.favicon, baseUrl),
+    leadImageUrl: toAbsoluteUrl(metadata.ogImage, baseUrl),
+    canonicalUrl: null,
+    keywords: String(metadata.keywords || '').split(',').map(clean).filter(Boolean),
+    type: null,
+    sources: {}
+  }
+}
+
+/**
+ * Merge metadata objects field by field; earlier arguments win
+ */
+function mergeMetadata(...candidates) {
+  const present = candidates.filter(Boolean)
+  const merged = {}
+
+  for (const field of ['title', 'description', 'author', 'publishedAt', 'modifiedAt', 'siteName', 'language', 'faviconUrl', 'leadImageUrl', 'canonicalUrl', 'type']) {
+    merged[field] = firstOf(...present.map(candidate => candidate[field]))
+  }
+  merged.keywords = present.map(candidate => candidate.keywords || []).find(keywords => keywords.length > 0) || []
+  merged.sources = Object.assign({}, ...present.map(candidate => candidate.sources || {}).reverse())
+
+  return merged
+}
+
+module.exports = {
+  extractPageMetadata,
+  fromFirecrawlMetadata,
+  mergeMetadata
+}
@@ -0,0 +1,89 @@
+const crypto = require('crypto')
+const path = require('path')
+const { FILE_EXTENSIONS } = require('./document-extractors')
+
+// Original files of documents captured by content type (PDFs, text, JSON,
+// images), kept in the 'archives' storage bucket under
+// originals/<archive id>/<sha256><ext>. Naming by content hash means each
+// re-capture that changed the file gets its own copy, so older versions keep
+// pointing at theirs. The active one is archives.original_file_url.
+
+/**
+ * Upload an extractor's `originalFile` ({ body, contentType, filename }).
+ * Resolves to its public URL, or null if the upload failed.
+ */
+async function uploadOriginalFile(supabase, archiveId, file) {
+  if (!file || !file.body) return null
+
+  try {
+    const hash = crypto.createHash('sha256').update(file.body).digest('hex')
+    const extension = path.extname(file.filename || '') || FILE_EXTENSIONS[file.contentType] || ''
+    const fileName = `originals/${archiveId}/${hash}${extension.toLowerCase()}`
+
+    const { error } = await supabase.storage
+      .from('archives')
+      .upload(fileName, file.body, {
+        contentType: file.contentType,
+        cacheControl: '3600',
+        upsert: true
+      })
+
+    if (error) throw error
+
+    const { data: { publicUrl } } = supabase.storage
+      .from('archives')
+      .getPublicUrl(fileName)
+
+    return publicUrl
+  } catch (error) {
+    console.error('Error uploading original file:', error)
+    return null
+  }
+}
+
+/**
+ * Store a newly inserted archive's original file, if its capture has one,
+ * and record the URL on the row (and on `archive`)
+ */
+async function attachOriginalFile(supabase, archive, capture) {
+  if (!capture.originalFile) return null
+
+  const originalFileUrl = await uploadOriginalFile(supabase, archive.id, capture.originalFile)
+  if (!originalFileUrl) return null
+
+  const { error } = await supabase
+    .from('archives')
+    .update({ original_file_url: originalFileUrl })
+    .eq('id', archive.id)
+
+  if (error) throw error
+
+  archive.original_file_url = originalFileUrl
+  console.log(`📄 Stored original ${capture.originalFile.contentType} for ${archive.url}`)
+  return originalFileUrl
+}
+
+/**
+ * Delete every stored original of an archive (all versions)
+ */
+async function removeOriginalFiles(supabase, archiveId) {
+  const folder = `originals/${archiveId}`
+  const { data: files, error } = await supabase.storage
+    .from('archives')
+    .list(folder)
+
+  if (error) throw error
+  if (!files || files.length === 0) return
+
+  const { error: removeError } = await supabase.storage
+    .from('archives')
+    .remove(files.map(file => `${folder}/${file.name}`))
+
+  if (removeError) throw removeError
+}
+
+module.exports = {
+  uploadOriginalFile,
+  attachOriginalFile,
+  removeOriginalFiles
+}
@@ -1,9 +1,13 @@
 const csv = require('csv-parser')
 const fs = require('fs')
 const { createClient } = require('@supabase/supabase-js')
-const { archivePageWithFirecrawl } = require('./firecrawl-extractor')
-const { processArchiveWithSharedEmbeddings } = require('./gemini-embeddings')
-const { processArticleForKnowledgeGraph } = require('./knowledge-graph-extractor')
+const { CaptureRejectedError, capturePage, buildArchiveRecord } = require('./capture')
+const { getQualityThreshold, recordCaptureRejection } = require('./quality-gate')
+const { assertPublicUrl } = require('./safe-fetch')
+const { canonicalizeUrl, findDuplicateArchive, findArchivedCanonicalUrls } = require('./url-canonicalizer')
+const { attachOriginalFile } = require('./original-files')
+const { createInitialVersion } = require('./archive-versions')
+const { listImports } = require('./import-tracker')
 
 // Initialize Supabase
 const supabase = createClient(
@@ -53,19 +57,17 @@ function parsePocketCSV(csvContent) {
 }
 
 /**
- * Archive a single page with enhanced error handling
+ * Archive a single page with enhanced error handling. `onArchived(archive)`
+ * is called with each newly stored archive, to queue its enrichment.
  */
-async function archiveSinglePage(url, userId, originalTitle = '', tags = []) {
+async function archiveSinglePage(url, userId, originalTitle = '', tags = [], options = {}) {
+  const { onArchived = async () => {} } = options
+
   try {
     console.log(`Archiving: ${url}`)
 
-    // Final safety check: ensure URL doesn't already exist for this user
-    const { data: existingArchive, error: checkError } = await supabase
-      .from('archives')
-      .select('id, url, title')
-      .eq('user_id', userId)
-      .eq('url', url)
-      .single()
+    // Final safety check: ensure the page (by canonical URL) isn't already archived
+    const existingArchive = await findDuplicateArchive(supabase, userId, url)
 
     if (existingArchive) {
       console.log(`⏭️  URL already exists in archive: ${existingArchive.title || url}`)
@@ -81,105 +83,51 @@ async function archiveSinglePage(url, userId, originalTitle = '', tags = []) {
       }
     }
 
-    // Fallback function for Puppeteer (simplified)
-    const puppeteerFallback = async (url) => {
-      const fetch = require('node-fetch')
-      const cheerio = require('cheerio')
-
-      try {
-        const response = await fetch(url, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          timeout: 30000
-        })
+    // Refuse private, link-local and non-http(s) targets before any capture
+    await assertPublicUrl(url)
 
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`)
-        }
+    // Imported pages count against the monthly limit like any other capture
+    const { data: usageResult, error: usageError } = await supabase
+      .rpc('increment_archive_count', { p_user_id: userId })
 
-        const html = await response.text()
-        const $ = cheerio.load(html)
-
-        const title = $('title').text() || originalTitle || 'Untitled'
-        const description = $('meta[name="description"]').attr('content') ||
-                           $('meta[property="og:description"]').attr('content') || ''
-
-        // Basic quality checks for common error patterns
-        const titleLower = title.toLowerCase()
-        const bodyText = $('body').text().toLowerCase()
-
-        // Reject common error pages
-        if (
-          titleLower.includes('404') ||
-          titleLower.includes('not found') ||
-          titleLower.includes('page not found') ||
-          titleLower.includes('error') ||
-          bodyText.includes('404') ||
-          bodyText.includes('page not found') ||
-          bodyText.includes('this page doesn\'t exist') ||
-          bodyText.includes('access denied') ||
-          bodyText.includes('forbidden') ||
-          bodyText.includes('unauthorized')
-        ) {
-          throw new Error('Content appears to be an error page')
-        }
-
-        $('script, style').remove()
-        const textContent = $('body').text().replace(/\s+/g, ' ').trim()
-
-        // Check for minimal content
-        if (textContent.length < 100) {
-          throw new Error('Content too short to be valuable')
-        }
-
-        const wordCount = textContent.split(/\s+/).filter(word => word.length > 0).length
-        if (wordCount < 20) {
-          throw new Error('Content has too few meaningful words')
-        }
-
-        return {
-          title,
-          description,
-          html,
-          text: textContent.substring(0, 50000),
-          screenshot: null,
-          extractionMethod: 'basic-fetch',
-          metadata: {
-            extractedAt: new Date().toISOString(),
-            fallback: true
-          }
-        }
-      } catch (error) {
-        throw new Error(`Fallback extraction failed: ${error.message}`)
-      }
+    if (usageError) throw usageError
+    if (!usageResult.allowed) {
+      return { success: false, url, error: usageResult.message, code: 'USAGE_LIMIT_REACHED' }
     }
 
-    // Archive the page using Firecrawl with basic fetch fallback
-    const archivedData = await archivePageWithFirecrawl(url, puppeteerFallback)
+    // Archive the page through the shared extractor pipeline and the user's quality gate
+    const archivedData = await capturePage(url, {
+      fallbackTitle: originalTitle,
+      minQualityScore: await getQualityThreshold(supabase, userId)
+    })
 
     // Use original title if extraction didn't get a good title
     if (!archivedData.title || archivedData.title === 'Untitled') {
       archivedData.title = originalTitle || 'Untitled'
     }
 
+    // The page's own <link rel=canonical> can match an archive the URL didn't
+    const record = buildArchiveRecord(archivedData, { userId, url, tags: tags || [] })
+    const declaredDuplicate = await findDuplicateArchive(supabase, userId, url, { canonicalUrl: record.canonical_url })
+
+    if (declaredDuplicate) {
+      console.log(`⏭️  Page already archived as ${declaredDuplicate.url}`)
+      return {
+        success: true,
+        skipped: true,
+        archive: {
+          id: declaredDuplicate.id,
+          url: declaredDuplicate.url,
+          title: declaredDuplicate.title,
+          description: 'Already archived'
+        }
+      }
+    }
+
     // Insert into Supabase
     const { data: archive, error: insertError } = await supabase
       .from('archives')
-      .insert({
-        user_id: userId,
-        url: url,
-        title: archivedData.title,
-        description: archivedData.description,
-        archived_html: archivedData.html,
-        archived_text: archivedData.text,
-        archived_markdown: archivedData.markdown || null,
-        extraction_method: archivedData.extractionMethod || 'firecrawl',
-        word_count: archivedData.wordCount || 0,
-        reading_time: archivedData.readingTime || 0,
-        tags: tags || [],
-        screenshot_url: null
-      })
+      .insert(record)
       .select()
       .single()
 
@@ -187,17 +135,14 @@ async function archiveSinglePage(url, userId, originalTitle = '', tags = []) {
       throw insertError
     }
 
+    await attachOriginalFile(supabase, archive, archivedData)
+    await createInitialVersion(supabase, archive)
+
     console.log(`✅ Successfully archived: ${archivedData.title}`)
 
-    // Skip background processing during bulk import to avoid API quotas
-    // setTimeout(async () => {
-    //   try {
-    //     await processArchiveWithSharedEmbeddings(archive, supabase)
-    //     await processArticleForKnowledgeGraph(archive.id, userId)
-    //   } catch (bgError) {
-    //     console.error('Background processing error:', bgError)
-    //   }
-    // }, 1000)
+    // Embeddings, knowledge graph and summary are queued like any other
+    // capture; the job queue's concurrency limits pace a large import
+    await onArchived(archive)
 
     return {
       success: true,
@@ -211,48 +156,54 @@ async function archiveSinglePage(url, userId, originalTitle = '', tags = []) {
 
   } catch (error) {
     console.error(`❌ Failed to archive ${url}:`, error.message)
+
+    // Keep refused pages so the user can review them and save anyway
+    let rejection = null
+    if (error instanceof CaptureRejectedError) {
+      try {
+        rejection = await recordCaptureRejection(supabase, {
+          userId,
+          url,
+          error,
+          payload: { url, title: originalTitle, tags: tags || [] },
+          source: 'pocket-import'
+        })
+      } catch (recordError) {
+        console.error('Failed to record capture rejection:', recordError)
+      }
+    }
+
     return {
       success: false,
       url,
-      error: error.message
+      error: error.message,
+      code: error.code,
+      rejection_id: rejection ? rejection.id : undefined
     }
   }
 }
 
 /**
- * Check for duplicate URLs that already exist for the user
- * Uses batching to handle large URL lists that would exceed query limits
+ * Check for duplicate URLs that already exist for the user, comparing
+ * canonical URLs so tracking-parameter and AMP variants count as duplicates.
+ * Repeats within the import itself are duplicates too.
  */
 async function checkForDuplicates(urls, userId) {
   try {
-    const urlList = urls.map(item => item.url)
-    const existingUrls = new Set()
-
-    // Process URLs in batches to avoid query size limits
-    const batchSize = 100 // Supabase can handle ~100 URLs per query safely
-
-    for (let i = 0; i < urlList.length; i += batchSize) {
-      const batch = urlList.slice(i, i + batchSize)
-
-      const { data: existingArchives, error } = await supabase
-        .from('archives')
-        .select('url')
-        .eq('user_id', userId)
-        .in('url', batch)
-
-      if (error) {
-        console.error('Error checking batch for duplicates:', error)
-        // Continue with remaining batches even if one fails
-        continue
+    const seenUrls = await findArchivedCanonicalUrls(supabase, userId, urls.map(item => item.url))
+    const newUrls = []
+    const duplicates = []
+
+    for (const item of urls) {
+      const canonicalUrl = canonicalizeUrl(item.url)
+      if (seenUrls.has(canonicalUrl)) {
+        duplicates.push(item)
+      } else {
+        seenUrls.add(canonicalUrl)
+        newUrls.push(item)
       }
-
-      // Add found URLs to the set
-      existingArchives.forEach(archive => existingUrls.add(archive.url))
     }
 
-    const newUrls = urls.filter(item => !existingUrls.has(item.url))
-    const duplicates = urls.filter(item => existingUrls.has(item.url))
-
     console.log(`Duplicate check: ${duplicates.length} duplicates found, ${newUrls.length} new URLs to import`)
 
     return { newUrls, duplicates }
@@ -263,7 +214,9 @@ async function checkForDuplicates(urls, userId) {
 }
 
 /**
- * Process Pocket import in batches with rate limiting
+ * Process Pocket import in batches with rate limiting.
+ * onProgress is called once per URL, duplicates included, with the URL's
+ * entry as `item`; once isCancelled() returns true no further batch starts.
  */
 async function processPocketImport(urls, userId, options = {}) {
   const {
@@ -271,7 +224,9 @@ async function processPocketImport(urls, userId, options = {}) {
     delayBetweenBatches = 500,   // 0.5 second delay between batches
     delayBetweenRequests = 200,  // 0.2 second delay between individual requests
     maxRetries = 2,
-    onProgress = () => {}
+    onProgress = () => {},
+    isCancelled = () => false,
+    onArchived
   } = options
 
   const results = {
@@ -291,10 +246,28 @@ async function processPocketImport(urls, userId, options = {}) {
   results.duplicates = duplicates.length
   results.skipped = duplicates.length
 
+  for (const urlData of duplicates) {
+    onProgress({
+      processed: results.successful + results.failed,
+      total: results.total,
+      successful: results.successful,
+      failed: results.failed,
+      currentUrl: urlData.url,
+      currentResult: { success: true, skipped: true, url: urlData.url },
+      item: urlData
+    })
+  }
+
   // Only process new URLs
   const urlsToProcess = newUrls
 
   for (let i = 0; i < urlsToProcess.length; i += batchSize) {
+    if (isCancelled()) {
+      console.log(`⏹️  Pocket import cancelled with ${urlsToProcess.length - i} URLs left`)
+      results.cancelled = true
+      break
+    }
+
     const batch = urlsToProcess.slice(i, i + batchSize)
     const batchNumber = Math.floor(i / batchSize) + 1
     const totalBatches = Math.ceil(urlsToProcess.length / batchSize)
@@ -312,7 +285,8 @@ async function processPocketImport(urls, userId, options = {}) {
             urlData.url,
             userId,
             urlData.title,
-            urlData.tags
+            urlData.tags,
+            { onArchived }
           )
           break
         } catch (error) {
@@ -360,7 +334,8 @@ async function processPocketImport(urls, userId, options = {}) {
           successful: results.successful,
           failed: results.failed,
           currentUrl: urlData.url,
-          currentResult: result
+          currentResult: result,
+          item: urlData
         })
       } else {
         // Handle promise rejection
@@ -417,32 +392,16 @@ function validatePocketCSV(csvContent) {
 }
 
 /**
- * Get import status for a user
+ * Get import status for a user: imports still running and the most recent ones
  */
 async function getImportStatus(userId) {
-  try {
-    // Get recent imports from the last 24 hours
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000)
-
-    const { data: recentArchives, error } = await supabase
-      .from('archives')
-      .select('id, url, title, created_at, extraction_method')
-      .eq('user_id', userId)
-      .gte('created_at', twentyFourHoursAgo.toISOString())
-      .order('created_at', { ascending: false })
-
-    if (error) throw error
+  const imports = await listImports(supabase, userId, { limit: 10 })
+  const active = imports.filter(record => record.status === 'queued' || record.status === 'running')
 
-    return {
-      recentImports: recentArchives.length,
-      recentArchives: recentArchives || []
-    }
-  } catch (error) {
-    console.error('Error getting import status:', error)
-    return {
-      recentImports: 0,
-      recentArchives: []
-    }
+  return {
+    importing: active.length > 0,
+    active,
+    recent: imports
   }
 }
 
@@ -0,0 +1,223 @@
+const cheerio = require('cheerio')
+
+// Content quality gate. Every server-side capture is scored from 0 to 100 on
+// deterministic signals (HTTP status, amount of text, text density, title
+// patterns, boilerplate and link ratios); captures under the user's minimum
+// score are refused. Refused captures are kept in `capture_rejections` (id,
+// user_id, url, code, reason, score, signals, reasons, capture_record,
+// payload, source, archive_id, resolved_at, created_at) so the user can
+// "save anyway". Per-user minimums live in user_profiles.quality_min_score
+// (null means DEFAULT_MIN_QUALITY_SCORE, 0 turns the gate off).
+
+const DEFAULT_MIN_QUALITY_SCORE = process.env.QUALITY_MIN_SCORE !== undefined && process.env.QUALITY_MIN_SCORE !== ''
+  ? parseInt(process.env.QUALITY_MIN_SCORE)
+  : 40
+
+const ERROR_TITLE = /(^|\W)(404|410|not found|page not found|doesn'?t exist|does not exist|no longer available|access denied|forbidden|unauthorized|error \d{3}|server error|service unavailable|just a moment|attention required|are you a robot|captcha|security check)(\W|$)/i
+const ERROR_PHRASE = /page (not found|cannot be found|could not be found)|this page (doesn'?t|does not) exist|access (is )?denied|you don'?t have permission|(enable|turn on) javascript|checking your browser|verify you are (a )?human|unusual traffic/i
+
+// Pages longer than this are articles that merely mention an error, not error pages
+const ERROR_PAGE_MAX_WORDS = 300
+
+/**
+ * Word count that also works for scripts written without spaces: CJK
+ * characters are counted at two per word
+ */
+function countWords(text) {
+  const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length
+  const words = text.replace(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g, ' ').split(/\s+/).filter(word => word.length > 0).length
+  return words + Math.round(cjk / 2)
+}
+
+/**
+ * Visible text of a full page (scripts, styles and templates removed)
+ */
+function visibleText(html) {
+  if (!html) return ''
+  const $ = cheerio.load(html)
+  $('script, style, noscript, template, svg').remove()
+  return $('body').text().replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Share of a markdown document's characters that sit inside link text
+ */
+function markdownLinkDensity(markdown) {
+  if (!markdown) return 0
+  const text = markdown.replace(/!\[[^\]]*\]\([^)]*\)/g, '').replace(/\]\([^)]*\)/g, ']')
+  const linkText = (text.match(/\[[^\]]*\]/g) || []).join('')
+  const letters = text.replace(/[\s#*_>`[\]|-]/g, '').length
+  return letters === 0 ? 0 : Math.min(1, linkText.replace(/[\s[\]]/g, '').length / letters)
+}
+
+/**
+ * Score a capture. `capture` is an extractor result (title, text, markdown,
+ * wordCount), `html` the page as served and `captureRecord` how it was
+ * fetched. Returns { score, signals, reasons }.
+ */
+function scoreContent({ capture, html = '', captureRecord = {} }) {
+  const title = capture.title || ''
+  const text = capture.text || ''
+  const wordCount = Math.max(capture.wordCount || 0, countWords(text))
+  const pageText = visibleText(html)
+
+  const signals = {
+    status: captureRecord.status || null,
+    word_count: wordCount,
+    text_density: html ? Math.round((text.length / html.length) * 10000) / 10000 : null,
+    boilerplate_ratio: pageText ? Math.round(Math.max(0, 1 - text.length / pageText.length) * 1000) / 1000 : null,
+    link_density: Math.round(markdownLinkDensity(capture.markdown) * 1000) / 1000,
+    error_title: ERROR_TITLE.test(title) && wordCount < ERROR_PAGE_MAX_WORDS,
+    error_phrases: wordCount < ERROR_PAGE_MAX_WORDS && ERROR_PHRASE.test(pageText || text)
+  }
+
+  const reasons = []
+  let score = 100
+  const penalize = (points, reason) => {
+    score -= points
+    reasons.push({ reason, points })
+  }
+
+  if (signals.status >= 400) penalize(60, `HTTP ${signals.status}`)
+
+  if (wordCount < 20) penalize(65, `Only ${wordCount} words of content`)
+  else if (wordCount < 50) penalize(25, `Only ${wordCount} words of content`)
+  else if (wordCount < 100) penalize(10, `Short content (${wordCount} words)`)
+
+  if (signals.error_title) penalize(40, `Title looks like an error page: "${title}"`)
+  else if (!title.trim() || title === 'Untitled') penalize(5, 'Page has no title')
+
+  if (signals.error_phrases) penalize(30, 'Page text reads like an error, block or challenge page')
+
+  // Almost all markup and no text: an app shell or an interstitial
+  if (signals.text_density !== null && signals.text_density < 0.002 && wordCount < 500) {
+    penalize(15, `Very little text for the page size (density ${signals.text_density})`)
+  }
+
+  if (signals.boilerplate_ratio !== null && wordCount < 500) {
+    if (signals.boilerplate_ratio > 0.95) penalize(20, `Extracted content is under 5% of the page text`)
+    else if (signals.boilerplate_ratio > 0.85) penalize(10, `Extracted content is under 15% of the page text`)
+  }
+
+  if (signals.link_density > 0.6) penalize(20, `Mostly links (${Math.round(signals.link_density * 100)}% of text)`)
+  else if (signals.link_density > 0.4) penalize(10, `Link-heavy content (${Math.round(signals.link_density * 100)}% of text)`)
+
+  return { score: Math.max(0, score), signals, reasons }
+}
+
+/**
+ * A user's minimum quality score
+ */
+async function getQualityThreshold(supabase, userId) {
+  const { data: profile, error } = await supabase
+    .from('user_profiles')
+    .select('quality_min_score')
+    .eq('id', userId)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+
+  const minScore = profile ? profile.quality_min_score : null
+  return minScore === null || minScore === undefined ? DEFAULT_MIN_QUALITY_SCORE : minScore
+}
+
+/**
+ * Set (or with null, reset) a user's minimum quality score
+ */
+async function setQualityThreshold(supabase, userId, minScore) {
+  const { error } = await supabase
+    .from('user_profiles')
+    .update({ quality_min_score: minScore })
+    .eq('id', userId)
+
+  if (error) throw error
+  return minScore === null ? DEFAULT_MIN_QUALITY_SCORE : minScore
+}
+
+/**
+ * Store a refused capture (a CaptureRejectedError) so it can be reviewed and
+ * saved anyway. `payload` is what's needed to capture it again: url, tags and
+ * any client snapshot. Resolves to the rejection row.
+ */
+async function recordCaptureRejection(supabase, { userId, url, error, payload, source = 'archive' }) {
+  const captureRecord = error.captureRecord || {}
+  const quality = captureRecord.quality || null
+
+  const { data, error: insertError } = await supabase
+    .from('capture_rejections')
+    .insert({
+      user_id: userId,
+      url,
+      code: error.code,
+      reason: error.message,
+      score: quality ? quality.score : null,
+      signals: quality ? quality.signals : null,
+      reasons: quality ? quality.reasons : (captureRecord.assessment ? captureRecord.assessment.reasons : []),
+      capture_record: captureRecord,
+      payload,
+      source
+    })
+    .select('id, url, code, reason, score, created_at')
+    .single()
+
+  if (insertError) throw insertError
+  return data
+}
+
+/**
+ * The user's rejected captures, newest first; resolved ones only on request
+ */
+async function listCaptureRejections(supabase, userId, options = {}) {
+  const { includeResolved = false, limit = 50, offset = 0 } = options
+
+  let query = supabase
+    .from('capture_rejections')
+    .select('id, url, code, reason, score, signals, reasons, source, archive_id, resolved_at, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (!includeResolved) query = query.is('resolved_at', null)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * One of the user's rejections, with its payload; null if it doesn't exist
+ */
+async function getCaptureRejection(supabase, userId, id) {
+  const { data, error } = await supabase
+    .from('capture_rejections')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+  return data || null
+}
+
+/**
+ * Mark a rejection as dealt with: saved anyway (with the new archive id) or dismissed
+ */
+async function resolveCaptureRejection(supabase, rejection, archiveId = null) {
+  const { error } = await supabase
+    .from('capture_rejections')
+    .update({ resolved_at: new Date().toISOString(), archive_id: archiveId })
+    .eq('id', rejection.id)
+
+  if (error) throw error
+}
+
+module.exports = {
+  DEFAULT_MIN_QUALITY_SCORE,
+  scoreContent,
+  getQualityThreshold,
+  setQualityThreshold,
+  recordCaptureRejection,
+  listCaptureRejections,
+  getCaptureRejection,
+  resolveCaptureRejection
+}
@@ -0,0 +1,261 @@
+// Token bucket limits per route class and plan: `capacity` is the burst size,
+// `perMinute` the steady refill rate
+const USER_LIMITS = {
+  capture: {
+    free: { capacity: 10, perMinute: 5 },
+    premium: { capacity: 30, perMinute: 15 },
+    pro: { capacity: 60, perMinute: 30 },
+    admin: { capacity: 120, perMinute: 60 }
+  },
+  search: {
+    free: { capacity: 20, perMinute: 10 },
+    premium: { capacity: 60, perMinute: 30 },
+    pro: { capacity: 120, perMinute: 60 },
+    admin: { capacity: 240, perMinute: 120 }
+  },
+  ai: {
+    free: { capacity: 5, perMinute: 2 },
+    premium: { capacity: 15, perMinute: 6 },
+    pro: { capacity: 30, perMinute: 15 },
+    admin: { capacity: 60, perMinute: 30 }
+  },
+  admin: {
+    free: { capacity: 0, perMinute: 0 },
+    premium: { capacity: 0, perMinute: 0 },
+    pro: { capacity: 0, perMinute: 0 },
+    admin: { capacity: 10, perMinute: 5 }
+  }
+}
+
+// Per-IP limits apply regardless of plan, so one address can't fan out
+// across many accounts or tokens
+const IP_LIMITS = {
+  capture: { capacity: 60, perMinute: 30 },
+  search: { capacity: 120, perMinute: 60 },
+  ai: { capacity: 30, perMinute: 15 },
+  admin: { capacity: 20, perMinute: 10 }
+}
+
+const PLAN_CACHE_TTL_MS = 60 * 1000
+
+/**
+ * In-memory token bucket store. Suitable for a single instance and for tests.
+ */
+function createMemoryStore(options = {}) {
+  const { now = Date.now, maxBuckets = 10000 } = options
+  const buckets = new Map()
+
+  function sweep(currentTime) {
+    for (const [key, bucket] of buckets) {
+      if (currentTime - bucket.updatedAt > bucket.fullAfterMs) {
+        buckets.delete(key)
+      }
+    }
+  }
+
+  return {
+    async take(key, { capacity, perMinute }, cost = 1) {
+      const currentTime = now()
+      const refillPerMs = perMinute / 60000
+
+      let bucket = buckets.get(key)
+      if (!bucket) {
+        if (buckets.size >= maxBuckets) sweep(currentTime)
+        bucket = { tokens: capacity, updatedAt: currentTime }
+        buckets.set(key, bucket)
+      }
+
+      // Refill for the time elapsed since the last request
+      const elapsed = currentTime - bucket.updatedAt
+      bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerMs)
+      bucket.updatedAt = currentTime
+      bucket.fullAfterMs = refillPerMs > 0 ? capacity / refillPerMs : Infinity
+
+      const allowed = bucket.tokens >= cost
+      if (allowed) {
+        bucket.tokens -= cost
+      }
+
+      const missing = capacity - bucket.tokens
+      return {
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        resetMs: refillPerMs > 0 ? Math.ceil(missing / refillPerMs) : 0,
+        retryAfterMs: allowed ? 0 : (refillPerMs > 0 ? Math.ceil((cost - bucket.tokens) / refillPerMs) : Infinity)
+      }
+    },
+
+    reset() {
+      buckets.clear()
+    }
+  }
+}
+
+const FAIL_OPEN_WARNING_INTERVAL_MS = 60 * 1000
+
+/**
+ * Shared store backed by the `rate_limit_take` Postgres function, so limits
+ * hold across multiple instances. Fails open if the database is unavailable,
+ * warning at most once a minute with how many requests went unlimited.
+ */
+function createSupabaseStore(supabase, options = {}) {
+  const { now = Date.now, logger = console } = options
+  let unlimited = 0
+  let lastWarningAt = -Infinity
+
+  function failOpen(capacity, error) {
+    unlimited++
+    const currentTime = now()
+    if (currentTime - lastWarningAt >= FAIL_OPEN_WARNING_INTERVAL_MS) {
+      logger.warn(`⚠️  Rate limit store unavailable; ${unlimited} request(s) allowed without a limit:`, error ? error.message || error : 'no result')
+      lastWarningAt = currentTime
+      unlimited = 0
+    }
+    return { allowed: true, remaining: capacity, resetMs: 0, retryAfterMs: 0 }
+  }
+
+  return {
+    async take(key, { capacity, perMinute }, cost = 1) {
+      let data, error
+      try {
+        ({ data, error } = await supabase.rpc('rate_limit_take', {
+          p_key: key,
+          p_capacity: capacity,
+          p_refill_per_minute: perMinute,
+          p_cost: cost
+        }))
+      } catch (rpcError) {
+        error = rpcError
+      }
+
+      if (error || !data) return failOpen(capacity, error)
+
+      return {
+        allowed: data.allowed,
+        remaining: data.remaining,
+        resetMs: data.reset_ms,
+        retryAfterMs: data.retry_after_ms || 0
+      }
+    }
+  }
+}
+
+/**
+ * Map a user profile onto one of the plan tiers used by the limit tables
+ */
+function planForProfile(profile) {
+  if (!profile) return 'free'
+  if (profile.is_admin) return 'admin'
+  if (profile.subscription_status === 'pro') return 'pro'
+  if (profile.subscription_status === 'premium') return 'premium'
+  return 'free'
+}
+
+/**
+ * Create the rate limiting middleware factories.
+ *
+ * `ipRateLimit(routeClass)` limits by IP and goes before `requireAuth()`, so
+ * requests with bad credentials are limited too. `rateLimit(routeClass)` goes
+ * after it to limit by the caller's plan (and by IP, if `ipRateLimit` didn't
+ * already). Both set RateLimit-* headers for the tightest bucket.
+ */
+function createRateLimiter({ supabase, store = createMemoryStore() }) {
+  const planCache = new Map()
+
+  async function getPlan(userId) {
+    const cached = planCache.get(userId)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.plan
+    }
+
+    const { data: profile, error } = await supabase
+      .from('user_profiles')
+      .select('subscription_status, is_admin')
+      .eq('id', userId)
+      .single()
+
+    if (error && error.code !== 'PGRST116') {
+      console.error('Rate limiter plan lookup error:', error)
+    }
+
+    const plan = planForProfile(profile)
+    planCache.set(userId, { plan, expiresAt: Date.now() + PLAN_CACHE_TTL_MS })
+    return plan
+  }
+
+  function assertRouteClass(routeClass) {
+    if (!USER_LIMITS[routeClass] || !IP_LIMITS[routeClass]) {
+      throw new Error(`Unknown rate limit class: ${routeClass}`)
+    }
+  }
+
+  /**
+   * Take from the request's buckets; answers 429 if any of them is empty.
+   * Buckets already checked earlier in the chain are kept on
+   * `req.rateLimitChecks` so headers report the tightest overall.
+   */
+  async function check(req, res, next, routeClass, cost, byUser) {
+    try {
+      const checks = req.rateLimitChecks || (req.rateLimitChecks = [])
+
+      const ipKey = `ip:${routeClass}:${req.ip}`
+      if (!checks.some(existing => existing.key === ipKey)) {
+        checks.push({ key: ipKey, limit: IP_LIMITS[routeClass], result: await store.take(ipKey, IP_LIMITS[routeClass], cost) })
+      }
+
+      if (byUser && req.user) {
+        const plan = await getPlan(req.user.id)
+        const userLimit = USER_LIMITS[routeClass][plan]
+        const userKey = `user:${routeClass}:${req.user.id}`
+        checks.push({ key: userKey, limit: userLimit, result: await store.take(userKey, userLimit, cost) })
+      }
+
+      // Report whichever bucket is closest to running out
+      const tightest = checks.reduce((a, b) => (b.result.remaining < a.result.remaining ? b : a))
+      res.setHeader('RateLimit-Limit', tightest.limit.capacity)
+      res.setHeader('RateLimit-Remaining', Math.max(0, tightest.result.remaining))
+      res.setHeader('RateLimit-Reset', Math.ceil(tightest.result.resetMs / 1000))
+
+      const rejected = checks.filter(entry => !entry.result.allowed)
+      if (rejected.length > 0) {
+        const retryAfterMs = Math.max(...rejected.map(entry => entry.result.retryAfterMs))
+        const retryAfterSeconds = Number.isFinite(retryAfterMs) ? Math.max(1, Math.ceil(retryAfterMs / 1000)) : 3600
+
+        res.setHeader('Retry-After', retryAfterSeconds)
+        return res.status(429).json({
+          error: 'Too many requests, please slow down',
+          retry_after: retryAfterSeconds
+        })
+      }
+
+      next()
+    } catch (error) {
+      // Never take the API down because the limiter failed
+      console.error('Rate limiter error:', error)
+      next()
+    }
+  }
+
+  function ipRateLimit(routeClass, options = {}) {
+    const { cost = 1 } = options
+    assertRouteClass(routeClass)
+    return (req, res, next) => check(req, res, next, routeClass, cost, false)
+  }
+
+  function rateLimit(routeClass, options = {}) {
+    const { cost = 1 } = options
+    assertRouteClass(routeClass)
+    return (req, res, next) => check(req, res, next, routeClass, cost, true)
+  }
+
+  return { ipRateLimit, rateLimit }
+}
+
+module.exports = {
+  USER_LIMITS,
+  IP_LIMITS,
+  createMemoryStore,
+  createSupabaseStore,
+  createRateLimiter,
+  planForProfile
+}
@@ -0,0 +1,346 @@
+const cheerio = require('cheerio')
+const { htmlToMarkdown, markdownToText } = require('./html-to-markdown')
+
+// Heuristics adapted from Mozilla's Readability: class/id patterns that mark
+// boilerplate or likely article bodies
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|ad-break|agegate|pagination|pager|popup|promo|yom-remote/i
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i
+const POSITIVE_CLASS = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i
+const NEGATIVE_CLASS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i
+
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas',
+  'form', 'button', 'input', 'select', 'textarea', 'dialog',
+  'nav', 'aside', 'footer',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="dialog"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ')
+
+// Attributes kept on the cleaned article HTML
+const KEPT_ATTRIBUTES = ['href', 'src', 'srcset', 'alt', 'title', 'colspan', 'rowspan', 'start', 'datetime', 'lang', 'class']
+
+const MIN_PARAGRAPH_LENGTH = 25
+
+/**
+ * Normalized visible text of an element
+ */
+function innerText($, element) {
+  return $(element).text().replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Share of an element's text that sits inside links
+ */
+function linkDensity($, element) {
+  const textLength = innerText($, element).length
+  if (textLength === 0) return 0
+
+  let linkLength = 0
+  $(element).find('a').each((i, link) => {
+    const href = $(link).attr('href') || ''
+    // In-page anchors are usually footnotes, not navigation
+    const weight = href.startsWith('#') ? 0.3 : 1
+    linkLength += innerText($, link).length * weight
+  })
+
+  return linkLength / textLength
+}
+
+/**
+ * Score an element's class and id against the positive/negative patterns
+ */
+function classWeight(element) {
+  let weight = 0
+  for (const value of [element.attribs?.class, element.attribs?.id]) {
+    if (!value) continue
+    if (NEGATIVE_CLASS.test(value)) weight -= 25
+    if (POSITIVE_CLASS.test(value)) weight += 25
+  }
+  return weight
+}
+
+/**
+ * Initial score for a candidate container based on its tag
+ */
+function tagWeight(tagName) {
+  switch (tagName) {
+    case 'article':
+    case 'main':
+      return 10
+    case 'div':
+      return 5
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      return 3
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+      return -3
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      return -5
+    default:
+      return 0
+  }
+}
+
+/**
+ * Pick the best title: og:title, then <title> without the site suffix, then <h1>
+ */
+function extractTitle($) {
+  const ogTitle = $('meta[property="og:title"]').attr('content')
+  if (ogTitle && ogTitle.trim()) return ogTitle.trim()
+
+  const documentTitle = $('title').first().text().replace(/\s+/g, ' ').trim()
+  const heading = $('h1').first().text().replace(/\s+/g, ' ').trim()
+
+  if (documentTitle) {
+    // "Article title | Site name" -> "Article title" when the h1 agrees
+    const parts = documentTitle.split(/\s+[|\-–—»:]\s+/)
+    if (parts.length > 1 && heading && documentTitle.startsWith(heading)) {
+      return heading
+    }
+    if (parts.length > 1 && parts[0].split(' ').length >= 3) {
+      return parts[0]
+    }
+    return documentTitle
+  }
+
+  return heading || ''
+}
+
+/**
+ * Remove obvious boilerplate before scoring
+ */
+function stripBoilerplate($) {
+  $(BOILERPLATE_SELECTORS).remove()
+
+  $('body *').each((i, element) => {
+    if (['html', 'body', 'article', 'main'].includes(element.name)) return
+    const matchString = `${element.attribs?.class || ''} ${element.attribs?.id || ''}`
+    if (matchString.trim() && UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString)) {
+      $(element).remove()
+    }
+  })
+
+  // Top-level headers are usually site chrome rather than the article header
+  $('body > header, body > div > header').each((i, element) => {
+    if (!$(element).find('h1').length) $(element).remove()
+  })
+}
+
+/**
+ * Score paragraph-like blocks and propagate scores to their ancestors
+ */
+function scoreCandidates($) {
+  const scores = new Map()
+
+  const ensureScore = element => {
+    if (!scores.has(element)) {
+      scores.set(element, tagWeight(element.name) + classWeight(element))
+    }
+  }
+
+  $('p, pre, td, blockquote, li, div, section').each((i, element) => {
+    // Only leaf-ish divs/sections count as paragraphs
+    if ((element.name === 'div' || element.name === 'section') &&
+        $(element).children('p, div, section, article, pre, table, ul, ol').length > 0) {
+      return
+    }
+
+    const text = innerText($, element)
+    if (text.length < MIN_PARAGRAPH_LENGTH) return
+
+    const score = 1 + text.split(/[,，、]/).length - 1 + Math.min(Math.floor(text.length / 100), 3)
+    const parent = element.parent
+    const grandparent = parent && parent.parent
+
+    if (parent && parent.type === 'tag') {
+      ensureScore(parent)
+      scores.set(parent, scores.get(parent) + score)
+    }
+    if (grandparent && grandparent.type === 'tag') {
+      ensureScore(grandparent)
+      scores.set(grandparent, scores.get(grandparent) + score / 2)
+    }
+  })
+
+  // Penalize link-heavy containers
+  for (const [element, score] of scores) {
+    scores.set(element, score * (1 - linkDensity($, element)))
+  }
+
+  return scores
+}
+
+/**
+ * Select the top candidate plus any siblings that look like part of the article
+ */
+function selectContent($, scores) {
+  let topCandidate = null
+  let topScore = -Infinity
+
+  for (const [element, score] of scores) {
+    if (element.name === 'body' || element.name === 'html') continue
+    if (score > topScore) {
+      topCandidate = element
+      topScore = score
+    }
+  }
+
+  if (!topCandidate) {
+    return $('body').length ? $('body') : $.root()
+  }
+
+  // If the top candidate is one of several similar blocks, use their parent
+  const parent = topCandidate.parent
+  if (parent && parent.type === 'tag' && parent.name !== 'body') {
+    const strongSiblings = $(parent).children().toArray()
+      .filter(sibling => (scores.get(sibling) || 0) >= topScore * 0.75)
+    if (strongSiblings.length >= 3) {
+      topCandidate = parent
+      topScore = scores.get(parent) || topScore
+    }
+  }
+
+  const container = $('<div></div>')
+  const siblingThreshold = Math.max(10, topScore * 0.2)
+  const siblings = topCandidate.parent && topCandidate.parent.type === 'tag' && topCandidate.parent.name !== 'html'
+    ? $(topCandidate.parent).children().toArray()
+    : [topCandidate]
+
+  for (const sibling of siblings) {
+    let include = sibling === topCandidate
+
+    if (!include) {
+      const siblingScore = scores.get(sibling) || 0
+      const bonus = sibling.attribs?.class && sibling.attribs.class === topCandidate.attribs?.class ? topScore * 0.2 : 0
+
+      if (siblingScore + bonus >= siblingThreshold) {
+        include = true
+      } else if (sibling.name === 'p') {
+        const text = innerText($, sibling)
+        const density = linkDensity($, sibling)
+        include = (text.length > 80 && density < 0.25) ||
+          (text.length > 0 && text.length <= 80 && density === 0 && /\.( |$)/.test(text))
+      }
+    }
+
+    if (include) container.append($(sibling).clone())
+  }
+
+  return container
+}
+
+/**
+ * Tidy the selected content: drop link farms and empty blocks, resolve URLs
+ * and strip presentational attributes
+ */
+function cleanContent($, content, baseUrl) {
+  content.find('ul, ol, div, section, table').each((i, element) => {
+    const text = innerText($, element)
+    const images = $(element).find('img').length
+    if (text.length === 0 && images === 0) {
+      $(element).remove()
+      return
+    }
+    if (element.name !== 'table' && linkDensity($, element) > 0.5 && text.length < 500 && !$(element).find('pre, code').length) {
+      $(element).remove()
+    }
+  })
+
+  content.find('p, span, h1, h2, h3, h4, h5, h6').each((i, element) => {
+    if (innerText($, element).length === 0 && !$(element).find('img').length) {
+      $(element).remove()
+    }
+  })
+
+  // Lazy-loaded images keep their real source in data attributes
+  content.find('img').each((i, element) => {
+    const image = $(element)
+    const lazySource = image.attr('data-src') || image.attr('data-lazy-src') || image.attr('data-original')
+    if (lazySource && (!image.attr('src') || image.attr('src').startsWith('data:'))) {
+      image.attr('src', lazySource)
+    }
+    if (!image.attr('srcset') && image.attr('data-srcset')) {
+      image.attr('srcset', image.attr('data-srcset'))
+    }
+  })
+
+  content.find('*').each((i, element) => {
+    for (const name of Object.keys(element.attribs || {})) {
+      if (!KEPT_ATTRIBUTES.includes(name)) {
+        $(element).removeAttr(name)
+      } else if (name === 'class') {
+        // Only language hints on code blocks are worth keeping
+        const languageClass = (element.attribs.class.match(/(?:language|lang)-[\w+#-]+/) || [])[0]
+        if (languageClass) {
+          $(element).attr('class', languageClass)
+        } else {
+          $(element).removeAttr('class')
+        }
+      } else if ((name === 'href' || name === 'src') && baseUrl) {
+        try {
+          $(element).attr(name, new URL(element.attribs[name], baseUrl).href)
+        } catch {
+          // Leave unparseable URLs as they are
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Extract the main content of an HTML page without any AI service.
+ * Returns { title, excerpt, byline, html, markdown, text, wordCount, readingTime }.
+ */
+function extractMainContent(html, baseUrl) {
+  const $ = cheerio.load(html || '')
+
+  const title = extractTitle($)
+  const byline = $('meta[name="author"]').attr('content') ||
+    $('[rel="author"], [itemprop="author"], .byline, .author').first().text().replace(/\s+/g, ' ').trim() || ''
+  const metaDescription = $('meta[name="description"]').attr('content') ||
+    $('meta[property="og:description"]').attr('content') || ''
+
+  stripBoilerplate($)
+
+  const content = selectContent($, scoreCandidates($))
+  cleanContent($, content, baseUrl)
+
+  // The article's own title is kept in `title`; don't repeat it in the body
+  content.find('h1').first().each((i, heading) => {
+    if (innerText($, heading) === title) $(heading).remove()
+  })
+
+  const contentHtml = content.html() || ''
+  const markdown = htmlToMarkdown(contentHtml, { baseUrl })
+  const text = markdownToText(markdown)
+  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length
+
+  return {
+    title,
+    byline,
+    excerpt: metaDescription || text.substring(0, 200),
+    html: contentHtml,
+    markdown,
+    text,
+    wordCount,
+    readingTime: Math.ceil(wordCount / 200)
+  }
+}
+
+module.exports = {
+  extractMainContent,
+  linkDensity
+}
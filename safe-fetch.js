@@ -0,0 +1,284 @@
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const fetch = require('node-fetch')
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+const DEFAULT_MAX_REDIRECTS = 5
+const DEFAULT_MAX_BYTES = 15 * 1024 * 1024 // 15MB
+const DEFAULT_TIMEOUT_MS = 30000
+
+/**
+ * Error raised when a fetch is refused or aborted by the safe-fetch layer.
+ * `code` is stable and safe to return to clients.
+ */
+class SafeFetchError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'SafeFetchError'
+    this.code = code
+  }
+}
+
+// Loopback, private, link-local, CGNAT, multicast and documentation ranges
+const blockList = new net.BlockList()
+blockList.addSubnet('0.0.0.0', 8, 'ipv4')
+blockList.addSubnet('10.0.0.0', 8, 'ipv4')
+blockList.addSubnet('100.64.0.0', 10, 'ipv4')
+blockList.addSubnet('127.0.0.0', 8, 'ipv4')
+blockList.addSubnet('169.254.0.0', 16, 'ipv4')
+blockList.addSubnet('172.16.0.0', 12, 'ipv4')
+blockList.addSubnet('192.0.0.0', 24, 'ipv4')
+blockList.addSubnet('192.0.2.0', 24, 'ipv4')
+blockList.addSubnet('192.168.0.0', 16, 'ipv4')
+blockList.addSubnet('198.18.0.0', 15, 'ipv4')
+blockList.addSubnet('198.51.100.0', 24, 'ipv4')
+blockList.addSubnet('203.0.113.0', 24, 'ipv4')
+blockList.addSubnet('224.0.0.0', 4, 'ipv4')
+blockList.addSubnet('240.0.0.0', 4, 'ipv4')
+// ::/96 covers the unspecified and loopback addresses and the deprecated
+// IPv4-compatible form (::127.0.0.1), which would otherwise bypass the IPv4 list
+blockList.addSubnet('::', 96, 'ipv6')
+blockList.addSubnet('64:ff9b::', 96, 'ipv6')
+blockList.addSubnet('100::', 64, 'ipv6')
+blockList.addSubnet('2001:db8::', 32, 'ipv6')
+// 6to4 embeds an IPv4 address (2002:7f00:1:: is 127.0.0.1) and is deprecated
+blockList.addSubnet('2002::', 16, 'ipv6')
+blockList.addSubnet('fc00::', 7, 'ipv6')
+blockList.addSubnet('fe80::', 10, 'ipv6')
+blockList.addSubnet('ff00::', 8, 'ipv6')
+
+/**
+ * Extract the IPv4 address embedded in an IPv4-mapped IPv6 address
+ */
+function unmapIPv4(address) {
+  const lower = address.toLowerCase()
+
+  const dotted = lower.match(/^(?:0{0,4}:){0,5}:?ffff:(\d+\.\d+\.\d+\.\d+)$/)
+  if (dotted) return dotted[1]
+
+  const hex = lower.match(/^(?:0{0,4}:){0,5}:?ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/)
+  if (hex) {
+    const high = parseInt(hex[1], 16)
+    const low = parseInt(hex[2], 16)
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.')
+  }
+
+  return null
+}
+
+/**
+ * Check whether an IP address points somewhere we must never fetch
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address)
+  if (family === 4) {
+    return blockList.check(address, 'ipv4')
+  }
+  if (family === 6) {
+    const mapped = unmapIPv4(address)
+    if (mapped) return blockList.check(mapped, 'ipv4')
+    return blockList.check(address, 'ipv6')
+  }
+  // Not an IP at all - refuse rather than guess
+  return true
+}
+
+/**
+ * DNS lookup that refuses to connect to blocked addresses.
+ * Runs on every connection, so DNS rebinding between hops can't slip through.
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options
+    options = {}
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(new SafeFetchError('DNS_LOOKUP_FAILED', `Could not resolve ${hostname}`))
+    }
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address))
+    if (blocked) {
+      return callback(new SafeFetchError('BLOCKED_ADDRESS', `Refusing to fetch ${hostname}: resolves to a private or reserved address`))
+    }
+
+    if (options.all) {
+      return callback(null, addresses)
+    }
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup })
+const httpsAgent = new https.Agent({ lookup: safeLookup })
+
+/**
+ * Validate a URL's protocol and literal host before any request is made
+ */
+function assertFetchableUrl(url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    throw new SafeFetchError('INVALID_URL', 'Invalid URL')
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new SafeFetchError('UNSUPPORTED_PROTOCOL', `Only http and https URLs can be captured (got ${parsed.protocol})`)
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new SafeFetchError('INVALID_URL', 'URLs with embedded credentials cannot be captured')
+  }
+
+  // IP literals never go through DNS lookup, so check them here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '')
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new SafeFetchError('BLOCKED_ADDRESS', `Refusing to fetch ${host}: private or reserved address`)
+  }
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    throw new SafeFetchError('BLOCKED_ADDRESS', `Refusing to fetch ${host}: local hostname`)
+  }
+
+  return parsed
+}
+
+/**
+ * Resolve a URL's host and make sure every address it maps to is public.
+ * Used to reject obviously internal targets before handing a URL to a third party.
+ */
+async function assertPublicUrl(url) {
+  const parsed = assertFetchableUrl(url)
+  const host = parsed.hostname.replace(/^\[|\]$/g, '')
+
+  if (net.isIP(host)) {
+    return parsed
+  }
+
+  let addresses
+  try {
+    addresses = await dns.promises.lookup(host, { all: true })
+  } catch {
+    throw new SafeFetchError('DNS_LOOKUP_FAILED', `Could not resolve ${host}`)
+  }
+
+  if (addresses.some(entry => isBlockedAddress(entry.address))) {
+    throw new SafeFetchError('BLOCKED_ADDRESS', `Refusing to fetch ${host}: resolves to a private or reserved address`)
+  }
+
+  return parsed
+}
+
+/**
+ * Translate node-fetch failures into SafeFetchErrors
+ */
+function toSafeFetchError(error, url, maxBytes) {
+  if (error instanceof SafeFetchError) return error
+  if (error.code === 'BLOCKED_ADDRESS' || error.code === 'DNS_LOOKUP_FAILED') {
+    return new SafeFetchError(error.code, error.message.replace(/^.*reason: /, ''))
+  }
+  if (error.type === 'max-size') {
+    return new SafeFetchError('RESPONSE_TOO_LARGE', `Response from ${url} exceeded ${maxBytes} bytes`)
+  }
+  if (error.type === 'request-timeout' || error.type === 'body-timeout' || error.name === 'AbortError') {
+    return new SafeFetchError('TIMEOUT', `Timed out fetching ${url}`)
+  }
+  return new SafeFetchError('FETCH_FAILED', `Failed to fetch ${url}: ${error.message}`)
+}
+
+/**
+ * Fetch a user-supplied URL safely.
+ *
+ * Only http(s) is allowed, every hop's address is checked against private and
+ * link-local ranges, redirects are followed manually and re-validated, and the
+ * response is bounded by size and total time. Resolves with the final URL,
+ * status, lowercased headers, the redirect chain and the body as a Buffer.
+ */
+async function safeFetch(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    maxBytes = DEFAULT_MAX_BYTES,
+    timeout = DEFAULT_TIMEOUT_MS
+  } = options
+
+  const startedAt = Date.now()
+  const redirects = []
+  let currentUrl = url
+
+  for (let hop = 0; ; hop++) {
+    const parsed = assertFetchableUrl(currentUrl)
+    const remaining = timeout - (Date.now() - startedAt)
+    if (remaining <= 0) {
+      throw new SafeFetchError('TIMEOUT', `Timed out fetching ${url}`)
+    }
+
+    let response
+    try {
+      response = await fetch(parsed.href, {
+        method,
+        headers: { 'User-Agent': DEFAULT_USER_AGENT, ...headers },
+        redirect: 'manual',
+        compress: true,
+        size: maxBytes,
+        timeout: remaining,
+        agent: target => (target.protocol === 'http:' ? httpAgent : httpsAgent)
+      })
+    } catch (error) {
+      throw toSafeFetchError(error, parsed.href, maxBytes)
+    }
+
+    const location = response.headers.get('location')
+    if (response.status >= 300 && response.status < 400 && location) {
+      // Read the redirect body off the socket before moving on (bounded by maxBytes and the timeout)
+      await response.buffer().catch(() => {})
+
+      if (hop >= maxRedirects) {
+        throw new SafeFetchError('TOO_MANY_REDIRECTS', `Too many redirects fetching ${url}`)
+      }
+
+      let nextUrl
+      try {
+        nextUrl = new URL(location, parsed.href).href
+      } catch {
+        throw new SafeFetchError('FETCH_FAILED', `Invalid redirect location from ${parsed.href}`)
+      }
+
+      redirects.push({ url: parsed.href, status: response.status, location: nextUrl })
+      currentUrl = nextUrl
+      continue
+    }
+
+    let body
+    try {
+      body = method === 'HEAD' ? Buffer.alloc(0) : await response.buffer()
+    } catch (error) {
+      throw toSafeFetchError(error, parsed.href, maxBytes)
+    }
+
+    return {
+      requestedUrl: url,
+      url: parsed.href,
+      status: response.status,
+      statusText: response.statusText,
+      ok: response.ok,
+      headers: Object.fromEntries(response.headers.entries()),
+      redirects,
+      body,
+      durationMs: Date.now() - startedAt
+    }
+  }
+}
+
+module.exports = {
+  SafeFetchError,
+  safeFetch,
+  assertFetchableUrl,
+  assertPublicUrl,
+  isBlockedAddress
+}
@@ -0,0 +1,145 @@
+// Periodic background tasks (link checks and the like). A scheduler is any
+// object with schedule(name, intervalMs, task), start(), stop(), runNow(name)
+// and status(); the interval scheduler runs tasks in-process, the manual one
+// only when runNow() is called (e.g. from an external cron hitting an admin route).
+
+/**
+ * Shared task bookkeeping: registration, single-flight runs and status
+ */
+function createTaskRegistry(now) {
+  const tasks = new Map()
+
+  async function run(name) {
+    const entry = tasks.get(name)
+    if (!entry) {
+      throw new Error(`Unknown scheduled task: ${name}`)
+    }
+
+    // Never overlap runs of the same task; callers share the run in flight
+    if (entry.running) return entry.running
+
+    entry.running = (async () => {
+      const startedAt = now()
+      try {
+        entry.lastResult = await entry.task()
+        entry.lastError = null
+        return entry.lastResult
+      } catch (error) {
+        console.error(`❌ Scheduled task ${name} failed:`, error)
+        entry.lastError = error.message
+        throw error
+      } finally {
+        entry.lastRunAt = new Date(startedAt).toISOString()
+        entry.lastDurationMs = now() - startedAt
+        entry.running = null
+      }
+    })()
+
+    return entry.running
+  }
+
+  function register(name, intervalMs, task, options = {}) {
+    if (tasks.has(name)) {
+      throw new Error(`Task already scheduled: ${name}`)
+    }
+    const entry = {
+      intervalMs,
+      task,
+      initialDelayMs: options.initialDelayMs ?? intervalMs,
+      running: null,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastResult: null,
+      lastError: null
+    }
+    tasks.set(name, entry)
+    return entry
+  }
+
+  function status() {
+    return [...tasks.entries()].map(([name, entry]) => ({
+      name,
+      interval_ms: entry.intervalMs,
+      running: Boolean(entry.running),
+      last_run_at: entry.lastRunAt,
+      last_duration_ms: entry.lastDurationMs,
+      last_result: entry.lastResult,
+      last_error: entry.lastError
+    }))
+  }
+
+  return { tasks, run, register, status }
+}
+
+/**
+ * In-process scheduler. Each task runs every `intervalMs`, measured from the
+ * end of the previous run, so a slow run delays the next one instead of
+ * piling up. Timers are unref'd and never keep the process alive.
+ */
+function createIntervalScheduler(options = {}) {
+  const { setTimer = setTimeout, clearTimer = clearTimeout, now = Date.now } = options
+  const registry = createTaskRegistry(now)
+  const timers = new Map()
+  let started = false
+
+  function arm(name, delayMs) {
+    const timer = setTimer(async () => {
+      timers.delete(name)
+      try {
+        await registry.run(name)
+      } catch {
+        // Already logged; keep the schedule going
+      }
+      if (started) arm(name, registry.tasks.get(name).intervalMs)
+    }, delayMs)
+    if (timer && timer.unref) timer.unref()
+    timers.set(name, timer)
+  }
+
+  return {
+    schedule(name, intervalMs, task, taskOptions) {
+      const entry = registry.register(name, intervalMs, task, taskOptions)
+      if (started && intervalMs > 0) arm(name, entry.initialDelayMs)
+    },
+
+    start() {
+      if (started) return
+      started = true
+      for (const [name, entry] of registry.tasks) {
+        if (entry.intervalMs > 0) arm(name, entry.initialDelayMs)
+      }
+    },
+
+    stop() {
+      started = false
+      for (const timer of timers.values()) clearTimer(timer)
+      timers.clear()
+    },
+
+    runNow: registry.run,
+    status: registry.status
+  }
+}
+
+/**
+ * Scheduler that never runs anything by itself; tasks run only through runNow()
+ */
+function createManualScheduler(options = {}) {
+  const { now = Date.now } = options
+  const registry = createTaskRegistry(now)
+
+  return {
+    schedule(name, intervalMs, task, taskOptions) {
+      registry.register(name, intervalMs, task, taskOptions)
+    },
+    start() {},
+    stop() {},
+    runNow: registry.run,
+    status: registry.status
+  }
+}
+
+module.exports = {
+  createIntervalScheduler,
+  createManualScheduler
+}
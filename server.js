@@ -1,12 +1,24 @@
 require('dotenv').config()
 const express = require('express')
 const cors = require('cors')
+const multer = require('multer')
 const { createClient } = require('@supabase/supabase-js')
-const fetch = require('node-fetch')
-const cheerio = require('cheerio')
-// const puppeteer = require('puppeteer') // Removed for deployment
 const stripe = process.env.STRIPE_SECRET_KEY ? require('stripe')(process.env.STRIPE_SECRET_KEY) : null
 const FirecrawlApp = require('@mendable/firecrawl-js').FirecrawlApp
+const crypto = require('crypto')
+const { createAuthMiddleware, createAdminMiddleware, getBearerToken } = require('./auth-middleware')
+const { recordAuditEvent, archiveSnapshot, queryAuditLog } = require('./audit-log')
+const { createRateLimiter, createMemoryStore, createSupabaseStore } = require('./rate-limiter')
+const { assertFetchableUrl, assertPublicUrl, SafeFetchError } = require('./safe-fetch')
+const { archiveViewCsp, renderArchiveView } = require('./archive-renderer')
+const {
+  API_TOKEN_SCOPES,
+  createApiToken,
+  listApiTokens,
+  renameApiToken,
+  revokeApiToken,
+  createViewToken
+} = require('./api-tokens')
 
 // Simple Firecrawl availability check
 const isFirecrawlAvailable = () => {
@@ -15,27 +27,82 @@ const isFirecrawlAvailable = () => {
 // Import embedding modules for RAG search
 const {
   processArchiveWithSharedEmbeddings,
+  reprocessArchiveEmbeddings,
   hybridSearchWithSharedEmbeddings,
   generateEmbedding
 } = require('./gemini-embeddings')
 
-// Firecrawl extractor - try to load if available
-let archivePageWithFirecrawl
-try {
-  const firecrawlModule = require('./firecrawl-extractor')
-  archivePageWithFirecrawl = firecrawlModule.archivePageWithFirecrawl
-} catch (err) {
-  console.log('Firecrawl extractor not available, using fallback')
-  archivePageWithFirecrawl = async (url, fallbackFn) => fallbackFn(url)
-}
+// Shared extractor pipeline (Firecrawl, then basic fetch)
+const { CaptureRejectedError, capturePage, validateSnapshot, buildArchiveRecord } = require('./capture')
+const { ExtractionError } = require('./extractor-pipeline')
+const {
+  createInitialVersion,
+  addArchiveVersion,
+  listArchiveVersions,
+  getArchiveVersion,
+  setActiveArchiveVersion,
+  diffArchiveVersions
+} = require('./archive-versions')
+const { createIntervalScheduler, createManualScheduler } = require('./scheduler')
+const { JOB_STATUSES, parseJobConcurrency, createJobQueue } = require('./job-queue')
+const {
+  IMPORT_ITEM_STATES,
+  createImport,
+  getImport,
+  listImports,
+  listImportItems,
+  updateImport,
+  resetFailedImportItems,
+  runImport
+} = require('./import-tracker')
+const {
+  DEFAULT_MIN_QUALITY_SCORE,
+  getQualityThreshold,
+  setQualityThreshold,
+  recordCaptureRejection,
+  listCaptureRejections,
+  getCaptureRejection,
+  resolveCaptureRejection
+} = require('./quality-gate')
+const {
+  LINK_STATUSES,
+  DEAD_LINK_STATUSES,
+  checkArchiveLink,
+  runLinkChecks,
+  getLinkHealthReport,
+  listLinkChecks
+} = require('./link-rot-monitor')
+const {
+  watchEvents,
+  parseWatchSettings,
+  setArchiveWatch,
+  clearArchiveWatch,
+  checkWatchedArchive,
+  runWatchChecks,
+  listWatchedArchives,
+  listChangeEvents
+} = require('./watch-mode')
+const {
+  DuplicateArchiveError,
+  canonicalizeUrl,
+  archiveCanonicalUrl,
+  findDuplicateArchive,
+  findArchivedCanonicalUrls,
+  backfillCanonicalUrls
+} = require('./url-canonicalizer')
+const { WarcFormatError, createWarcinfoRecord, buildArchiveWarcRecords, parseWarc, readWarcPages } = require('./warc')
+const { uploadOriginalFile, attachOriginalFile, removeOriginalFiles } = require('./original-files')
+const { MAX_UPLOAD_BYTES, UploadFormatError, uploadFilename, parseUploadTags, extractUpload } = require('./document-uploads')
 
 // Knowledge graph extractor - try to load if available
 let processArticleForKnowledgeGraph = async () => {}
 let batchProcessArticles = async () => []
+let summarizeArticle = async () => false
 try {
   const kgModule = require('./knowledge-graph-extractor')
   processArticleForKnowledgeGraph = kgModule.processArticleForKnowledgeGraph
   batchProcessArticles = kgModule.batchProcessArticles
+  summarizeArticle = kgModule.summarizeArticle
 } catch (err) {
   console.log('Knowledge graph extractor not available')
 }
@@ -57,9 +124,6 @@ try {
   getImportStatus = async () => ({ status: 'unavailable' })
   checkForDuplicates = async (urls) => ({ newUrls: urls, duplicates: [] })
 }
-// Note: Readability requires jsdom, but we'll use a simpler approach for now
-// const { Readability } = require('@mozilla/readability')
-// const { JSDOM } = require('jsdom')
 
 const app = express()
 const PORT = process.env.PORT || 3001
@@ -69,162 +133,201 @@ const supabaseUrl = process.env.SUPABASE_URL
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
 const supabase = createClient(supabaseUrl, supabaseServiceKey)
 
-app.use(cors())
-app.use(express.json({ limit: '50mb' }))
-app.use(express.urlencoded({ limit: '50mb', extended: true }))
+// Resolves the caller from the Authorization header and scopes routes to them
+const requireAuth = createAuthMiddleware(supabase)
+const requireAdmin = createAdminMiddleware(supabase)
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() })
+// Token-bucket rate limits per user and IP; use the shared store when running several instances.
+// ipRateLimit runs before requireAuth so failed authentication is limited too.
+const { ipRateLimit, rateLimit } = createRateLimiter({
+  supabase,
+  store: process.env.RATE_LIMIT_STORE === 'supabase' ? createSupabaseStore(supabase) : createMemoryStore()
 })
 
-// Auth verification endpoint for extensions
-app.post('/api/auth/verify', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No valid authorization header' })
-    }
+// Background tasks run in-process; SCHEDULER=manual leaves them to POST /api/admin/scheduler/:task/run
+const scheduler = process.env.SCHEDULER === 'manual' ? createManualScheduler() : createIntervalScheduler()
 
-    const token = authHeader.substring(7)
+// Re-check archived originals for link rot (LINK_CHECK_INTERVAL_MS=0 disables the timer)
+scheduler.schedule('link-check', process.env.LINK_CHECK_INTERVAL_MS ? parseInt(process.env.LINK_CHECK_INTERVAL_MS) : 60 * 60 * 1000, () => runLinkChecks(supabase), {
+  initialDelayMs: 5 * 60 * 1000
+})
 
-    // Verify the token with Supabase
-    const { data: { user }, error } = await supabase.auth.getUser(token)
+// Re-capture watched archives that are due (WATCH_TICK_MS=0 disables the timer)
+scheduler.schedule('watch', process.env.WATCH_TICK_MS ? parseInt(process.env.WATCH_TICK_MS) : 5 * 60 * 1000, () => runWatchChecks(supabase))
 
-    if (error || !user) {
-      return res.status(401).json({ error: 'Invalid token' })
-    }
+// Fill canonical_url on archives saved before canonicalization (CANONICAL_BACKFILL_INTERVAL_MS=0 disables the timer)
+scheduler.schedule('canonical-backfill', process.env.CANONICAL_BACKFILL_INTERVAL_MS ? parseInt(process.env.CANONICAL_BACKFILL_INTERVAL_MS) : 10 * 60 * 1000, () => backfillCanonicalUrls(supabase), {
+  initialDelayMs: 60 * 1000
+})
 
-    res.json({ user: { id: user.id, email: user.email } })
-  } catch (error) {
-    console.error('Auth verification error:', error)
-    res.status(500).json({ error: 'Internal server error' })
+// Enrichment, capture and import work is stored in `jobs` so it survives restarts
+const jobQueue = createJobQueue(supabase)
+const jobConcurrency = parseJobConcurrency(process.env.JOB_CONCURRENCY)
+
+/**
+ * Load the archive a job is about; null if it was deleted since
+ */
+async function loadJobArchive(archiveId) {
+  const { data: archive, error } = await supabase
+    .from('archives')
+    .select('*')
+    .eq('id', archiveId)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+  return archive || null
+}
+
+jobQueue.register('embed', async ({ archive_id: archiveId, reprocess }, { signal }) => {
+  const archive = await loadJobArchive(archiveId)
+  if (!archive) return { skipped: 'Archive not found' }
+
+  const embed = reprocess ? reprocessArchiveEmbeddings : processArchiveWithSharedEmbeddings
+  const contentIds = await embed(archive, supabase, { throwOnError: true, signal })
+  return { embedded_chunks: contentIds ? contentIds.length : 0 }
+}, { concurrency: jobConcurrency.embed || 2, timeout: 10 * 60 * 1000 })
+
+jobQueue.register('kg-extract', async ({ archive_id: archiveId }, { job, signal }) => {
+  const extracted = await processArticleForKnowledgeGraph(archiveId, job.user_id, { throwOnError: true, summarize: false, signal })
+  return { extracted }
+}, { concurrency: jobConcurrency['kg-extract'] || 1, timeout: 5 * 60 * 1000 })
+
+jobQueue.register('summarize', async ({ archive_id: archiveId }, { job, signal }) => {
+  const summarized = await summarizeArticle(archiveId, job.user_id, { signal })
+  return { summarized }
+}, { concurrency: jobConcurrency.summarize || 1, timeout: 2 * 60 * 1000 })
+
+jobQueue.register('capture', async ({ url, tags, snapshot }, { job, signal }) => {
+  // The page may have been archived while the job waited
+  const existingArchive = await findDuplicateArchive(supabase, job.user_id, url)
+  if (existingArchive) {
+    return { archive_id: existingArchive.id, skipped: 'URL already archived' }
   }
-})
 
-// Enhanced archiving function with full HTML, screenshots, and content extraction
-async function archivePageCompletely(url) {
-  let browser
   try {
-    // Launch Puppeteer browser
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-    })
+    const { archive } = await captureArchive(job.user_id, url, { tags, snapshot, signal })
+    return { archive_id: archive.id, title: archive.title }
+  } catch (error) {
+    if (error instanceof DuplicateArchiveError) {
+      return { archive_id: error.archive.id, skipped: 'URL already archived' }
+    }
 
-    const page = await browser.newPage()
+    // A refused capture is stored for review, and a refused URL stays refused;
+    // timeouts and failed fetches are worth retrying
+    const refusedUrl = error instanceof SafeFetchError && ['INVALID_URL', 'UNSUPPORTED_PROTOCOL', 'BLOCKED_ADDRESS'].includes(error.code)
+    if (error instanceof CaptureRejectedError || refusedUrl) {
+      error.retryable = false
+    }
+    throw error
+  }
+}, { concurrency: jobConcurrency.capture || 2, timeout: 3 * 60 * 1000 })
 
-    // Set viewport and user agent
-    await page.setViewport({ width: 1920, height: 1080 })
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36')
+jobQueue.register('import', async ({ import_id: importId }, { job, isCancelled, signal }) => {
+  const importRecord = await getImport(supabase, job.user_id, importId)
+  const warcImport = importRecord && importRecord.source === 'warc'
 
-    // Navigate to page
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 30000
-    })
+  const processImport = warcImport
+    ? processWarcImport
+    : (items, userId, options) => processPocketImport(items, userId, { ...options, onArchived: archive => queueArchiveJobs(archive) })
 
-    // Wait for any dynamic content
-    await page.waitForTimeout(2000)
-
-    // Extract page data
-    const pageData = await page.evaluate(() => {
-      return {
-        title: document.title,
-        html: document.documentElement.outerHTML,
-        url: window.location.href,
-        meta: {
-          description: document.querySelector('meta[name="description"]')?.content ||
-                      document.querySelector('meta[property="og:description"]')?.content || '',
-          keywords: document.querySelector('meta[name="keywords"]')?.content || '',
-          author: document.querySelector('meta[name="author"]')?.content || '',
-          publishedTime: document.querySelector('meta[property="article:published_time"]')?.content || '',
-        }
-      }
-    })
+  const result = await runImport(supabase, importId, processImport, {
+    isCancelled: () => isCancelled() || signal.aborted
+  })
 
-    // Take screenshot (PNG doesn't support quality parameter)
-    const screenshotBuffer = await page.screenshot({
-      fullPage: true,
-      type: 'png'
-    })
+  // A WARC is kept while any of its pages are left to resume or retry
+  if (warcImport && result.status === 'completed' && result.failed === 0 && result.pending === 0) {
+    await removeImportWarc(importId)
+  }
+  return result
+}, { concurrency: jobConcurrency.import || 1 })
+
+/**
+ * Queue an import run's pending URLs. The status is set first so the job
+ * can't start (and mark it running) before it's queued.
+ */
+async function startImportJob(importRecord, userId) {
+  await updateImport(supabase, importRecord.id, { status: 'queued', last_error: null, completed_at: null })
+  const job = await jobQueue.enqueue('import', { import_id: importRecord.id }, { userId })
+  return updateImport(supabase, importRecord.id, { job_id: job.id })
+}
 
-    // Close browser
-    await browser.close()
+/**
+ * The job currently running an import, if it is queued or running
+ */
+async function activeImportJob(importRecord, userId) {
+  if (!importRecord.job_id) return null
+  const job = await jobQueue.getJob(userId, importRecord.job_id)
+  return job && (job.status === 'queued' || job.status === 'running') ? job : null
+}
 
-    // Process HTML with Cheerio for additional cleanup
-    const $ = cheerio.load(pageData.html)
+/**
+ * Queue background work for an archive: by default embeddings,
+ * knowledge-graph extraction and a summary. Failing to queue is logged,
+ * never thrown, so it can't fail the request that stored the archive.
+ */
+async function queueArchiveJobs(archive, types = ['embed', 'kg-extract', 'summarize'], payload = {}) {
+  try {
+    await Promise.all(types.map(type =>
+      jobQueue.enqueue(type, { archive_id: archive.id, ...payload }, { userId: archive.user_id })
+    ))
+  } catch (error) {
+    console.error(`Failed to queue background jobs for archive ${archive.id}:`, error)
+  }
+}
 
-    // Remove script tags and other unwanted elements
-    $('script, style, noscript, iframe[src*="ads"], .advertisement, .ad-banner').remove()
+// Start due jobs and requeue ones whose worker stopped (JOB_POLL_MS=0 disables the timer;
+// new jobs still start right away, and interrupted ones are recovered at startup)
+scheduler.schedule('jobs', process.env.JOB_POLL_MS ? parseInt(process.env.JOB_POLL_MS) : 5000, () => jobQueue.poll())
 
-    // Extract clean text content
-    const cleanHtml = $.html()
+// A changed watched page becomes the active version, so search should follow it
+watchEvents.on('change', (event, archive) => {
+  queueArchiveJobs(archive, ['embed'], { reprocess: true })
+})
 
-    // Simple content extraction (replace with Readability if needed)
-    const article = {
-      title: $('title').text() || $('h1').first().text(),
-      textContent: $('body').text().replace(/\s+/g, ' ').trim(),
-      excerpt: $('meta[name="description"]').attr('content') || $('p').first().text().substring(0, 200)
-    }
+// Behind Render's proxy req.ip is only the client address when the proxy is trusted
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy))
+}
 
-    // Use screenshot as-is (removed Sharp compression for deployment simplicity)
-    const compressedScreenshot = screenshotBuffer
+app.use(cors())
 
-    return {
-      title: pageData.title || article?.title || 'Untitled',
-      description: pageData.meta.description || article?.excerpt || '',
-      html: cleanHtml,
-      text: article?.textContent || $('body').text().replace(/\s+/g, ' ').trim(),
-      screenshot: compressedScreenshot,
-      metadata: {
-        ...pageData.meta,
-        wordCount: article?.textContent?.split(' ').length || 0,
-        readingTime: Math.ceil((article?.textContent?.split(' ').length || 0) / 200),
-        extractedAt: new Date().toISOString()
-      }
-    }
-  } catch (error) {
-    console.error('Error archiving page:', error)
+// Tag every request with an ID for logs and the audit trail
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id')
+  req.id = incomingId && /^[\w-]{1,100}$/.test(incomingId) ? incomingId : crypto.randomUUID()
+  res.setHeader('X-Request-Id', req.id)
+  next()
+})
+app.use(express.json({ limit: '50mb' }))
+app.use(express.urlencoded({ limit: '50mb', extended: true }))
 
-    // Fallback to basic fetch if Puppeteer fails
-    try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      })
-      const html = await response.text()
-      const $ = cheerio.load(html)
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', timestamp: new Date().toISOString() })
+})
 
-      const title = $('title').text() || $('h1').first().text() || 'Untitled'
-      const description = $('meta[name="description"]').attr('content') ||
-                         $('meta[property="og:description"]').attr('content') ||
-                         $('p').first().text().substring(0, 200) || ''
+// Auth verification endpoint for extensions
+app.post('/api/auth/verify', async (req, res) => {
+  try {
+    const token = getBearerToken(req)
+    if (!token) {
+      return res.status(401).json({ error: 'No valid authorization header' })
+    }
 
-      $('script, style').remove()
-      const textContent = $('body').text().replace(/\s+/g, ' ').trim()
+    // Verify the token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token)
 
-      return {
-        title,
-        description,
-        html,
-        text: textContent.substring(0, 50000), // Limit text content
-        screenshot: null,
-        metadata: {
-          extractedAt: new Date().toISOString(),
-          fallback: true
-        }
-      }
-    } catch (fallbackError) {
-      throw new Error(`Failed to archive page: ${fallbackError.message}`)
-    }
-  } finally {
-    if (browser) {
-      await browser.close()
+    if (error || !user) {
+      return res.status(401).json({ error: 'Invalid token' })
     }
+
+    res.json({ user: { id: user.id, email: user.email } })
+  } catch (error) {
+    console.error('Auth verification error:', error)
+    res.status(500).json({ error: 'Internal server error' })
   }
-}
+})
 
 // Upload screenshot to Supabase Storage
 async function uploadScreenshot(screenshotBuffer, archiveId) {
@@ -253,45 +356,172 @@ async function uploadScreenshot(screenshotBuffer, archiveId) {
   }
 }
 
-// Archive a new page
-app.post('/api/archive', async (req, res) => {
+/**
+ * Validate a capture request's URL and optional extension snapshot.
+ * Resolves to { snapshot } or { status, body } for the route to return.
+ */
+async function validateCaptureRequest(url, rawSnapshot) {
+  // Optional HTML snapshot captured by the browser extension
+  let snapshot = null
+  if (rawSnapshot) {
+    const validation = validateSnapshot(rawSnapshot, url)
+    if (validation.error) {
+      return { status: validation.status, body: { error: validation.error } }
+    }
+    snapshot = validation.snapshot
+  }
+
+  // Validate URL and refuse private, link-local and non-http(s) targets.
+  // Snapshots aren't fetched server-side, so they only need a valid http(s) URL.
   try {
-    const { url, userId, tags = [] } = req.body
+    if (snapshot) {
+      assertFetchableUrl(url)
+    } else {
+      await assertPublicUrl(url)
+    }
+  } catch (urlError) {
+    return { status: 400, body: { error: urlError.message, code: urlError.code } }
+  }
+
+  return { snapshot }
+}
 
-    if (!url || !userId) {
-      return res.status(400).json({ error: 'URL and userId are required' })
+/**
+ * Map capture failures to a 422 response; null for unexpected errors
+ */
+function captureErrorResponse(error) {
+  if (error instanceof SafeFetchError) {
+    return { status: 422, body: { error: error.message, code: error.code, attempts: error.attempts } }
+  }
+  if (error instanceof ExtractionError) {
+    return { status: 422, body: { error: error.message, code: 'EXTRACTION_FAILED', attempts: error.attempts } }
+  }
+  if (error instanceof DuplicateArchiveError) {
+    return { status: 409, body: duplicateArchiveBody(error.archive) }
+  }
+  if (error instanceof CaptureRejectedError) {
+    const body = { error: error.message, code: error.code, capture_record: error.captureRecord }
+    if (error.rejection) {
+      body.rejection_id = error.rejection.id
+      body.save_anyway_url = `/api/rejections/${error.rejection.id}/save`
     }
+    return { status: 422, body }
+  }
+  return null
+}
 
-    // Validate URL
-    try {
-      new URL(url)
-    } catch {
-      return res.status(400).json({ error: 'Invalid URL' })
+/**
+ * 409 body pointing at the archive a capture duplicates
+ */
+function duplicateArchiveBody(existingArchive) {
+  return {
+    error: 'URL already archived',
+    code: 'DUPLICATE_ARCHIVE',
+    hint: 'Re-capture the existing archive to store a new version',
+    recapture_url: `/api/archive/${existingArchive.id}/recapture`,
+    archive: {
+      id: existingArchive.id,
+      url: existingArchive.url,
+      canonical_url: existingArchive.canonical_url,
+      title: existingArchive.title
     }
+  }
+}
 
-    // Check if URL already exists for this user
-    const { data: existingArchive, error: duplicateError } = await supabase
-      .from('archives')
-      .select('id, title, url')
-      .eq('user_id', userId)
-      .eq('url', url)
-      .single()
+/**
+ * Capture a page through the shared extractor pipeline and the user's quality
+ * gate, store it with its original file and screenshot, and queue its
+ * enrichment. Refused captures are recorded so the user can save them anyway.
+ */
+async function captureArchive(userId, url, { tags = [], snapshot, signal } = {}) {
+  let archivedData
+  try {
+    archivedData = await capturePage(url, { snapshot, minQualityScore: await getQualityThreshold(supabase, userId) })
+  } catch (captureError) {
+    // Keep refused pages so the user can review them and save anyway
+    if (captureError instanceof CaptureRejectedError) {
+      captureError.rejection = await recordCaptureRejection(supabase, {
+        userId,
+        url,
+        error: captureError,
+        payload: { url, tags, snapshot }
+      }).catch(recordError => {
+        console.error('Failed to record capture rejection:', recordError)
+        return null
+      })
+    }
+    throw captureError
+  }
+
+  // A job that timed out or was cancelled mid-capture must not store a page
+  if (signal) signal.throwIfAborted()
+
+  // The page's own <link rel=canonical> can match an archive the submitted URL didn't
+  const record = buildArchiveRecord(archivedData, { userId, url, tags })
+  const existingArchive = await findDuplicateArchive(supabase, userId, url, { canonicalUrl: record.canonical_url })
+  if (existingArchive) throw new DuplicateArchiveError(existingArchive)
+
+  // Insert into Supabase (screenshot_url is filled in after upload)
+  const { data: archive, error: insertError } = await supabase
+    .from('archives')
+    .insert(record)
+    .select()
+    .single()
+
+  if (insertError) throw insertError
+
+  // Keep the original of PDFs, text files and images
+  await attachOriginalFile(supabase, archive, archivedData)
+
+  // Upload screenshot if available
+  if (archivedData.screenshot) {
+    const screenshotUrl = await uploadScreenshot(archivedData.screenshot, archive.id)
+    if (screenshotUrl) {
+      await supabase
+        .from('archives')
+        .update({ screenshot_url: screenshotUrl })
+        .eq('id', archive.id)
+
+      archive.screenshot_url = screenshotUrl
+    }
+  }
 
-    if (duplicateError && duplicateError.code !== 'PGRST116') {
+  await createInitialVersion(supabase, archive)
+
+  // Embeddings, knowledge graph and summary run as background jobs
+  await queueArchiveJobs(archive)
+
+  return { archive, archivedData }
+}
+
+// Archive a new page (shared by /api/archive and the legacy /api/links).
+// With `async: true` the capture itself runs as a job and the response is 202.
+async function handleArchiveRequest(req, res) {
+  try {
+    const { url, tags = [] } = req.body
+    const userId = req.user.id
+
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' })
+    }
+
+    const { snapshot, status: invalidStatus, body: invalidBody } = await validateCaptureRequest(url, req.body.snapshot)
+    if (invalidStatus) {
+      return res.status(invalidStatus).json(invalidBody)
+    }
+
+    // Check if this page (by canonical URL) is already archived for this user
+    let existingArchive
+    try {
+      existingArchive = await findDuplicateArchive(supabase, userId, url)
+    } catch (duplicateError) {
       console.error('Duplicate check error:', duplicateError)
       return res.status(500).json({ error: 'Failed to check for duplicates' })
     }
 
     if (existingArchive) {
       console.log(`URL already archived: ${existingArchive.title || url}`)
-      return res.status(409).json({
-        error: 'URL already archived',
-        archive: {
-          id: existingArchive.id,
-          url: existingArchive.url,
-          title: existingArchive.title
-        }
-      })
+      return res.status(409).json(duplicateArchiveBody(existingArchive))
     }
 
     // Check usage limits
@@ -314,53 +544,16 @@ app.post('/api/archive', async (req, res) => {
 
     console.log(`Archiving: ${url} (${usageResult.current_count}/${usageResult.limit})`)
 
-    // Archive the page using Firecrawl with Puppeteer fallback
-    const archivedData = await archivePageWithFirecrawl(url, archivePageCompletely)
-
-    // Insert into Supabase
-    const { data: archive, error: insertError } = await supabase
-      .from('archives')
-      .insert({
-        user_id: userId,
-        url: url,
-        title: archivedData.title,
-        description: archivedData.description,
-        archived_html: archivedData.html,
-        archived_text: archivedData.text,
-        archived_markdown: archivedData.markdown || null,
-        extraction_method: archivedData.extractionMethod || 'firecrawl',
-        word_count: archivedData.wordCount || 0,
-        reading_time: archivedData.readingTime || 0,
-        tags: Array.isArray(tags) ? tags : [],
-        screenshot_url: null // Will update after screenshot upload
+    if (req.body.async === true) {
+      const job = await jobQueue.enqueue('capture', { url, tags, snapshot }, { userId })
+      return res.status(202).json({
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/jobs/${job.id}`
       })
-      .select()
-      .single()
-
-    if (insertError) throw insertError
-
-    // Upload screenshot if available
-    if (archivedData.screenshot) {
-      const screenshotUrl = await uploadScreenshot(archivedData.screenshot, archive.id)
-      if (screenshotUrl) {
-        await supabase
-          .from('archives')
-          .update({ screenshot_url: screenshotUrl })
-          .eq('id', archive.id)
-
-        archive.screenshot_url = screenshotUrl
-      }
     }
 
-    // Process archive for shared embeddings in the background
-    processArchiveWithSharedEmbeddings(archive, supabase).catch(err => {
-      console.error('Background embedding processing error:', err)
-    })
-
-    // Process article for knowledge graph in the background
-    processArticleForKnowledgeGraph(archive.id, userId).catch(err => {
-      console.error('Background knowledge graph processing error:', err)
-    })
+    const { archive, archivedData } = await captureArchive(userId, url, { tags, snapshot })
 
     res.json({
       id: archive.id,
@@ -370,21 +563,105 @@ app.post('/api/archive', async (req, res) => {
       tags: archive.tags,
       screenshot_url: archive.screenshot_url,
       created_at: archive.created_at,
+      extraction_method: archive.extraction_method,
+      author: archive.author,
+      site_name: archive.site_name,
+      language: archive.language,
+      published_at: archive.published_at,
+      lead_image_url: archive.lead_image_url,
+      content_type: archive.content_type,
+      document_metadata: archive.document_metadata,
+      original_file_url: archive.original_file_url,
+      quality_score: archivedData.captureRecord.quality ? archivedData.captureRecord.quality.score : null,
       metadata: archivedData.metadata
     })
 
   } catch (error) {
     console.error('Archive error:', error)
+    const captureError = captureErrorResponse(error)
+    if (captureError) {
+      return res.status(captureError.status).json(captureError.body)
+    }
     res.status(500).json({ error: error.message })
   }
-})
+}
+
+app.post('/api/archive', ipRateLimit('capture'), requireAuth({ scope: 'archive:write' }), rateLimit('capture'), handleArchiveRequest)
+
+/**
+ * Parse the archive list's metadata filters (author, site, language,
+ * published_after, published_before, link_status) from the query string
+ */
+function parseArchiveFilters(query) {
+  const filters = {}
+
+  // PostgREST pattern and list syntax can't be escaped inside ilike values
+  const plainText = value => String(value).replace(/[%_*,()\\]/g, ' ').trim()
+
+  if (query.author) filters.author = plainText(query.author)
+  if (query.site) filters.site = plainText(query.site)
+
+  if (query.language) {
+    if (!/^[a-z]{2,3}(-[a-z]{2})?$/i.test(query.language)) {
+      return { error: `Invalid language: ${query.language}` }
+    }
+    filters.language = query.language.toLowerCase()
+  }
+
+  for (const [param, key] of [['published_after', 'publishedAfter'], ['published_before', 'publishedBefore']]) {
+    if (!query[param]) continue
+    const date = new Date(query[param])
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid date for ${param}: ${query[param]}` }
+    }
+    filters[key] = date.toISOString()
+  }
+
+  // Comma-separated statuses; "dead" is shorthand for every dead status
+  if (query.link_status) {
+    const statuses = String(query.link_status).split(',').map(status => status.trim())
+      .flatMap(status => (status === 'dead' ? DEAD_LINK_STATUSES : [status]))
+    const invalid = statuses.find(status => status !== 'unchecked' && !LINK_STATUSES.includes(status))
+    if (invalid) {
+      return { error: `Invalid link_status: ${invalid}` }
+    }
+    filters.linkStatuses = [...new Set(statuses)]
+  }
+
+  return { filters }
+}
+
+/**
+ * Apply parsed metadata filters to an archives query
+ */
+function applyArchiveFilters(query, filters) {
+  if (filters.author) query = query.ilike('author', `%${filters.author}%`)
+  if (filters.site) query = query.ilike('site_name', `%${filters.site}%`)
+  // "en" matches "en", "en-US", "en-GB"...
+  if (filters.language) query = query.or(`language.ilike.${filters.language},language.ilike.${filters.language}-%`)
+  if (filters.publishedAfter) query = query.gte('published_at', filters.publishedAfter)
+  if (filters.publishedBefore) query = query.lte('published_at', filters.publishedBefore)
+  if (filters.linkStatuses) {
+    const checked = filters.linkStatuses.filter(status => status !== 'unchecked')
+    const conditions = []
+    if (checked.length > 0) conditions.push(`link_status.in.(${checked.join(',')})`)
+    if (checked.length < filters.linkStatuses.length) conditions.push('link_status.is.null')
+    query = query.or(conditions.join(','))
+  }
+  return query
+}
 
 // Get user's archives with enhanced search
-app.get('/api/archives/:userId', async (req, res) => {
+app.get('/api/archives/:userId', ipRateLimit('search'), requireAuth({ scope: 'search:read' }), rateLimit('search'), async (req, res) => {
   try {
-    const { userId } = req.params
+    const userId = req.user.id
     const { search, tag, limit = 50, offset = 0 } = req.query
 
+    const { filters, error: filterError } = parseArchiveFilters(req.query)
+    if (filterError) {
+      return res.status(400).json({ error: filterError })
+    }
+
     // If search query provided, use hybrid search
     if (search && search.trim()) {
       const results = await hybridSearchWithSharedEmbeddings(search, userId, supabase)
@@ -395,6 +672,18 @@ app.get('/api/archives/:userId', async (req, res) => {
         filteredResults = results.filter(r => r.tags && r.tags.includes(tag))
       }
 
+      // Apply metadata filters by intersecting with the matching archive ids
+      if (Object.keys(filters).length > 0) {
+        const { data: matching, error: matchError } = await applyArchiveFilters(
+          supabase.from('archives').select('id').eq('user_id', userId),
+          filters
+        )
+        if (matchError) throw matchError
+
+        const matchingIds = new Set(matching.map(archive => archive.id))
+        filteredResults = filteredResults.filter(r => matchingIds.has(r.id))
+      }
+
       // Apply pagination
       const paginatedResults = filteredResults.slice(
         parseInt(offset),
@@ -407,7 +696,7 @@ app.get('/api/archives/:userId', async (req, res) => {
     // Regular query without search
     let query = supabase
       .from('archives')
-      .select('id, url, title, description, tags, screenshot_url, created_at, updated_at')
+      .select('id, url, title, description, tags, screenshot_url, author, site_name, language, published_at, favicon_url, lead_image_url, content_type, original_file_url, link_status, link_checked_at, created_at, updated_at')
       .eq('user_id', userId)
       .order('created_at', { ascending: false })
       .range(offset, offset + parseInt(limit) - 1)
@@ -417,6 +706,8 @@ app.get('/api/archives/:userId', async (req, res) => {
       query = query.contains('tags', [tag])
     }
 
+    query = applyArchiveFilters(query, filters)
+
     const { data, error } = await query
 
     if (error) throw error
@@ -429,7 +720,7 @@ app.get('/api/archives/:userId', async (req, res) => {
 })
 
 // Get specific archive with full content
-app.get('/api/archive/:id', async (req, res) => {
+app.get('/api/archive/:id', requireAuth({ scope: 'export:read' }), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -437,9 +728,10 @@ app.get('/api/archive/:id', async (req, res) => {
       .from('archives')
       .select('*')
       .eq('id', id)
+      .eq('user_id', req.user.id)
       .single()
 
-    if (error) throw error
+    if (error && error.code !== 'PGRST116') throw error
     if (!archive) {
       return res.status(404).json({ error: 'Archive not found' })
     }
@@ -451,56 +743,965 @@ app.get('/api/archive/:id', async (req, res) => {
   }
 })
 
-// Serve archived page as HTML
-app.get('/api/archive/:id/view', async (req, res) => {
+// Load one of the caller's archives (null if it isn't theirs or doesn't exist)
+async function getOwnedArchive(id, userId) {
+  const { data: archive, error } = await supabase
+    .from('archives')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single()
+
+  if (error && error.code !== 'PGRST116') throw error
+  return archive || null
+}
+
+// Re-capture an archived page as a new version
+app.post('/api/archive/:id/recapture', ipRateLimit('capture'), requireAuth({ scope: 'archive:write' }), rateLimit('capture'), async (req, res) => {
   try {
-    const { id } = req.params
+    const userId = req.user.id
+    const { activate = true, force = false } = req.body
 
-    const { data: archive, error } = await supabase
-      .from('archives')
-      .select('archived_html, title, url')
-      .eq('id', id)
-      .single()
+    const archive = await getOwnedArchive(req.params.id, userId)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
 
-    if (error) throw error
+    const { snapshot, status: invalidStatus, body: invalidBody } = await validateCaptureRequest(archive.url, req.body.snapshot)
+    if (invalidStatus) {
+      return res.status(invalidStatus).json(invalidBody)
+    }
+
+    console.log(`Re-capturing: ${archive.url}`)
+
+    // `force` keeps the capture even if it looks like an error page or scores low
+    const archivedData = await capturePage(archive.url, {
+      snapshot,
+      minQualityScore: await getQualityThreshold(supabase, userId),
+      allowSoftErrors: force === true,
+      skipQualityGate: force === true
+    })
+    const record = buildArchiveRecord(archivedData, { userId, url: archive.url, tags: archive.tags })
+    record.original_file_url = await uploadOriginalFile(supabase, archive.id, archivedData.originalFile)
+    const result = await addArchiveVersion(supabase, archive, record, { activate: activate !== false })
+
+    // Search follows the active version
+    if (result.activated) {
+      await queueArchiveJobs(result.archive, ['embed'], { reprocess: true })
+    }
+
+    res.status(result.changed ? 201 : 200).json({
+      archive_id: archive.id,
+      changed: result.changed,
+      active: result.activated,
+      version: result.version,
+      extraction_method: archivedData.extractionMethod
+    })
+  } catch (error) {
+    console.error('Recapture error:', error)
+    const captureError = captureErrorResponse(error)
+    if (captureError) {
+      return res.status(captureError.status).json(captureError.body)
+    }
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// List an archive's versions
+app.get('/api/archive/:id/versions', requireAuth({ scope: 'export:read' }), async (req, res) => {
+  try {
+    const archive = await getOwnedArchive(req.params.id, req.user.id)
     if (!archive) {
       return res.status(404).json({ error: 'Archive not found' })
     }
 
-    // Add a banner to indicate this is an archived page
-    const archivedHtml = `
-      <div style="position: fixed; top: 0; left: 0; right: 0; background: #f59e0b; color: white; padding: 10px; text-align: center; z-index: 10000; font-family: system-ui;">
-        📚 Archived Page - Original: <a href="${archive.url}" target="_blank" style="color: white; text-decoration: underline;">${archive.url}</a>
-      </div>
-      <div style="margin-top: 50px;">
-        ${archive.archived_html}
-      </div>
-    `
+    const versions = await listArchiveVersions(supabase, archive)
+    res.json({ archive_id: archive.id, active_version_id: archive.active_version_id, versions })
+  } catch (error) {
+    console.error('List versions error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
 
-    res.setHeader('Content-Type', 'text/html')
-    res.send(archivedHtml)
+// Get one version with its content
+app.get('/api/archive/:id/versions/:version', requireAuth({ scope: 'export:read' }), async (req, res) => {
+  try {
+    const versionNumber = parseInt(req.params.version)
+    if (!versionNumber) {
+      return res.status(400).json({ error: 'Version must be a version number' })
+    }
+
+    const archive = await getOwnedArchive(req.params.id, req.user.id)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+
+    const version = await getArchiveVersion(supabase, archive, versionNumber)
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    res.json({ ...version, active: version.id === archive.active_version_id })
   } catch (error) {
-    console.error('View archive error:', error)
-    res.status(500).send('Error loading archived page')
+    console.error('Get version error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Diff two versions (defaults: the latest against the one before it)
+app.get('/api/archive/:id/diff', requireAuth({ scope: 'export:read' }), async (req, res) => {
+  try {
+    const format = req.query.format || 'markdown'
+    if (!['text', 'markdown'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "text" or "markdown"' })
+    }
+
+    const archive = await getOwnedArchive(req.params.id, req.user.id)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+
+    const versions = await listArchiveVersions(supabase, archive)
+    const to = parseInt(req.query.to) || versions[0].version_number
+    const from = parseInt(req.query.from) || to - 1
+
+    if (from < 1 || from === to) {
+      return res.status(400).json({ error: 'Two different versions are needed for a diff' })
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      getArchiveVersion(supabase, archive, from),
+      getArchiveVersion(supabase, archive, to)
+    ])
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    res.json(diffArchiveVersions(fromVersion, toVersion, format))
+  } catch (error) {
+    console.error('Diff versions error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Choose which version the archive serves and search indexes
+app.put('/api/archive/:id/active-version', requireAuth(), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const versionNumber = parseInt(req.body.version)
+    if (!versionNumber) {
+      return res.status(400).json({ error: 'version is required' })
+    }
+
+    const archive = await getOwnedArchive(req.params.id, userId)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+
+    const version = await getArchiveVersion(supabase, archive, versionNumber)
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' })
+    }
+
+    const previousVersionId = archive.active_version_id
+    const updatedArchive = await setActiveArchiveVersion(supabase, archive, version)
+
+    await recordAuditEvent(supabase, {
+      actorId: userId,
+      action: 'archive.set_active_version',
+      targetUserId: userId,
+      targetType: 'archive',
+      targetId: archive.id,
+      before: { active_version_id: previousVersionId },
+      after: { active_version_id: version.id, version_number: version.version_number },
+      requestId: req.id
+    })
+
+    // Re-embed so search matches the version being served
+    await queueArchiveJobs(updatedArchive, ['embed'], { reprocess: true })
+
+    res.json({
+      archive_id: archive.id,
+      active_version_id: version.id,
+      version_number: version.version_number,
+      title: updatedArchive.title
+    })
+  } catch (error) {
+    console.error('Set active version error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Link health across the caller's archives
+app.get('/api/link-health', requireAuth({ scope: 'search:read' }), async (req, res) => {
+  try {
+    const report = await getLinkHealthReport(supabase, req.user.id)
+    res.json(report)
+  } catch (error) {
+    console.error('Link health error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Link check history for one archive
+app.get('/api/archive/:id/link-checks', requireAuth({ scope: 'export:read' }), async (req, res) => {
+  try {
+    const archive = await getOwnedArchive(req.params.id, req.user.id)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+
+    const checks = await listLinkChecks(supabase, archive.id, { limit: Math.min(parseInt(req.query.limit) || 50, 200) })
+    res.json({
+      archive_id: archive.id,
+      url: archive.url,
+      link_status: archive.link_status,
+      link_checked_at: archive.link_checked_at,
+      checks
+    })
+  } catch (error) {
+    console.error('Link checks error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Check an archive's original right away
+app.post('/api/archive/:id/link-check', ipRateLimit('capture'), requireAuth({ scope: 'archive:write' }), rateLimit('capture'), async (req, res) => {
+  try {
+    const archive = await getOwnedArchive(req.params.id, req.user.id)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+    if (!/^https?:/i.test(archive.url)) {
+      return res.status(400).json({ error: 'Only web pages can be link-checked' })
+    }
+
+    const result = await checkArchiveLink(supabase, archive)
+    res.json({ archive_id: archive.id, ...result })
+  } catch (error) {
+    console.error('Link check error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+const MAX_WATCHED_ARCHIVES = parseInt(process.env.MAX_WATCHED_ARCHIVES) || 50
+
+// Watch an archive: re-capture it every interval_minutes and keep changes as versions
+app.put('/api/archive/:id/watch', requireAuth({ scope: 'archive:write' }), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { settings, error: settingsError } = parseWatchSettings(req.body)
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError })
+    }
+
+    const archive = await getOwnedArchive(req.params.id, userId)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+    if (!/^https?:/i.test(archive.url)) {
+      return res.status(400).json({ error: 'Only web pages can be watched' })
+    }
+
+    if (!archive.watch_interval_minutes) {
+      const watched = await listWatchedArchives(supabase, userId)
+      if (watched.length >= MAX_WATCHED_ARCHIVES) {
+        return res.status(403).json({ error: `You can watch at most ${MAX_WATCHED_ARCHIVES} archives` })
+      }
+    }
+
+    const watch = await setArchiveWatch(supabase, archive, settings)
+    res.json(watch)
+  } catch (error) {
+    console.error('Watch archive error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Stop watching an archive
+app.delete('/api/archive/:id/watch', requireAuth({ scope: 'archive:write' }), async (req, res) => {
+  try {
+    const archive = await getOwnedArchive(req.params.id, req.user.id)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+
+    await clearArchiveWatch(supabase, archive)
+    res.json({ archive_id: archive.id, watched: false })
+  } catch (error) {
+    console.error('Unwatch archive error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Check a watched archive right away
+app.post('/api/archive/:id/watch/check', ipRateLimit('capture'), requireAuth({ scope: 'archive:write' }), rateLimit('capture'), async (req, res) => {
+  try {
+    const archive = await getOwnedArchive(req.params.id, req.user.id)
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+    if (!archive.watch_interval_minutes) {
+      return res.status(400).json({ error: 'Archive is not watched' })
+    }
+
+    const outcome = await checkWatchedArchive(supabase, archive)
+    res.json({ archive_id: archive.id, ...outcome })
+  } catch (error) {
+    console.error('Watch check error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// List the caller's watched archives
+app.get('/api/watches', requireAuth({ scope: 'search:read' }), async (req, res) => {
+  try {
+    const watches = await listWatchedArchives(supabase, req.user.id)
+    res.json(watches)
+  } catch (error) {
+    console.error('List watches error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Changes detected on watched archives, newest first
+app.get('/api/change-events', requireAuth({ scope: 'search:read' }), async (req, res) => {
+  try {
+    const { archive_id: archiveId, since, limit = 50, offset = 0 } = req.query
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ error: `Invalid date: ${since}` })
+    }
+
+    const events = await listChangeEvents(supabase, req.user.id, {
+      archiveId,
+      since: since ? new Date(since).toISOString() : null,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    })
+    res.json(events)
+  } catch (error) {
+    console.error('List change events error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get the caller's quality gate threshold
+app.get('/api/quality-settings', requireAuth(), async (req, res) => {
+  try {
+    const minScore = await getQualityThreshold(supabase, req.user.id)
+    res.json({ min_score: minScore, default_min_score: DEFAULT_MIN_QUALITY_SCORE })
+  } catch (error) {
+    console.error('Get quality settings error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Set the caller's quality gate threshold (0 keeps everything, null restores the default)
+app.put('/api/quality-settings', requireAuth(), async (req, res) => {
+  try {
+    const { min_score: minScore } = req.body
+    if (minScore !== null && !(Number.isInteger(minScore) && minScore >= 0 && minScore <= 100)) {
+      return res.status(400).json({ error: 'min_score must be an integer from 0 to 100, or null' })
+    }
+
+    const effective = await setQualityThreshold(supabase, req.user.id, minScore)
+    res.json({ min_score: effective, default_min_score: DEFAULT_MIN_QUALITY_SCORE })
+  } catch (error) {
+    console.error('Update quality settings error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Captures refused by the quality gate or as error pages
+app.get('/api/rejections', requireAuth({ scope: 'search:read' }), async (req, res) => {
+  try {
+    const { include_resolved: includeResolved, limit = 50, offset = 0 } = req.query
+    const rejections = await listCaptureRejections(supabase, req.user.id, {
+      includeResolved: includeResolved === 'true',
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    })
+    res.json(rejections)
+  } catch (error) {
+    console.error('List rejections error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Save a refused capture anyway
+app.post('/api/rejections/:id/save', ipRateLimit('capture'), requireAuth({ scope: 'archive:write' }), rateLimit('capture'), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const rejection = await getCaptureRejection(supabase, userId, req.params.id)
+    if (!rejection) {
+      return res.status(404).json({ error: 'Rejection not found' })
+    }
+    if (rejection.resolved_at) {
+      return res.status(409).json({ error: 'Rejection already resolved', archive_id: rejection.archive_id })
+    }
+
+    const { url, tags = [], title, snapshot = null } = rejection.payload || {}
+
+    const existingArchive = await findDuplicateArchive(supabase, userId, url)
+    if (existingArchive) {
+      return res.status(409).json(duplicateArchiveBody(existingArchive))
+    }
+
+    // The original request already counted toward the monthly limit
+    const archivedData = await capturePage(url, {
+      snapshot,
+      fallbackTitle: title,
+      allowSoftErrors: true,
+      skipQualityGate: true
+    })
+
+    const record = buildArchiveRecord(archivedData, { userId, url, tags })
+    const declaredDuplicate = await findDuplicateArchive(supabase, userId, url, { canonicalUrl: record.canonical_url })
+    if (declaredDuplicate) {
+      return res.status(409).json(duplicateArchiveBody(declaredDuplicate))
+    }
+
+    const { data: archive, error: insertError } = await supabase
+      .from('archives')
+      .insert(record)
+      .select()
+      .single()
+
+    if (insertError) throw insertError
+
+    await attachOriginalFile(supabase, archive, archivedData)
+    await createInitialVersion(supabase, archive)
+    await resolveCaptureRejection(supabase, rejection, archive.id)
+    await queueArchiveJobs(archive)
+
+    res.status(201).json({
+      id: archive.id,
+      url: archive.url,
+      title: archive.title,
+      extraction_method: archivedData.extractionMethod,
+      quality_score: archivedData.captureRecord.quality ? archivedData.captureRecord.quality.score : null
+    })
+  } catch (error) {
+    console.error('Save rejection error:', error)
+    const captureError = captureErrorResponse(error)
+    if (captureError) {
+      return res.status(captureError.status).json(captureError.body)
+    }
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Dismiss a refused capture
+app.delete('/api/rejections/:id', requireAuth(), async (req, res) => {
+  try {
+    const rejection = await getCaptureRejection(supabase, req.user.id, req.params.id)
+    if (!rejection) {
+      return res.status(404).json({ error: 'Rejection not found' })
+    }
+
+    await resolveCaptureRejection(supabase, rejection)
+    res.json({ id: rejection.id, dismissed: true })
+  } catch (error) {
+    console.error('Dismiss rejection error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Short-lived token for opening the archived page as a plain link
+app.post('/api/archive/:id/view-token', requireAuth({ scope: 'export:read' }), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const { data: archive, error } = await supabase
+      .from('archives')
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single()
+
+    if (error && error.code !== 'PGRST116') throw error
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+
+    const { token, expires_at } = createViewToken(req.user.id, archive.id)
+    res.json({
+      token,
+      expires_at,
+      view_url: `/api/archive/${archive.id}/view?access_token=${encodeURIComponent(token)}`
+    })
+  } catch (error) {
+    console.error('View token error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Serve archived page as HTML; links carry a view token (or an API token) in access_token
+app.get('/api/archive/:id/view', requireAuth({ allowQueryToken: true, scope: 'export:read' }), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const { data: archive, error } = await supabase
+      .from('archives')
+      .select('archived_html, title, url, asset_manifest')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single()
+
+    if (error && error.code !== 'PGRST116') throw error
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+
+    // Sanitized copy with a banner, rendered in a sandboxed, script-free origin
+    const archivedHtml = renderArchiveView(archive)
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8')
+    res.setHeader('Content-Security-Policy', archiveViewCsp(archive))
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    res.setHeader('Referrer-Policy', 'no-referrer')
+    res.setHeader('Cache-Control', 'private, no-store')
+    res.send(archivedHtml)
+  } catch (error) {
+    console.error('View archive error:', error)
+    res.status(500).send('Error loading archived page')
+  }
+})
+
+// Columns needed to write an archive as WARC records
+const WARC_EXPORT_COLUMNS = 'id, url, title, description, tags, archived_html, archived_markdown, asset_manifest, extraction_method, word_count, created_at'
+const MAX_WARC_IMPORT_PAGES = parseInt(process.env.MAX_WARC_IMPORT_PAGES) || 500
+
+// Export a single archive as a WARC file
+app.get('/api/archive/:id/warc', requireAuth({ scope: 'export:read' }), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const { data: archive, error } = await supabase
+      .from('archives')
+      .select(WARC_EXPORT_COLUMNS)
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single()
+
+    if (error && error.code !== 'PGRST116') throw error
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
+
+    const filename = `pants-archive-${archive.id}.warc.gz`
+    const records = [createWarcinfoRecord(filename).buffer, ...buildArchiveWarcRecords(archive)]
+
+    res.setHeader('Content-Type', 'application/warc')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.send(Buffer.concat(records))
+  } catch (error) {
+    console.error('WARC export error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Export all of the user's archives as one WARC file, streamed in batches
+app.get('/api/export/warc', ipRateLimit('search'), requireAuth({ scope: 'export:read' }), rateLimit('search'), async (req, res) => {
+  const batchSize = 25
+  const filename = `pants-export-${new Date().toISOString().slice(0, 10)}.warc.gz`
+
+  try {
+    res.setHeader('Content-Type', 'application/warc')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.write(createWarcinfoRecord(filename).buffer)
+
+    for (let offset = 0; ; offset += batchSize) {
+      const { data: archives, error } = await supabase
+        .from('archives')
+        .select(WARC_EXPORT_COLUMNS)
+        .eq('user_id', req.user.id)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + batchSize - 1)
+
+      if (error) throw error
+
+      for (const archive of archives) {
+        try {
+          for (const record of buildArchiveWarcRecords(archive)) {
+            res.write(record)
+          }
+        } catch (recordError) {
+          console.error(`Skipping archive ${archive.id} in WARC export:`, recordError.message)
+        }
+      }
+
+      if (archives.length < batchSize) break
+    }
+
+    res.end()
+  } catch (error) {
+    console.error('Bulk WARC export error:', error)
+    // Headers are already sent, so the only signal left is a truncated download
+    res.destroy(error)
+  }
+})
+
+/**
+ * Where a WARC import's file is kept while its pages are archived
+ */
+function warcImportPath(importId) {
+  return `imports/${importId}.warc`
+}
+
+/**
+ * Archive one page of a WARC. Its HTML goes through the same pipeline as an
+ * extension snapshot, and its assets are read from the WARC, never the live
+ * site. Resolves to a processPocketImport-style result.
+ */
+async function importWarcPage(page, userId, tags, { seenUrls, fetchResource }) {
+  // Duplicates are matched by canonical URL, within the WARC and against existing archives
+  const canonicalUrl = canonicalizeUrl(page.url)
+  if (seenUrls.has(canonicalUrl)) {
+    return { success: true, skipped: true, url: page.url }
+  }
+  seenUrls.add(canonicalUrl)
+
+  try {
+    assertFetchableUrl(page.url)
+
+    const { data: usageResult, error: usageError } = await supabase
+      .rpc('increment_archive_count', { p_user_id: userId })
+
+    if (usageError) throw usageError
+    if (!usageResult.allowed) {
+      return { success: false, url: page.url, error: usageResult.message, code: 'USAGE_LIMIT_REACHED' }
+    }
+
+    const archivedData = await capturePage(page.url, {
+      snapshot: { html: page.html, finalUrl: page.url, selectedText: null },
+      fallbackTitle: (page.fields.title || [])[0],
+      assetFetch: fetchResource
+    })
+
+    if (page.fields.title) archivedData.title = page.fields.title[0]
+    if (page.fields.description) archivedData.description = page.fields.description[0]
+    archivedData.extractionMethod = 'warc-import'
+    archivedData.charset = page.charset
+
+    const record = buildArchiveRecord(archivedData, { userId, url: page.url, tags })
+    if (seenUrls.has(record.canonical_url)) {
+      return { success: true, skipped: true, url: page.url }
+    }
+    seenUrls.add(record.canonical_url)
+
+    const { data: archive, error: insertError } = await supabase
+      .from('archives')
+      .insert(record)
+      .select()
+      .single()
+
+    if (insertError) throw insertError
+
+    await createInitialVersion(supabase, archive)
+
+    // The job queue's concurrency limits keep a large import from hitting the API all at once
+    await queueArchiveJobs(archive)
+
+    return { success: true, url: page.url, archive: { id: archive.id, url: archive.url, title: archive.title } }
+  } catch (error) {
+    console.error(`❌ Failed to import ${page.url} from WARC:`, error.message)
+    return { success: false, url: page.url, error: error.message, code: error.code }
+  }
+}
+
+/**
+ * Archive a WARC import's pending pages from its stored file
+ * (processPocketImport's signature, for runImport)
+ */
+async function processWarcImport(items, userId, options = {}) {
+  const { importId, onProgress = () => {}, isCancelled = () => false } = options
+  const results = { total: items.length, successful: 0, skipped: 0, failed: 0 }
+  if (items.length === 0) return results
+
+  const { data: file, error: downloadError } = await supabase.storage
+    .from('archives')
+    .download(warcImportPath(importId))
+
+  if (downloadError) throw downloadError
+
+  const { pages, fetchResource } = readWarcPages(parseWarc(Buffer.from(await file.arrayBuffer())))
+  const seenUrls = await findArchivedCanonicalUrls(supabase, userId, items.map(item => item.url))
+
+  for (const item of items) {
+    if (isCancelled()) {
+      console.log(`⏹️  WARC import ${importId} cancelled`)
+      results.cancelled = true
+      break
+    }
+
+    // Items are stored in WARC order
+    const page = pages[item.position] && pages[item.position].url === item.url
+      ? pages[item.position]
+      : pages.find(candidate => candidate.url === item.url)
+
+    const result = page
+      ? await importWarcPage(page, userId, item.tags, { seenUrls, fetchResource })
+      : { success: false, url: item.url, error: 'Page not found in WARC' }
+
+    if (!result.success) results.failed++
+    else if (result.skipped) results.skipped++
+    else results.successful++
+
+    onProgress({ item, currentResult: result })
+  }
+
+  return results
+}
+
+/**
+ * Delete a WARC import's stored file
+ */
+async function removeImportWarc(importId) {
+  const { error } = await supabase.storage
+    .from('archives')
+    .remove([warcImportPath(importId)])
+
+  if (error) console.error(`Failed to remove WARC of import ${importId}:`, error)
+}
+
+// Import archives from a WARC file (plain or gzipped). The pages are archived
+// by an import job; follow it at /api/imports/:id.
+app.post('/api/import/warc', ipRateLimit('capture'), requireAuth({ scope: 'archive:write' }), rateLimit('capture'), express.raw({ type: () => true, limit: '100mb' }), async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Request body must be a WARC file' })
+    }
+
+    let pages
+    try {
+      pages = readWarcPages(parseWarc(req.body)).pages
+    } catch (parseError) {
+      if (parseError instanceof WarcFormatError) {
+        return res.status(400).json({ error: parseError.message, code: parseError.code })
+      }
+      throw parseError
+    }
+
+    if (pages.length === 0) {
+      return res.status(400).json({ error: 'No HTML pages found in WARC' })
+    }
+    if (pages.length > MAX_WARC_IMPORT_PAGES) {
+      return res.status(413).json({ error: `WARC contains ${pages.length} pages; the limit is ${MAX_WARC_IMPORT_PAGES} per import` })
+    }
+
+    // Check if user has sufficient quota
+    const { data: userProfile } = await supabase
+      .from('user_profiles')
+      .select('monthly_archive_limit')
+      .eq('id', userId)
+      .single()
+
+    if (userProfile && pages.length > userProfile.monthly_archive_limit) {
+      return res.status(429).json({
+        error: 'Import would exceed monthly archive limit',
+        limit: userProfile.monthly_archive_limit,
+        requested: pages.length,
+        upgrade_required: true
+      })
+    }
+
+    const importRecord = await createImport(supabase, userId, pages.map(page => ({
+      url: page.url,
+      title: (page.fields.title || [])[0],
+      tags: page.fields.tag || []
+    })), { source: 'warc' })
+
+    // The job reads the pages back from storage, so a restart can resume it
+    const { error: uploadError } = await supabase.storage
+      .from('archives')
+      .upload(warcImportPath(importRecord.id), req.body, {
+        contentType: 'application/warc',
+        upsert: true
+      })
+
+    if (uploadError) {
+      await supabase.from('imports').delete().eq('id', importRecord.id)
+      throw uploadError
+    }
+
+    const started = await startImportJob(importRecord, userId)
+
+    await recordAuditEvent(supabase, {
+      actorId: userId,
+      action: 'archive.import',
+      targetUserId: userId,
+      targetType: 'import',
+      targetId: started.id,
+      requestId: req.id,
+      metadata: { format: 'warc', pages: pages.length }
+    })
+
+    res.status(202).json({
+      message: 'Import started successfully',
+      import_id: started.id,
+      job_id: started.job_id,
+      status_url: `/api/imports/${started.id}`,
+      total_pages: pages.length,
+      status: started.status
+    })
+  } catch (error) {
+    console.error('WARC import error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Single-file multipart uploads, kept in memory until they're stored
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+}).single('file')
+
+/**
+ * Run the multipart parser, answering 413/400 for oversized or malformed uploads
+ */
+function receiveUpload(req, res, next) {
+  documentUpload(req, res, error => {
+    if (!error) return next()
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400
+      return res.status(status).json({ error: error.message, code: error.code })
+    }
+    next(error)
+  })
+}
+
+// Archive an uploaded document (EPUB, DOCX, Markdown, HTML, PDF or text) sent
+// as multipart/form-data: `file`, optional `tags` and `title`
+app.post('/api/upload', ipRateLimit('capture'), requireAuth({ scope: 'archive:write' }), rateLimit('capture'), receiveUpload, async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({ error: 'A non-empty file field is required' })
+    }
+
+    const tags = parseUploadTags(req.body.tags)
+    let archivedData
+    try {
+      archivedData = await extractUpload({ body: req.file.buffer, filename: uploadFilename(req.file.originalname) })
+    } catch (uploadError) {
+      if (uploadError instanceof UploadFormatError) {
+        const status = { UNSUPPORTED_FORMAT: 415, DOCUMENT_TOO_LARGE: 413 }[uploadError.code] || 422
+        return res.status(status).json({ error: uploadError.message, code: uploadError.code })
+      }
+      throw uploadError
+    }
+
+    const url = archivedData.url
+    if (req.body.title && String(req.body.title).trim()) {
+      archivedData.title = String(req.body.title).trim()
+    }
+
+    // The same file (by content hash) is a duplicate whatever it was called
+    const existingArchive = await findDuplicateArchive(supabase, userId, url)
+    if (existingArchive) {
+      return res.status(409).json({
+        error: 'File already archived',
+        archive: { id: existingArchive.id, url: existingArchive.url, title: existingArchive.title }
+      })
+    }
+
+    // Check usage limits
+    const { data: usageResult, error: usageError } = await supabase
+      .rpc('increment_archive_count', { p_user_id: userId })
+
+    if (usageError) {
+      console.error('Usage check error:', usageError)
+      return res.status(500).json({ error: 'Failed to check usage limits' })
+    }
+
+    if (!usageResult.allowed) {
+      return res.status(429).json({
+        error: usageResult.message,
+        current_count: usageResult.current_count,
+        limit: usageResult.limit,
+        upgrade_required: true
+      })
+    }
+
+    console.log(`Archiving upload: ${archivedData.originalFile.filename} (${usageResult.current_count}/${usageResult.limit})`)
+
+    const { data: archive, error: insertError } = await supabase
+      .from('archives')
+      .insert(buildArchiveRecord(archivedData, { userId, url, tags }))
+      .select()
+      .single()
+
+    if (insertError) throw insertError
+
+    await attachOriginalFile(supabase, archive, archivedData)
+    await createInitialVersion(supabase, archive)
+    await queueArchiveJobs(archive)
+
+    res.status(201).json({
+      id: archive.id,
+      url: archive.url,
+      title: archive.title,
+      description: archive.description,
+      tags: archive.tags,
+      author: archive.author,
+      content_type: archive.content_type,
+      document_metadata: archive.document_metadata,
+      original_file_url: archive.original_file_url,
+      word_count: archive.word_count,
+      created_at: archive.created_at
+    })
+  } catch (error) {
+    console.error('Upload error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+/**
+ * Delete an archive's screenshot and original files from storage. Failures
+ * are logged, so the archive itself can still be deleted.
+ */
+async function removeArchiveFiles(archiveId) {
+  try {
+    await supabase.storage
+      .from('archives')
+      .remove([`screenshots/${archiveId}.png`])
+  } catch (storageError) {
+    console.error('Error deleting screenshot:', storageError)
   }
-})
+
+  try {
+    await removeOriginalFiles(supabase, archiveId)
+  } catch (storageError) {
+    console.error('Error deleting original files:', storageError)
+  }
+}
 
 // Delete archive
-app.delete('/api/archive/:id', async (req, res) => {
+app.delete('/api/archive/:id', requireAuth(), async (req, res) => {
   try {
     const { id } = req.params
-    const { userId } = req.query
+    const userId = req.user.id
 
-    // Delete screenshot from storage first
-    try {
-      await supabase.storage
-        .from('archives')
-        .remove([`screenshots/${id}.png`])
-    } catch (storageError) {
-      console.error('Error deleting screenshot:', storageError)
-      // Continue with deletion even if screenshot removal fails
+    // Make sure the archive belongs to the caller before touching storage
+    const { data: archive, error: lookupError } = await supabase
+      .from('archives')
+      .select('id, url, title, description, tags, extraction_method, created_at')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single()
+
+    if (lookupError && lookupError.code !== 'PGRST116') throw lookupError
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' })
     }
 
+    // Delete stored files first
+    await removeArchiveFiles(id)
+
     // Delete from database
     const { error } = await supabase
       .from('archives')
@@ -510,6 +1711,16 @@ app.delete('/api/archive/:id', async (req, res) => {
 
     if (error) throw error
 
+    await recordAuditEvent(supabase, {
+      actorId: userId,
+      action: 'archive.delete',
+      targetUserId: userId,
+      targetType: 'archive',
+      targetId: id,
+      before: archiveSnapshot(archive),
+      requestId: req.id
+    })
+
     res.json({ success: true })
   } catch (error) {
     console.error('Delete archive error:', error)
@@ -518,10 +1729,23 @@ app.delete('/api/archive/:id', async (req, res) => {
 })
 
 // Update archive tags
-app.patch('/api/archive/:id', async (req, res) => {
+app.patch('/api/archive/:id', requireAuth(), async (req, res) => {
   try {
     const { id } = req.params
-    const { tags, userId } = req.body
+    const { tags } = req.body
+    const userId = req.user.id
+
+    const { data: existing, error: lookupError } = await supabase
+      .from('archives')
+      .select('id, tags')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single()
+
+    if (lookupError && lookupError.code !== 'PGRST116') throw lookupError
+    if (!existing) {
+      return res.status(404).json({ error: 'Archive not found' })
+    }
 
     const { data, error } = await supabase
       .from('archives')
@@ -533,6 +1757,17 @@ app.patch('/api/archive/:id', async (req, res) => {
 
     if (error) throw error
 
+    await recordAuditEvent(supabase, {
+      actorId: userId,
+      action: 'archive.update_tags',
+      targetUserId: userId,
+      targetType: 'archive',
+      targetId: id,
+      before: { tags: existing.tags },
+      after: { tags: data.tags },
+      requestId: req.id
+    })
+
     res.json(data)
   } catch (error) {
     console.error('Update archive error:', error)
@@ -541,30 +1776,19 @@ app.patch('/api/archive/:id', async (req, res) => {
 })
 
 // Legacy endpoint for browser extension compatibility
-app.post('/api/links', async (req, res) => {
+app.post('/api/links', ipRateLimit('capture'), requireAuth({ scope: 'archive:write' }), rateLimit('capture'), async (req, res) => {
   try {
-    const { url, tags, userId } = req.body
-
-    // Forward to new archive endpoint
-    const response = await fetch(`${req.protocol}://${req.get('host')}/api/archive`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        url,
-        userId,
-        tags: tags ? tags.split(',').map(t => t.trim()).filter(t => t) : []
-      })
-    })
-
-    const data = await response.json()
-
-    if (!response.ok) {
-      return res.status(response.status).json(data)
+    const { tags, html, finalUrl, selectedText } = req.body
+
+    // Reshape the legacy comma-separated tags and flat snapshot fields, then
+    // hand off to the archive handler
+    req.body = {
+      ...req.body,
+      tags: typeof tags === 'string' ? tags.split(',').map(t => t.trim()).filter(t => t) : (tags || []),
+      snapshot: req.body.snapshot || (html ? { html, finalUrl, selectedText } : undefined)
     }
 
-    res.json(data)
+    await handleArchiveRequest(req, res)
   } catch (error) {
     console.error('Legacy links endpoint error:', error)
     res.status(500).json({ error: error.message })
@@ -588,12 +1812,12 @@ app.post('/api/stripe/webhook', express.raw({type: 'application/json'}), async (
       case 'customer.subscription.created':
       case 'customer.subscription.updated':
         const subscription = event.data.object
-        await handleSubscriptionUpdate(subscription)
+        await handleSubscriptionUpdate(subscription, { requestId: req.id, eventId: event.id })
         break
 
       case 'customer.subscription.deleted':
         const canceledSubscription = event.data.object
-        await handleSubscriptionCanceled(canceledSubscription)
+        await handleSubscriptionCanceled(canceledSubscription, { requestId: req.id, eventId: event.id })
         break
 
       case 'invoice.payment_succeeded':
@@ -615,12 +1839,13 @@ app.post('/api/stripe/webhook', express.raw({type: 'application/json'}), async (
 })
 
 // Create Stripe checkout session
-app.post('/api/stripe/create-checkout-session', async (req, res) => {
+app.post('/api/stripe/create-checkout-session', requireAuth(), async (req, res) => {
   try {
-    const { userId, email } = req.body
+    const userId = req.user.id
+    const email = req.body.email || req.user.email
 
-    if (!userId || !email) {
-      return res.status(400).json({ error: 'userId and email are required' })
+    if (!email) {
+      return res.status(400).json({ error: 'email is required' })
     }
 
     // Check if customer already exists
@@ -675,9 +1900,9 @@ app.post('/api/stripe/create-checkout-session', async (req, res) => {
 })
 
 // Create Stripe customer portal session
-app.post('/api/stripe/create-portal-session', async (req, res) => {
+app.post('/api/stripe/create-portal-session', requireAuth(), async (req, res) => {
   try {
-    const { userId } = req.body
+    const userId = req.user.id
 
     const { data: userProfile } = await supabase
       .from('user_profiles')
@@ -702,15 +1927,9 @@ app.post('/api/stripe/create-portal-session', async (req, res) => {
 })
 
 // Get current user info (for bookmarklet authentication check)
-app.get('/api/user', async (req, res) => {
+app.get('/api/user', requireAuth({ scope: API_TOKEN_SCOPES }), async (req, res) => {
   try {
-    // This is a simplified endpoint for the bookmarklet
-    // In a real implementation, you'd verify the user's session/token
-    const { userId } = req.query
-
-    if (!userId) {
-      return res.status(401).json({ error: 'Not authenticated' })
-    }
+    const userId = req.user.id
 
     // Verify user exists
     const { data: user, error } = await supabase
@@ -735,10 +1954,79 @@ app.get('/api/user', async (req, res) => {
   }
 })
 
+// Personal API tokens (for the extension, bookmarklet and scripts)
+
+// List the caller's tokens
+app.get('/api/tokens', requireAuth(), async (req, res) => {
+  try {
+    const tokens = await listApiTokens(supabase, req.user.id)
+    res.json({ tokens, available_scopes: API_TOKEN_SCOPES })
+  } catch (error) {
+    console.error('List API tokens error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Create a token; the raw value is only returned in this response
+app.post('/api/tokens', requireAuth(), async (req, res) => {
+  try {
+    const { name, scopes } = req.body
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_TOKEN_SCOPES.includes(scope))) {
+      return res.status(400).json({
+        error: `scopes must be a non-empty list of: ${API_TOKEN_SCOPES.join(', ')}`
+      })
+    }
+
+    const token = await createApiToken(supabase, req.user.id, { name, scopes })
+
+    res.status(201).json(token)
+  } catch (error) {
+    console.error('Create API token error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Rename a token
+app.patch('/api/tokens/:id', requireAuth(), async (req, res) => {
+  try {
+    const { name } = req.body
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'name is required' })
+    }
+
+    const token = await renameApiToken(supabase, req.user.id, req.params.id, name)
+    if (!token) {
+      return res.status(404).json({ error: 'Token not found' })
+    }
+
+    res.json(token)
+  } catch (error) {
+    console.error('Rename API token error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Revoke a token
+app.delete('/api/tokens/:id', requireAuth(), async (req, res) => {
+  try {
+    const revoked = await revokeApiToken(supabase, req.user.id, req.params.id)
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' })
+    }
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Revoke API token error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 // Get user subscription status
-app.get('/api/subscription/:userId', async (req, res) => {
+app.get('/api/subscription/:userId', requireAuth(), async (req, res) => {
   try {
-    const { userId } = req.params
+    const userId = req.user.id
 
     const { data: userProfile, error } = await supabase
       .from('user_profiles')
@@ -791,11 +2079,24 @@ app.get('/api/subscription/:userId', async (req, res) => {
   }
 })
 
+// Snapshot of the plan fields Stripe webhooks change, for the audit trail
+async function getPlanSnapshot(userId) {
+  const { data } = await supabase
+    .from('user_profiles')
+    .select('subscription_status, monthly_archive_limit, stripe_subscription_id, subscription_period_end')
+    .eq('id', userId)
+    .single()
+
+  return data || null
+}
+
 // Webhook handlers
-async function handleSubscriptionUpdate(subscription) {
+async function handleSubscriptionUpdate(subscription, context = {}) {
   const userId = subscription.metadata?.user_id
   if (!userId) return
 
+  const before = await getPlanSnapshot(userId)
+
   const status = subscription.status
   const isActive = ['active', 'trialing'].includes(status)
 
@@ -826,6 +2127,18 @@ async function handleSubscriptionUpdate(subscription) {
     })
     .eq('id', userId)
 
+  await recordAuditEvent(supabase, {
+    actorType: 'system',
+    action: 'billing.plan_change',
+    targetUserId: userId,
+    targetType: 'subscription',
+    targetId: subscription.id,
+    before,
+    after: await getPlanSnapshot(userId),
+    requestId: context.requestId,
+    metadata: { source: 'stripe', stripe_event_id: context.eventId, stripe_status: status }
+  })
+
   // Update subscription record
   await supabase
     .from('subscriptions')
@@ -842,10 +2155,12 @@ async function handleSubscriptionUpdate(subscription) {
     }, { onConflict: 'stripe_subscription_id' })
 }
 
-async function handleSubscriptionCanceled(subscription) {
+async function handleSubscriptionCanceled(subscription, context = {}) {
   const userId = subscription.metadata?.user_id
   if (!userId) return
 
+  const before = await getPlanSnapshot(userId)
+
   await supabase
     .from('user_profiles')
     .update({
@@ -854,6 +2169,18 @@ async function handleSubscriptionCanceled(subscription) {
     })
     .eq('id', userId)
 
+  await recordAuditEvent(supabase, {
+    actorType: 'system',
+    action: 'billing.plan_change',
+    targetUserId: userId,
+    targetType: 'subscription',
+    targetId: subscription.id,
+    before,
+    after: await getPlanSnapshot(userId),
+    requestId: context.requestId,
+    metadata: { source: 'stripe', stripe_event_id: context.eventId, stripe_status: 'canceled' }
+  })
+
   await supabase
     .from('subscriptions')
     .update({ status: 'canceled' })
@@ -922,12 +2249,13 @@ function highlightTerms(text, query) {
 }
 
 // Enhanced search endpoint with RAG capabilities
-app.post('/api/search', async (req, res) => {
+app.post('/api/search', ipRateLimit('search'), requireAuth({ scope: 'search:read' }), rateLimit('search'), async (req, res) => {
   try {
-    const { query, userId, mode = 'hybrid', limit = 20 } = req.body
+    const { query, mode = 'hybrid', limit = 20 } = req.body
+    const userId = req.user.id
 
-    if (!query || !userId) {
-      return res.status(400).json({ error: 'Query and userId are required' })
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' })
     }
 
     console.log(`🔍 Smart search: "${query}" for user ${userId}`)
@@ -949,6 +2277,7 @@ app.post('/api/search', async (req, res) => {
             .from('archives')
             .select('id, url, title, description, archived_text, tags, screenshot_url, created_at')
             .eq('id', archiveId)
+            .eq('user_id', userId)
             .single()
           if (data) archiveData = { ...result, ...data }
         }
@@ -1017,34 +2346,48 @@ app.post('/api/search', async (req, res) => {
   }
 })
 
-// Reprocess embeddings for existing archives (admin endpoint)
-app.post('/api/admin/reprocess-embeddings', async (req, res) => {
+// Queue embeddings to be redone for a user's archives (admin endpoint)
+app.post('/api/admin/reprocess-embeddings', ipRateLimit('admin'), requireAuth(), requireAdmin, rateLimit('admin'), async (req, res) => {
   try {
-    const { userId, adminKey } = req.body
+    const userId = req.body.targetUserId || req.user.id
+
+    const { data: user, error: userError } = await supabase
+      .from('user_profiles')
+      .select('id')
+      .eq('id', userId)
+      .single()
 
-    // Simple admin authentication - you should use a proper auth system
-    if (adminKey !== process.env.ADMIN_KEY) {
-      return res.status(403).json({ error: 'Unauthorized' })
+    if (userError && userError.code !== 'PGRST116') throw userError
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
     }
 
-    // Get all archives for the user
     const { data: archives, error } = await supabase
       .from('archives')
-      .select('*')
+      .select('id, user_id')
       .eq('user_id', userId)
 
     if (error) throw error
 
-    // Process each archive with shared embeddings
-    let processed = 0
+    // The embed jobs replace each archive's chunks; nothing is embedded in the request
     for (const archive of archives) {
-      await processArchiveWithSharedEmbeddings(archive, supabase)
-      processed++
+      await queueArchiveJobs(archive, ['embed'], { reprocess: true })
     }
 
-    res.json({
-      message: 'Embeddings reprocessed successfully',
-      processed_count: processed
+    await recordAuditEvent(supabase, {
+      actorId: req.user.id,
+      actorType: 'admin',
+      action: 'admin.reprocess_embeddings',
+      targetUserId: userId,
+      targetType: 'user',
+      targetId: userId,
+      requestId: req.id,
+      metadata: { queued_count: archives.length }
+    })
+
+    res.status(202).json({
+      message: 'Embedding jobs queued',
+      queued_count: archives.length
     })
   } catch (error) {
     console.error('Reprocess embeddings error:', error)
@@ -1052,12 +2395,169 @@ app.post('/api/admin/reprocess-embeddings', async (req, res) => {
   }
 })
 
+// Background task status (admin endpoint)
+app.get('/api/admin/scheduler', requireAuth(), requireAdmin, (req, res) => {
+  res.json({ tasks: scheduler.status(), jobs: jobQueue.status() })
+})
+
+// Run a background task now, e.g. from an external cron with SCHEDULER=manual (admin endpoint)
+app.post('/api/admin/scheduler/:task/run', ipRateLimit('admin'), requireAuth(), requireAdmin, rateLimit('admin'), async (req, res) => {
+  const { task } = req.params
+  if (!scheduler.status().some(entry => entry.name === task)) {
+    return res.status(404).json({ error: `Unknown task: ${task}` })
+  }
+
+  await recordAuditEvent(supabase, {
+    actorId: req.user.id,
+    actorType: 'admin',
+    action: 'admin.run_task',
+    requestId: req.id,
+    metadata: { task }
+  })
+
+  // Runs can take a while (link checks wait between requests to a host)
+  scheduler.runNow(task).catch(() => {})
+  res.status(202).json({ task, started: true })
+})
+
+// Background Job API Endpoints
+
+// List the caller's background jobs, newest first
+app.get('/api/jobs', requireAuth({ scope: 'search:read' }), async (req, res) => {
+  try {
+    const { status, type, limit = 50, offset = 0 } = req.query
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: ${status}` })
+    }
+    if (type && !jobQueue.status().some(entry => entry.type === type)) {
+      return res.status(400).json({ error: `Invalid type: ${type}` })
+    }
+
+    const jobs = await jobQueue.listJobs(req.user.id, {
+      status,
+      type,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    })
+    res.json(jobs)
+  } catch (error) {
+    console.error('List jobs error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get one of the caller's jobs with its payload and result
+app.get('/api/jobs/:id', requireAuth({ scope: 'search:read' }), async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.user.id, req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' })
+    }
+
+    res.json(job)
+  } catch (error) {
+    console.error('Get job error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Run a dead or cancelled job again
+app.post('/api/jobs/:id/retry', requireAuth({ scope: 'archive:write' }), async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.user.id, req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' })
+    }
+
+    const retried = await jobQueue.retryJob(job)
+    if (!retried) {
+      return res.status(409).json({ error: `Only dead or cancelled jobs can be retried (job is ${job.status})` })
+    }
+
+    res.json(retried)
+  } catch (error) {
+    console.error('Retry job error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', requireAuth({ scope: 'archive:write' }), async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.user.id, req.params.id)
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' })
+    }
+
+    const cancelled = await jobQueue.cancelJob(job)
+    if (!cancelled) {
+      return res.status(409).json({ error: `Only queued or running jobs can be cancelled (job is ${job.status})` })
+    }
+
+    res.json(cancelled)
+  } catch (error) {
+    console.error('Cancel job error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Audit Log API Endpoints
+
+// Parse the shared audit log filters, rejecting malformed dates
+function parseAuditFilters(query) {
+  const { action, targetId, from, to, limit, offset } = query
+
+  for (const value of [from, to]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return { error: `Invalid date: ${value}` }
+    }
+  }
+
+  return { filters: { action, targetId, from, to, limit, offset } }
+}
+
+// The caller's own audit trail ("where did my archive go")
+app.get('/api/audit-log', requireAuth(), async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseAuditFilters(req.query)
+    if (filterError) {
+      return res.status(400).json({ error: filterError })
+    }
+
+    const result = await queryAuditLog(supabase, { ...filters, targetUserId: req.user.id })
+    res.json(result)
+  } catch (error) {
+    console.error('Get audit log error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Audit trail across users (admin only)
+app.get('/api/admin/audit-log', requireAuth(), requireAdmin, async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseAuditFilters(req.query)
+    if (filterError) {
+      return res.status(400).json({ error: filterError })
+    }
+
+    const result = await queryAuditLog(supabase, {
+      ...filters,
+      targetUserId: req.query.targetUserId,
+      actorId: req.query.actorId
+    })
+    res.json(result)
+  } catch (error) {
+    console.error('Get admin audit log error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 // Knowledge Graph API Endpoints
 
 // Get user's knowledge graph entities
-app.get('/api/knowledge-graph/entities/:userId', async (req, res) => {
+app.get('/api/knowledge-graph/entities/:userId', requireAuth(), async (req, res) => {
   try {
-    const { userId } = req.params
+    const userId = req.user.id
     const { type, limit = 50, offset = 0 } = req.query
 
     let query = supabase
@@ -1091,10 +2591,10 @@ app.get('/api/knowledge-graph/entities/:userId', async (req, res) => {
 })
 
 // Get relationships for a specific entity
-app.get('/api/knowledge-graph/entity/:entityId/relationships', async (req, res) => {
+app.get('/api/knowledge-graph/entity/:entityId/relationships', requireAuth(), async (req, res) => {
   try {
     const { entityId } = req.params
-    const { userId } = req.query
+    const userId = req.user.id
 
     const { data, error } = await supabase
       .from('relationships')
@@ -1120,10 +2620,10 @@ app.get('/api/knowledge-graph/entity/:entityId/relationships', async (req, res)
 })
 
 // Get articles related to an entity
-app.get('/api/knowledge-graph/entity/:entityId/articles', async (req, res) => {
+app.get('/api/knowledge-graph/entity/:entityId/articles', requireAuth(), async (req, res) => {
   try {
     const { entityId } = req.params
-    const { userId } = req.query
+    const userId = req.user.id
 
     const { data, error } = await supabase
       .from('article_entities')
@@ -1152,9 +2652,9 @@ app.get('/api/knowledge-graph/entity/:entityId/articles', async (req, res) => {
 })
 
 // Get knowledge graph statistics for a user
-app.get('/api/knowledge-graph/stats/:userId', async (req, res) => {
+app.get('/api/knowledge-graph/stats/:userId', requireAuth(), async (req, res) => {
   try {
-    const { userId } = req.params
+    const userId = req.user.id
 
     // Get entity counts by type
     const { data: entityStats, error: entityError } = await supabase
@@ -1198,10 +2698,10 @@ app.get('/api/knowledge-graph/stats/:userId', async (req, res) => {
 })
 
 // Get article summary
-app.get('/api/archive/:articleId/summary', async (req, res) => {
+app.get('/api/archive/:articleId/summary', requireAuth(), async (req, res) => {
   try {
     const { articleId } = req.params
-    const { userId } = req.query
+    const userId = req.user.id
 
     const { data, error } = await supabase
       .from('article_summaries')
@@ -1221,12 +2721,26 @@ app.get('/api/archive/:articleId/summary', async (req, res) => {
 })
 
 // Manually process an article for knowledge graph
-app.post('/api/knowledge-graph/process-article', async (req, res) => {
+app.post('/api/knowledge-graph/process-article', ipRateLimit('ai'), requireAuth(), rateLimit('ai'), async (req, res) => {
   try {
-    const { articleId, userId } = req.body
+    const { articleId } = req.body
+    const userId = req.user.id
+
+    if (!articleId) {
+      return res.status(400).json({ error: 'articleId is required' })
+    }
 
-    if (!articleId || !userId) {
-      return res.status(400).json({ error: 'articleId and userId are required' })
+    // Only process articles the caller owns
+    const { data: article, error: articleError } = await supabase
+      .from('archives')
+      .select('id')
+      .eq('id', articleId)
+      .eq('user_id', userId)
+      .single()
+
+    if (articleError && articleError.code !== 'PGRST116') throw articleError
+    if (!article) {
+      return res.status(404).json({ error: 'Archive not found' })
     }
 
     const success = await processArticleForKnowledgeGraph(articleId, userId)
@@ -1242,13 +2756,10 @@ app.post('/api/knowledge-graph/process-article', async (req, res) => {
 })
 
 // Batch process articles for knowledge graph
-app.post('/api/knowledge-graph/batch-process', async (req, res) => {
+app.post('/api/knowledge-graph/batch-process', ipRateLimit('ai'), requireAuth(), rateLimit('ai'), async (req, res) => {
   try {
-    const { userId, limit = 10 } = req.body
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' })
-    }
+    const { limit = 10 } = req.body
+    const userId = req.user.id
 
     // Get unprocessed articles (articles without entities)
     const { data: articles, error } = await supabase
@@ -1287,25 +2798,14 @@ app.post('/api/knowledge-graph/batch-process', async (req, res) => {
 })
 
 // Deduplication endpoint (admin only)
-app.post('/api/admin/dedupe', async (req, res) => {
+app.post('/api/admin/dedupe', ipRateLimit('admin'), requireAuth(), requireAdmin, rateLimit('admin'), async (req, res) => {
   try {
-    const { userId } = req.body
-
-    // Verify admin status
-    const { data: userProfile } = await supabase
-      .from('user_profiles')
-      .select('is_admin')
-      .eq('id', userId)
-      .single()
-
-    if (!userProfile?.is_admin) {
-      return res.status(403).json({ error: 'Admin access required' })
-    }
+    const userId = req.body.targetUserId || req.user.id
 
     // Get all archives with their URLs
     const { data: archives, error } = await supabase
       .from('archives')
-      .select('id, url, title, created_at')
+      .select('id, url, canonical_url, title, created_at')
       .eq('user_id', userId)
       .order('created_at', { ascending: true })
 
@@ -1313,18 +2813,20 @@ app.post('/api/admin/dedupe', async (req, res) => {
 
     console.log(`Found ${archives.length} total archives`)
 
-    // Group by URL to find duplicates
+    // Group by the same canonical URL duplicate checks use
     const urlGroups = {}
     archives.forEach(archive => {
-      if (!urlGroups[archive.url]) {
-        urlGroups[archive.url] = []
+      const canonicalUrl = archiveCanonicalUrl(archive)
+      if (!urlGroups[canonicalUrl]) {
+        urlGroups[canonicalUrl] = []
       }
-      urlGroups[archive.url].push(archive)
+      urlGroups[canonicalUrl].push(archive)
     })
 
     // Find URLs with duplicates
     const duplicateUrls = Object.keys(urlGroups).filter(url => urlGroups[url].length > 1)
     const idsToDelete = []
+    const archivesToDelete = []
 
     duplicateUrls.forEach(url => {
       const duplicates = urlGroups[url]
@@ -1332,10 +2834,22 @@ app.post('/api/admin/dedupe', async (req, res) => {
       // Keep the first (oldest) and mark the rest for deletion
       for (let i = 1; i < duplicates.length; i++) {
         idsToDelete.push(duplicates[i].id)
+        archivesToDelete.push({ ...duplicates[i], kept_id: duplicates[0].id })
       }
     })
 
     if (idsToDelete.length === 0) {
+      await recordAuditEvent(supabase, {
+        actorId: req.user.id,
+        actorType: 'admin',
+        action: 'admin.dedupe',
+        targetUserId: userId,
+        targetType: 'user',
+        targetId: userId,
+        requestId: req.id,
+        metadata: { original_count: archives.length, duplicates_removed: 0 }
+      })
+
       return res.json({
         message: 'No duplicates found',
         totalArchives: archives.length,
@@ -1348,10 +2862,16 @@ app.post('/api/admin/dedupe', async (req, res) => {
     // Delete duplicates in batches
     const batchSize = 100
     let deleted = 0
+    const deletedIds = new Set()
 
     for (let i = 0; i < idsToDelete.length; i += batchSize) {
       const batch = idsToDelete.slice(i, i + batchSize)
 
+      // Same storage cleanup as deleting a single archive
+      for (const id of batch) {
+        await removeArchiveFiles(id)
+      }
+
       const { error: deleteError } = await supabase
         .from('archives')
         .delete()
@@ -1363,6 +2883,7 @@ app.post('/api/admin/dedupe', async (req, res) => {
       }
 
       deleted += batch.length
+      batch.forEach(id => deletedIds.add(id))
       console.log(`Deleted ${deleted}/${idsToDelete.length} duplicates`)
     }
 
@@ -1374,6 +2895,22 @@ app.post('/api/admin/dedupe', async (req, res) => {
 
     console.log(`Final count: ${finalCount}`)
 
+    await recordAuditEvent(supabase, {
+      actorId: req.user.id,
+      actorType: 'admin',
+      action: 'admin.dedupe',
+      targetUserId: userId,
+      targetType: 'user',
+      targetId: userId,
+      before: { deleted_archives: archivesToDelete.filter(archive => deletedIds.has(archive.id)) },
+      after: { final_count: finalCount },
+      requestId: req.id,
+      metadata: {
+        original_count: archives.length,
+        duplicates_removed: deleted
+      }
+    })
+
     res.json({
       message: 'Deduplication complete',
       originalCount: archives.length,
@@ -1390,10 +2927,11 @@ app.post('/api/admin/dedupe', async (req, res) => {
 // Pocket Import API Endpoints
 
 // Validate and preview Pocket CSV
-app.post('/api/pocket/validate', async (req, res) => {
-  console.log('🔍 Validation request received:', { hasContent: !!req.body.csvContent, userId: req.body.userId })
+app.post('/api/pocket/validate', requireAuth(), async (req, res) => {
+  console.log('🔍 Validation request received:', { hasContent: !!req.body.csvContent, userId: req.user.id })
   try {
-    const { csvContent, userId } = req.body
+    const { csvContent } = req.body
+    const userId = req.user.id
 
     if (!csvContent) {
       return res.status(400).json({ error: 'CSV content is required' })
@@ -1438,12 +2976,13 @@ app.post('/api/pocket/validate', async (req, res) => {
 })
 
 // Start Pocket import process
-app.post('/api/pocket/import', async (req, res) => {
+app.post('/api/pocket/import', ipRateLimit('capture'), requireAuth(), rateLimit('capture'), async (req, res) => {
   try {
-    const { csvContent, userId, options = {} } = req.body
+    const { csvContent, options = {} } = req.body
+    const userId = req.user.id
 
-    if (!csvContent || !userId) {
-      return res.status(400).json({ error: 'CSV content and userId are required' })
+    if (!csvContent) {
+      return res.status(400).json({ error: 'CSV content is required' })
     }
 
     // Validate and parse CSV
@@ -1478,23 +3017,21 @@ app.post('/api/pocket/import', async (req, res) => {
       maxRetries: options.maxRetries || 2
     }
 
-    // Return immediate response and process in background
+    // Every URL is tracked in the import record; the run itself is a job, so
+    // a restart resumes it instead of losing it
+    const importRecord = await createImport(supabase, userId, urls, { source: 'pocket', importOptions })
+    const started = await startImportJob(importRecord, userId)
+
     res.json({
       message: 'Import started successfully',
+      import_id: started.id,
+      job_id: started.job_id,
+      status_url: `/api/imports/${started.id}`,
       total_urls: urls.length,
       estimated_time_minutes: Math.ceil(urls.length * 2 / 60), // Rough estimate
       status: 'started'
     })
 
-    // Process import in background
-    processPocketImport(urls, userId, importOptions)
-      .then(results => {
-        console.log(`✅ Pocket import completed for user ${userId}:`, results)
-      })
-      .catch(error => {
-        console.error(`❌ Pocket import failed for user ${userId}:`, error)
-      })
-
   } catch (error) {
     console.error('Pocket import error:', error)
     res.status(500).json({ error: error.message })
@@ -1502,9 +3039,9 @@ app.post('/api/pocket/import', async (req, res) => {
 })
 
 // Get import status
-app.get('/api/pocket/status/:userId', async (req, res) => {
+app.get('/api/pocket/status/:userId', requireAuth(), async (req, res) => {
   try {
-    const { userId } = req.params
+    const userId = req.user.id
     const status = await getImportStatus(userId)
     res.json(status)
   } catch (error) {
@@ -1513,11 +3050,143 @@ app.get('/api/pocket/status/:userId', async (req, res) => {
   }
 })
 
+// List the caller's import runs, newest first
+app.get('/api/imports', requireAuth(), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query
+    const imports = await listImports(supabase, req.user.id, {
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    })
+    res.json(imports)
+  } catch (error) {
+    console.error('List imports error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get an import run's progress
+app.get('/api/imports/:id', requireAuth(), async (req, res) => {
+  try {
+    const importRecord = await getImport(supabase, req.user.id, req.params.id)
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Import not found' })
+    }
+
+    res.json(importRecord)
+  } catch (error) {
+    console.error('Get import error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// List an import run's URLs, e.g. ?state=failed for the failures and their reasons
+app.get('/api/imports/:id/items', requireAuth(), async (req, res) => {
+  try {
+    const { state, limit = 100, offset = 0 } = req.query
+    if (state && !IMPORT_ITEM_STATES.includes(state)) {
+      return res.status(400).json({ error: `Invalid state: ${state}` })
+    }
+
+    const importRecord = await getImport(supabase, req.user.id, req.params.id)
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Import not found' })
+    }
+
+    const items = await listImportItems(supabase, importRecord.id, {
+      state,
+      limit: Math.min(parseInt(limit) || 100, 500),
+      offset: parseInt(offset) || 0
+    })
+    res.json(items)
+  } catch (error) {
+    console.error('List import items error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Stop an import; URLs already archived stay archived and the rest stay pending
+app.post('/api/imports/:id/cancel', requireAuth(), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const importRecord = await getImport(supabase, userId, req.params.id)
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Import not found' })
+    }
+    if (importRecord.status !== 'queued' && importRecord.status !== 'running') {
+      return res.status(409).json({ error: `Import is not running (status: ${importRecord.status})` })
+    }
+
+    const cancelled = await updateImport(supabase, importRecord.id, { status: 'cancelled', completed_at: new Date().toISOString() })
+
+    // A running import stops after its current batch
+    const job = await activeImportJob(importRecord, userId)
+    if (job) await jobQueue.cancelJob(job)
+
+    res.json(cancelled)
+  } catch (error) {
+    console.error('Cancel import error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Continue an import's pending URLs after it was cancelled or interrupted
+app.post('/api/imports/:id/resume', ipRateLimit('capture'), requireAuth(), rateLimit('capture'), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const importRecord = await getImport(supabase, userId, req.params.id)
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Import not found' })
+    }
+    if (await activeImportJob(importRecord, userId)) {
+      return res.status(409).json({ error: 'Import is already running' })
+    }
+    if (importRecord.pending_count === 0) {
+      return res.status(409).json({ error: 'Import has no pending URLs', hint: `Use /api/imports/${importRecord.id}/retry-failed to retry failures` })
+    }
+
+    res.json(await startImportJob(importRecord, userId))
+  } catch (error) {
+    console.error('Resume import error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Import an import's failed URLs again (and any still pending)
+app.post('/api/imports/:id/retry-failed', ipRateLimit('capture'), requireAuth(), rateLimit('capture'), async (req, res) => {
+  try {
+    const userId = req.user.id
+    const importRecord = await getImport(supabase, userId, req.params.id)
+    if (!importRecord) {
+      return res.status(404).json({ error: 'Import not found' })
+    }
+    if (await activeImportJob(importRecord, userId)) {
+      return res.status(409).json({ error: 'Import is still running' })
+    }
+
+    const retried = await resetFailedImportItems(supabase, importRecord.id)
+    if (retried === 0) {
+      return res.status(409).json({ error: 'Import has no failed URLs' })
+    }
+
+    const started = await startImportJob(importRecord, userId)
+    res.json({ ...started, retried })
+  } catch (error) {
+    console.error('Retry failed imports error:', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 app.listen(PORT, () => {
   console.log(`Enhanced Pants server running at http://localhost:${PORT}`)
   console.log('Features: Full HTML archiving, screenshots, Supabase integration, Stripe subscriptions')
-  console.log('Content Extraction: ' + (isFirecrawlAvailable() ? 'Firecrawl + Cheerio fallback' : 'Cheerio only'))
+  console.log('Content Extraction: ' + (isFirecrawlAvailable() ? 'Firecrawl + local readability fallback' : 'Local readability only'))
   console.log('RAG Search: ' + (process.env.GEMINI_API_KEY ? 'Enabled with Gemini embeddings + shared content' : 'Text-only mode'))
   console.log('Knowledge Graph: ' + (process.env.GEMINI_API_KEY ? 'Enabled with entity extraction and AI summaries' : 'Disabled - Gemini API key required'))
   console.log('Pocket Import: Enabled with batch processing and rate limiting')
+  console.log('Background tasks: ' + (process.env.SCHEDULER === 'manual' ? 'Manual (admin scheduler endpoint)' : 'In-process scheduler'))
+  console.log('Job queue: ' + jobQueue.status().map(entry => `${entry.type} x${entry.concurrency}`).join(', '))
+
+  scheduler.start()
+  jobQueue.start()
 })
\ No newline at end of file
@@ -0,0 +1,575 @@
+const cheerio = require('cheerio')
+const { htmlToMarkdown, markdownToText } = require('./html-to-markdown')
+const { escapeHtml } = require('./archive-renderer')
+
+// Site-specific extractors for sites generic extraction handles poorly:
+// GitHub repositories (the README, not the page chrome), Hacker News and
+// Reddit threads (the post plus top comments, threaded), arXiv abstract pages
+// (the paper's metadata) and Stack Overflow / Stack Exchange questions (the
+// question and accepted answer, code blocks intact). Each one reads the page
+// as served and returns null when the markup isn't what it expects, so the
+// generic extractors still get a go. Site data is kept in the page metadata's
+// `sources` under the site's name, which lands in archives.structured_metadata.
+
+const MAX_TEXT_LENGTH = 50000
+
+// How much of a discussion thread is kept
+const MAX_TOP_LEVEL_COMMENTS = 10
+const MAX_COMMENT_DEPTH = 3
+const MAX_THREAD_COMMENTS = 60
+
+// First path segments on github.com that aren't users or organisations
+const GITHUB_RESERVED_PATHS = new Set([
+  'about', 'apps', 'codespaces', 'collections', 'contact', 'customer-stories', 'enterprise', 'events',
+  'explore', 'features', 'issues', 'login', 'marketplace', 'new', 'notifications', 'orgs', 'pricing',
+  'pulls', 'search', 'security', 'settings', 'signup', 'site', 'sponsors', 'team', 'topics', 'trending'
+])
+
+const STACK_EXCHANGE_HOSTS = ['stackoverflow.com', 'superuser.com', 'serverfault.com', 'askubuntu.com', 'mathoverflow.net', 'stackapps.com']
+
+/**
+ * Whitespace-collapsed text of an element
+ */
+function cleanText($element) {
+  return $element.text().replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Parse a count such as "1,234", "12.5k" or "3 points"; null if there's none
+ */
+function parseCount(value) {
+  const match = /([\d.,]+)\s*([km])?/i.exec(String(value || ''))
+  if (!match) return null
+  const number = parseFloat(match[1].replace(/,/g, ''))
+  if (isNaN(number)) return null
+  const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1
+  return Math.round(number * multiplier)
+}
+
+/**
+ * ISO string for a timestamp attribute; null if it doesn't parse
+ */
+function isoDate(value) {
+  if (!value) return null
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+/**
+ * Render a flat, document-ordered list of comments ({ author, score,
+ * publishedAt, html, depth }) as nested blockquotes, keeping the first
+ * MAX_TOP_LEVEL_COMMENTS threads down to MAX_COMMENT_DEPTH, at most
+ * MAX_THREAD_COMMENTS comments in all. Returns { html, count }.
+ */
+function threadHtml(comments) {
+  let html = ''
+  let openDepth = -1
+  let topLevel = 0
+  let count = 0
+
+  for (const comment of comments) {
+    if (comment.depth === 0 && ++topLevel > MAX_TOP_LEVEL_COMMENTS) break
+    if (comment.depth > MAX_COMMENT_DEPTH || comment.depth > openDepth + 1) continue
+    if (count >= MAX_THREAD_COMMENTS) break
+
+    while (openDepth >= comment.depth) {
+      html += '</blockquote>'
+      openDepth--
+    }
+
+    const byline = [
+      `<strong>${escapeHtml(comment.author || '[deleted]')}</strong>`,
+      comment.score !== null && comment.score !== undefined ? `${comment.score} points` : null,
+      comment.publishedAt ? escapeHtml(comment.publishedAt.substring(0, 10)) : null
+    ].filter(Boolean).join(' · ')
+
+    html += `<blockquote><p>${byline}</p>${comment.html}`
+    openDepth = comment.depth
+    count++
+  }
+
+  html += '</blockquote>'.repeat(openDepth + 1)
+  return { html, count }
+}
+
+/**
+ * Turn a site extractor's structured content into a capture result
+ */
+function siteResult({ html, url, title, description, contentHtml, pageMetadata }) {
+  const markdown = htmlToMarkdown(contentHtml, { baseUrl: url })
+  const text = markdownToText(markdown)
+  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length
+
+  return {
+    title,
+    description: description || text.substring(0, 200),
+    html,
+    contentHtml,
+    markdown,
+    text: text.substring(0, MAX_TEXT_LENGTH),
+    screenshot: null,
+    pageMetadata,
+    wordCount,
+    readingTime: Math.ceil(wordCount / 200),
+    metadata: {
+      author: pageMetadata.author || null,
+      finalUrl: url,
+      extractedAt: new Date().toISOString()
+    }
+  }
+}
+
+/**
+ * GitHub repository home pages (and branch roots): the rendered README with
+ * the repository's description, topics, languages, stars and forks
+ */
+function extractGithubRepository($, html, url) {
+  const [owner, repo] = new URL(url).pathname.split('/').filter(Boolean)
+  const readme = $('#readme article.markdown-body, article.markdown-body').first()
+  if (readme.length === 0) return null
+
+  readme.find('a.anchor, svg, .octicon, script, style').remove()
+  // Highlighted blocks carry their language on the wrapper; move it to the <pre>
+  readme.find('div.highlight').each((i, block) => {
+    const language = (($(block).attr('class') || '').match(/highlight-source-([\w+#-]+)/) || [])[1]
+    if (language) $(block).children('pre').addClass(`language-${language}`)
+  })
+
+  const fullName = `${owner}/${repo}`
+  const about = cleanText($('.Layout-sidebar p.f4, .BorderGrid p.f4').first()) ||
+    ($('meta[property="og:description"]').attr('content') || '').replace(/\s*Contribute to .+ development by creating an account on GitHub\.?$/, '').trim()
+  const description = about && !about.startsWith(fullName) ? about : null
+  const starsElement = $('#repo-stars-counter-star').first()
+  const forksElement = $('#repo-network-counter').first()
+  const topics = $('a.topic-tag').toArray().map(topic => cleanText($(topic))).filter(Boolean)
+  const languages = $('.Layout-sidebar h2, .BorderGrid h2')
+    .filter((i, heading) => cleanText($(heading)) === 'Languages')
+    .first()
+    .parent()
+    .find('li span.text-bold')
+    .toArray()
+    .map(language => cleanText($(language)))
+    .filter(Boolean)
+
+  const github = {
+    owner,
+    repository: repo,
+    stars: parseCount(starsElement.attr('title') || starsElement.text()),
+    forks: parseCount(forksElement.attr('title') || forksElement.text()),
+    topics,
+    languages
+  }
+
+  const facts = [
+    github.stars !== null ? `★ ${github.stars}` : null,
+    github.forks !== null ? `${github.forks} forks` : null,
+    languages.length > 0 ? languages.join(', ') : null
+  ].filter(Boolean).join(' · ')
+
+  const contentHtml = [
+    `<h1>${escapeHtml(fullName)}</h1>`,
+    description ? `<p>${escapeHtml(description)}</p>` : '',
+    facts ? `<p>${escapeHtml(facts)}</p>` : '',
+    topics.length > 0 ? `<p>Topics: ${topics.map(escapeHtml).join(', ')}</p>` : '',
+    '<hr>',
+    readme.html()
+  ].join('\n')
+
+  return siteResult({
+    html,
+    url,
+    title: description ? `${fullName}: ${description}` : fullName,
+    description,
+    contentHtml,
+    pageMetadata: {
+      author: owner,
+      siteName: 'GitHub',
+      type: 'repository',
+      keywords: topics,
+      sources: { github }
+    }
+  })
+}
+
+/**
+ * Hacker News items: the story (link or text post) and its comment tree
+ */
+function extractHackerNewsItem($, html, url) {
+  const item = $('table.fatitem').first()
+  const titleLink = item.find('.titleline > a').first()
+  if (titleLink.length === 0) return null
+
+  const title = cleanText(titleLink)
+  const link = new URL(titleLink.attr('href'), url).href
+  const isTextPost = /news\.ycombinator\.com\/item\?/.test(link)
+  const author = cleanText(item.find('.hnuser').first()) || null
+  const publishedAt = isoDate(((item.find('.age').first().attr('title') || '').split(' ')[0] || '') + 'Z')
+  const points = parseCount(item.find('.score').first().text())
+  const commentCount = parseCount(item.find('.subline a, .subtext a').filter((i, a) => /comment/.test($(a).text())).last().text()) || 0
+
+  const comments = $('tr.athing.comtr').toArray().map(row => {
+    const $row = $(row)
+    const body = $row.find('.commtext').first()
+    if (!cleanText(body)) return null
+    body.find('.reply').remove()
+
+    const indent = $row.find('td.ind').attr('indent')
+    const depth = indent !== undefined ? parseInt(indent) : Math.round((parseInt($row.find('td.ind img').attr('width')) || 0) / 40)
+    return {
+      author: cleanText($row.find('.hnuser').first()),
+      score: null,
+      publishedAt: isoDate(((($row.find('.age').first().attr('title') || '').split(' ')[0]) || '') + 'Z'),
+      html: `<p>${body.html()}</p>`,
+      depth: depth || 0
+    }
+  }).filter(Boolean)
+
+  const thread = threadHtml(comments)
+  const byline = [points !== null ? `${points} points` : null, author ? `by ${author}` : null, publishedAt ? publishedAt.substring(0, 10) : null]
+    .filter(Boolean).join(' · ')
+
+  const contentHtml = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>${escapeHtml(byline)}</p>`,
+    isTextPost ? '' : `<p>Link: <a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`,
+    item.find('.toptext').length > 0 ? `<div>${item.find('.toptext').first().html()}</div>` : '',
+    `<h2>Comments (${thread.count} of ${commentCount})</h2>`,
+    thread.html
+  ].join('\n')
+
+  return siteResult({
+    html,
+    url,
+    title,
+    description: cleanText(item.find('.toptext').first()).substring(0, 200) || byline,
+    contentHtml,
+    pageMetadata: {
+      author,
+      publishedAt,
+      siteName: 'Hacker News',
+      type: 'discussion',
+      sources: {
+        hacker_news: {
+          id: new URL(url).searchParams.get('id'),
+          link: isTextPost ? null : link,
+          points,
+          comment_count: commentCount,
+          comments_kept: thread.count
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Reddit comment pages, from either the current (shreddit) or old.reddit markup
+ */
+function extractRedditThread($, html, url) {
+  let post
+  let comments
+
+  const shredditPost = $('shreddit-post').first()
+  if (shredditPost.length > 0) {
+    post = {
+      title: shredditPost.attr('post-title'),
+      author: shredditPost.attr('author'),
+      subreddit: shredditPost.attr('subreddit-prefixed-name'),
+      score: parseCount(shredditPost.attr('score')),
+      commentCount: parseCount(shredditPost.attr('comment-count')),
+      publishedAt: isoDate(shredditPost.attr('created-timestamp')),
+      link: shredditPost.attr('content-href'),
+      bodyHtml: shredditPost.find('[slot="text-body"]').first().html()
+    }
+    comments = $('shreddit-comment').toArray().map(comment => {
+      const $comment = $(comment)
+      const body = $comment.children('[slot="comment"]').first()
+      if (!cleanText(body)) return null
+      return {
+        author: $comment.attr('author'),
+        score: parseCount($comment.attr('score')),
+        publishedAt: isoDate($comment.children('[slot="commentMeta"]').find('faceplate-timeago').first().attr('ts')),
+        html: body.html(),
+        depth: parseInt($comment.attr('depth')) || 0
+      }
+    }).filter(Boolean)
+  } else {
+    const thing = $('#siteTable .thing.link').first()
+    if (thing.length === 0) return null
+
+    post = {
+      title: cleanText(thing.find('a.title').first()),
+      author: thing.attr('data-author') || cleanText(thing.find('.tagline a.author').first()),
+      subreddit: thing.attr('data-subreddit-prefixed') || (thing.attr('data-subreddit') ? `r/${thing.attr('data-subreddit')}` : null),
+      score: parseCount(thing.attr('data-score') || thing.find('.score.unvoted').attr('title')),
+      commentCount: parseCount(thing.attr('data-comments-count')),
+      publishedAt: isoDate(thing.find('.tagline time').first().attr('datetime')),
+      link: thing.attr('data-url'),
+      bodyHtml: thing.find('.expando .usertext-body .md').first().html()
+    }
+    comments = $('.commentarea .thing.comment').toArray().map(comment => {
+      const $comment = $(comment)
+      const entry = $comment.children('.entry')
+      const body = entry.find('.usertext-body .md').first()
+      if ($comment.hasClass('deleted') || !cleanText(body)) return null
+      return {
+        author: $comment.attr('data-author') || cleanText(entry.find('a.author').first()),
+        score: parseCount(entry.find('.score.unvoted').attr('title')),
+        publishedAt: isoDate(entry.find('time').first().attr('datetime')),
+        html: body.html(),
+        depth: $comment.parents('.thing.comment').length
+      }
+    }).filter(Boolean)
+  }
+
+  if (!post.title) return null
+
+  const link = post.link ? new URL(post.link, url).href : null
+  const isSelfPost = !link || new URL(link).pathname === new URL(url).pathname
+  const thread = threadHtml(comments)
+  const byline = [post.subreddit, post.score !== null ? `${post.score} points` : null, post.author ? `by u/${post.author}` : null, post.publishedAt ? post.publishedAt.substring(0, 10) : null]
+    .filter(Boolean).join(' · ')
+
+  const contentHtml = [
+    `<h1>${escapeHtml(post.title)}</h1>`,
+    `<p>${escapeHtml(byline)}</p>`,
+    isSelfPost ? '' : `<p>Link: <a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`,
+    post.bodyHtml ? `<div>${post.bodyHtml}</div>` : '',
+    `<h2>Comments (${thread.count}${post.commentCount !== null ? ` of ${post.commentCount}` : ''})</h2>`,
+    thread.html
+  ].join('\n')
+
+  return siteResult({
+    html,
+    url,
+    title: post.title,
+    description: cleanText(cheerio.load(post.bodyHtml || '').root()).substring(0, 200) || byline,
+    contentHtml,
+    pageMetadata: {
+      author: post.author ? `u/${post.author}` : null,
+      publishedAt: post.publishedAt,
+      siteName: 'Reddit',
+      type: 'discussion',
+      sources: {
+        reddit: {
+          subreddit: post.subreddit,
+          link: isSelfPost ? null : link,
+          score: post.score,
+          comment_count: post.commentCount,
+          comments_kept: thread.count
+        }
+      }
+    }
+  })
+}
+
+/**
+ * arXiv abstract pages: title, authors, abstract, subjects and the paper's
+ * identifiers from the citation_* meta tags and the abstract block
+ */
+function extractArxivAbstract($, html, url) {
+  const meta = name => $(`meta[name="${name}"]`).first().attr('content') || null
+  const title = meta('citation_title') || cleanText($('h1.title').first()).replace(/^Title:\s*/, '')
+  if (!title) return null
+
+  // citation_author is "Last, First"
+  const authors = $('meta[name="citation_author"]').toArray()
+    .map(element => ($(element).attr('content') || '').split(',').map(part => part.trim()).reverse().join(' ').trim())
+    .filter(Boolean)
+
+  const abstractBlock = $('blockquote.abstract').first()
+  abstractBlock.find('.descriptor').remove()
+  const abstract = cleanText(abstractBlock) || meta('citation_abstract') || ''
+
+  const arxivId = meta('citation_arxiv_id') || (new URL(url).pathname.match(/\/abs\/(.+)$/) || [])[1] || null
+  const pdfUrl = meta('citation_pdf_url') || (arxivId ? `https://arxiv.org/pdf/${arxivId}` : null)
+  const subjects = cleanText($('td.subjects').first())
+  const primarySubject = cleanText($('td.subjects .primary-subject').first()) || null
+  const comments = cleanText($('td.comments').first()) || null
+  const journalRef = cleanText($('td.jref').first()) || null
+  const doi = meta('citation_doi') || cleanText($('td.doi a, td.msc_classes a[href*="doi.org"]').first()) || null
+  const dateline = cleanText($('.dateline').first()) || null
+  const submittedAt = isoDate((meta('citation_date') || '').replace(/\//g, '-'))
+
+  const arxiv = {
+    id: arxivId,
+    pdf_url: pdfUrl,
+    authors,
+    primary_subject: primarySubject,
+    subjects: subjects ? subjects.split(/;\s*/) : [],
+    comments,
+    journal_ref: journalRef,
+    doi,
+    submitted_at: submittedAt,
+    revised_at: isoDate((meta('citation_online_date') || '').replace(/\//g, '-')),
+    dateline
+  }
+
+  const contentHtml = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>${escapeHtml(authors.join(', '))}</p>`,
+    `<p>arXiv:${escapeHtml(arxivId || '')}${pdfUrl ? ` · <a href="${escapeHtml(pdfUrl)}">PDF</a>` : ''}${doi ? ` · DOI ${escapeHtml(doi)}` : ''}</p>`,
+    dateline ? `<p>${escapeHtml(dateline)}</p>` : '',
+    '<h2>Abstract</h2>',
+    `<p>${escapeHtml(abstract)}</p>`,
+    subjects ? `<p><strong>Subjects:</strong> ${escapeHtml(subjects)}</p>` : '',
+    comments ? `<p><strong>Comments:</strong> ${escapeHtml(comments)}</p>` : '',
+    journalRef ? `<p><strong>Journal reference:</strong> ${escapeHtml(journalRef)}</p>` : ''
+  ].join('\n')
+
+  return siteResult({
+    html,
+    url,
+    title,
+    description: abstract.substring(0, 500),
+    contentHtml,
+    pageMetadata: {
+      author: authors.join(', ') || null,
+      publishedAt: submittedAt,
+      siteName: 'arXiv',
+      type: 'paper',
+      keywords: arxiv.subjects,
+      sources: { arxiv }
+    }
+  })
+}
+
+/**
+ * Stack Overflow and Stack Exchange questions: the question with the
+ * accepted answer (or the top-voted one when none is accepted)
+ */
+function extractStackExchangeQuestion($, html, url) {
+  const question = $('#question').first()
+  const questionBody = question.find('.js-post-body, .post-text').first()
+  if (questionBody.length === 0) return null
+
+  const title = cleanText($('#question-header h1').first()) || cleanText($('h1').first())
+  const tags = [...new Set(question.find('a.post-tag').toArray().map(tag => cleanText($(tag))))]
+  const questionAuthor = cleanText(question.find('.post-signature.owner .user-details a').first()) ||
+    cleanText(question.find('.post-signature .user-details a').last()) || null
+  const askedAt = isoDate($('time[itemprop="dateCreated"]').first().attr('datetime'))
+  const questionScore = parseCount(question.attr('data-score'))
+
+  const answers = $('.answer').toArray()
+  const acceptedAnswer = answers.find(answer => $(answer).hasClass('accepted-answer') || $(answer).attr('itemprop') === 'acceptedAnswer')
+  const answer = acceptedAnswer ||
+    [...answers].sort((a, b) => (parseInt($(b).attr('data-score')) || 0) - (parseInt($(a).attr('data-score')) || 0))[0]
+
+  let answerHtml = ''
+  let answerInfo = null
+  if (answer) {
+    const $answer = $(answer)
+    answerInfo = {
+      accepted: !!acceptedAnswer,
+      score: parseCount($answer.attr('data-score')),
+      author: cleanText($answer.find('.post-signature').last().find('.user-details a').first()) || null
+    }
+    const byline = [answerInfo.score !== null ? `${answerInfo.score} votes` : null, answerInfo.author ? `by ${answerInfo.author}` : null]
+      .filter(Boolean).join(' · ')
+    answerHtml = [
+      `<h2>${acceptedAnswer ? 'Accepted answer' : 'Top answer'}</h2>`,
+      byline ? `<p>${escapeHtml(byline)}</p>` : '',
+      $answer.find('.js-post-body, .post-text').first().html() || ''
+    ].join('\n')
+  }
+
+  const questionByline = [questionScore !== null ? `${questionScore} votes` : null, questionAuthor ? `asked by ${questionAuthor}` : null, askedAt ? askedAt.substring(0, 10) : null]
+    .filter(Boolean).join(' · ')
+
+  const contentHtml = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    questionByline ? `<p>${escapeHtml(questionByline)}</p>` : '',
+    tags.length > 0 ? `<p>Tags: ${tags.map(escapeHtml).join(', ')}</p>` : '',
+    questionBody.html(),
+    answerHtml
+  ].join('\n')
+
+  const host = new URL(url).hostname
+  return siteResult({
+    html,
+    url,
+    title,
+    // Block by block, so paragraphs and code don't run together
+    description: questionBody.children().toArray().map(block => cleanText($(block))).filter(Boolean).join(' ').substring(0, 200),
+    contentHtml,
+    pageMetadata: {
+      author: questionAuthor,
+      publishedAt: askedAt,
+      siteName: host.endsWith('stackoverflow.com') ? 'Stack Overflow' : host,
+      type: 'question',
+      keywords: tags,
+      sources: {
+        stack_exchange: {
+          question_id: (new URL(url).pathname.match(/\/questions\/(\d+)/) || [])[1] || null,
+          score: questionScore,
+          tags,
+          answer_count: answers.length,
+          answer: answerInfo
+        }
+      }
+    }
+  })
+}
+
+/**
+ * Site extractors: `name`, `matches(parsedUrl)` and `extract($, html, url)`
+ * (resolving to a capture result or null)
+ */
+const SITE_EXTRACTORS = [
+  {
+    name: 'github',
+    matches: parsed => {
+      const segments = parsed.pathname.split('/').filter(Boolean)
+      return parsed.hostname === 'github.com' &&
+        (segments.length === 2 || (segments.length >= 4 && segments[2] === 'tree')) &&
+        !GITHUB_RESERVED_PATHS.has(segments[0])
+    },
+    extract: extractGithubRepository
+  },
+  {
+    name: 'hacker-news',
+    matches: parsed => parsed.hostname === 'news.ycombinator.com' && parsed.pathname === '/item' && parsed.searchParams.has('id'),
+    extract: extractHackerNewsItem
+  },
+  {
+    name: 'reddit',
+    matches: parsed => /(^|\.)reddit\.com$/.test(parsed.hostname) && /^\/r\/[^/]+\/comments\/\w+/.test(parsed.pathname),
+    extract: extractRedditThread
+  },
+  {
+    name: 'arxiv',
+    matches: parsed => /(^|\.)arxiv\.org$/.test(parsed.hostname) && parsed.pathname.startsWith('/abs/'),
+    extract: extractArxivAbstract
+  },
+  {
+    name: 'stack-exchange',
+    matches: parsed => (STACK_EXCHANGE_HOSTS.some(host => parsed.hostname === host || parsed.hostname.endsWith(`.${host}`)) ||
+      parsed.hostname.endsWith('.stackexchange.com')) && /^\/questions\/\d+/.test(parsed.pathname),
+    extract: extractStackExchangeQuestion
+  }
+]
+
+/**
+ * The site extractor for a URL, if there is one
+ */
+function siteExtractorFor(url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return null
+  }
+  return SITE_EXTRACTORS.find(extractor => extractor.matches(parsed)) || null
+}
+
+/**
+ * Run a site extractor over a page's HTML
+ */
+function extractSite(extractor, html, url) {
+  return extractor.extract(cheerio.load(html), html, url)
+}
+
+module.exports = {
+  SITE_EXTRACTORS,
+  siteExtractorFor,
+  extractSite
+}
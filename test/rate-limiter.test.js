@@ -0,0 +1,171 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { USER_LIMITS, IP_LIMITS, createMemoryStore, createRateLimiter } = require('../rate-limiter')
+
+/**
+ * Supabase client whose user_profiles lookups answer from `profiles`
+ */
+function fakeSupabase(profiles) {
+  return {
+    from: () => {
+      let id = null
+      const query = {
+        select: () => query,
+        eq: (column, value) => { id = value; return query },
+        single: async () => profiles[id]
+          ? { data: profiles[id], error: null }
+          : { data: null, error: { code: 'PGRST116' } }
+      }
+      return query
+    }
+  }
+}
+
+/**
+ * Run a middleware and report whether it called next(), with the response it built
+ */
+async function run(middleware, req) {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader(name, value) { this.headers[name] = value },
+    status(code) { this.statusCode = code; return this },
+    json(body) { this.body = body; return this }
+  }
+  let passed = false
+  await middleware(req, res, () => { passed = true })
+  return { passed, res }
+}
+
+test('memory store takes from a bucket until it is empty', async () => {
+  const store = createMemoryStore({ now: () => 0 })
+  const limit = { capacity: 3, perMinute: 60 }
+
+  const results = []
+  for (let i = 0; i < 4; i++) results.push(await store.take('key', limit))
+
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false])
+  assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0])
+  // One token a second: the next one is a second away, a full bucket three
+  assert.equal(results[3].retryAfterMs, 1000)
+  assert.equal(results[3].resetMs, 3000)
+})
+
+test('memory store refills with elapsed time, up to capacity', async () => {
+  let time = 0
+  const store = createMemoryStore({ now: () => time })
+  const limit = { capacity: 2, perMinute: 60 }
+
+  await store.take('key', limit)
+  await store.take('key', limit)
+  assert.equal((await store.take('key', limit)).allowed, false)
+
+  time = 1000
+  const refilled = await store.take('key', limit)
+  assert.equal(refilled.allowed, true)
+  assert.equal(refilled.remaining, 0)
+
+  time = 60 * 60 * 1000
+  assert.equal((await store.take('key', limit)).remaining, 1)
+})
+
+test('memory store keeps a bucket per key', async () => {
+  const store = createMemoryStore({ now: () => 0 })
+  const limit = { capacity: 1, perMinute: 60 }
+
+  assert.equal((await store.take('a', limit)).allowed, true)
+  assert.equal((await store.take('b', limit)).allowed, true)
+  assert.equal((await store.take('a', limit)).allowed, false)
+})
+
+test('a zero capacity never allows a request', async () => {
+  const store = createMemoryStore({ now: () => 0 })
+  const result = await store.take('key', { capacity: 0, perMinute: 0 })
+
+  assert.equal(result.allowed, false)
+  assert.equal(result.retryAfterMs, Infinity)
+})
+
+test('users are limited by their plan', async () => {
+  const { rateLimit } = createRateLimiter({
+    supabase: fakeSupabase({
+      'free-user': { subscription_status: 'free', is_admin: false },
+      'pro-user': { subscription_status: 'pro', is_admin: false }
+    }),
+    store: createMemoryStore({ now: () => 0 })
+  })
+  const middleware = rateLimit('ai')
+
+  async function allowedRequests(userId) {
+    let allowed = 0
+    // A distinct IP per request keeps the per-IP bucket out of the way
+    for (let i = 0; i < 40; i++) {
+      const { passed } = await run(middleware, { ip: `10.0.${userId.length}.${i}`, user: { id: userId } })
+      if (passed) allowed++
+    }
+    return allowed
+  }
+
+  assert.equal(await allowedRequests('free-user'), USER_LIMITS.ai.free.capacity)
+  assert.equal(await allowedRequests('pro-user'), USER_LIMITS.ai.pro.capacity)
+})
+
+test('responses carry RateLimit headers for the tightest bucket', async () => {
+  const { ipRateLimit, rateLimit } = createRateLimiter({
+    supabase: fakeSupabase({}),
+    store: createMemoryStore({ now: () => 0 })
+  })
+  const req = { ip: '10.0.0.1', user: { id: 'someone' } }
+
+  const beforeAuth = await run(ipRateLimit('capture'), req)
+  assert.equal(beforeAuth.passed, true)
+  assert.equal(beforeAuth.res.headers['RateLimit-Limit'], IP_LIMITS.capture.capacity)
+  assert.equal(beforeAuth.res.headers['RateLimit-Remaining'], IP_LIMITS.capture.capacity - 1)
+
+  // The free plan's bucket is smaller than the IP's, so it is reported
+  const afterAuth = await run(rateLimit('capture'), req)
+  assert.equal(afterAuth.passed, true)
+  assert.equal(afterAuth.res.headers['RateLimit-Limit'], USER_LIMITS.capture.free.capacity)
+  assert.equal(afterAuth.res.headers['RateLimit-Remaining'], USER_LIMITS.capture.free.capacity - 1)
+  assert.equal(afterAuth.res.headers['RateLimit-Reset'], Math.ceil(60 / USER_LIMITS.capture.free.perMinute))
+  // The IP bucket was already taken from before authentication
+  assert.equal(req.rateLimitChecks.filter(entry => entry.key.startsWith('ip:')).length, 1)
+})
+
+test('an empty bucket answers 429 with Retry-After', async () => {
+  const { rateLimit } = createRateLimiter({
+    supabase: fakeSupabase({}),
+    store: createMemoryStore({ now: () => 0 })
+  })
+  const middleware = rateLimit('ai')
+
+  for (let i = 0; i < USER_LIMITS.ai.free.capacity; i++) {
+    await run(middleware, { ip: '10.0.0.1', user: { id: 'someone' } })
+  }
+  const { passed, res } = await run(middleware, { ip: '10.0.0.1', user: { id: 'someone' } })
+
+  assert.equal(passed, false)
+  assert.equal(res.statusCode, 429)
+  assert.equal(res.headers['RateLimit-Remaining'], 0)
+  assert.equal(res.headers['Retry-After'], Math.ceil(60 / USER_LIMITS.ai.free.perMinute))
+  assert.equal(res.body.retry_after, res.headers['Retry-After'])
+})
+
+test('routes closed to a plan answer 429 with an hour-long Retry-After', async () => {
+  const { rateLimit } = createRateLimiter({
+    supabase: fakeSupabase({}),
+    store: createMemoryStore({ now: () => 0 })
+  })
+
+  const { passed, res } = await run(rateLimit('admin'), { ip: '10.0.0.1', user: { id: 'someone' } })
+
+  assert.equal(passed, false)
+  assert.equal(res.statusCode, 429)
+  assert.equal(res.headers['Retry-After'], 3600)
+})
+
+test('unknown route classes are rejected when the middleware is created', () => {
+  const { rateLimit } = createRateLimiter({ supabase: fakeSupabase({}) })
+  assert.throws(() => rateLimit('nope'), /Unknown rate limit class/)
+})
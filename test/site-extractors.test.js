@@ -0,0 +1,159 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { siteExtractorFor, extractSite } = require('../site-extractors')
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'site-extractors')
+
+/**
+ * Run the extractor picked for `url` over a stored page
+ */
+function extractFixture(name, url) {
+  const html = fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8')
+  const extractor = siteExtractorFor(url)
+  assert.ok(extractor, `no site extractor for ${url}`)
+  return { extractor, result: extractSite(extractor, html, url) }
+}
+
+test('GitHub repository', () => {
+  const { extractor, result } = extractFixture('github-repository', 'https://github.com/expressjs/express')
+
+  assert.equal(extractor.name, 'github')
+  assert.equal(result.title, 'expressjs/express: Fast, unopinionated, minimalist web framework for node.')
+  assert.equal(result.description, 'Fast, unopinionated, minimalist web framework for node.')
+  assert.match(result.markdown, /^# expressjs\/express\n/)
+  assert.match(result.markdown, /★ 65432 · 16012 forks · JavaScript/)
+  assert.match(result.markdown, /Topics: nodejs, express/)
+  assert.match(result.markdown, /```js\nconst express = require\('express'\)\nconst app = express\(\)\n```/)
+  // README-relative links resolve against the repository
+  assert.match(result.markdown, /!\[logo\]\(https:\/\/github\.com\/expressjs\/express\/raw\/master\/logo\.png\)/)
+
+  assert.equal(result.pageMetadata.author, 'expressjs')
+  assert.equal(result.pageMetadata.type, 'repository')
+  assert.deepEqual(result.pageMetadata.sources.github, {
+    owner: 'expressjs',
+    repository: 'express',
+    stars: 65432,
+    forks: 16012,
+    topics: ['nodejs', 'express'],
+    languages: ['JavaScript']
+  })
+})
+
+test('Hacker News item', () => {
+  const { extractor, result } = extractFixture('hacker-news-item', 'https://news.ycombinator.com/item?id=123')
+
+  assert.equal(extractor.name, 'hacker-news')
+  assert.equal(result.title, 'A Great Article')
+  assert.equal(result.description, '256 points · by pg · 2024-05-01')
+  assert.match(result.markdown, /Link: \[https:\/\/example\.com\/post\]\(https:\/\/example\.com\/post\)/)
+  assert.match(result.markdown, /## Comments \(3 of 97\)/)
+  assert.match(result.markdown, /> \*\*alice\*\* · 2024-05-01\n>\n> Top comment _here_\.\n>\n> Second para\./)
+  assert.match(result.markdown, /> > \*\*bob\*\* · 2024-05-01\n> >\n> > Reply to alice/)
+  assert.match(result.markdown, /> \*\*carol\*\*\n>\n> Second thread/)
+  // Flagged comments have no text and are left out
+  assert.doesNotMatch(result.markdown, /flagged/)
+
+  assert.equal(result.pageMetadata.author, 'pg')
+  assert.equal(result.pageMetadata.publishedAt, '2024-05-01T12:34:56.000Z')
+  assert.deepEqual(result.pageMetadata.sources.hacker_news, {
+    id: '123',
+    link: 'https://example.com/post',
+    points: 256,
+    comment_count: 97,
+    comments_kept: 3
+  })
+})
+
+test('Reddit thread', () => {
+  const { extractor, result } = extractFixture('reddit-thread', 'https://www.reddit.com/r/node/comments/abc123/title_slug/')
+
+  assert.equal(extractor.name, 'reddit')
+  assert.equal(result.title, 'How do I X?')
+  assert.equal(result.description, 'I am trying to do X with fs.')
+  assert.match(result.markdown, /r\/node · 42 points · by u\/someone · 2024-03-01/)
+  assert.match(result.markdown, /I am trying to do X with `fs`\./)
+  assert.match(result.markdown, /## Comments \(2 of 7\)/)
+  assert.match(result.markdown, /> \*\*helper\*\* · 15 points · 2024-03-01\n>\n> Use `fs\.promises`\./)
+  assert.match(result.markdown, /> > \*\*someone\*\* · 3 points\n> >\n> > Thanks!/)
+
+  assert.equal(result.pageMetadata.author, 'u/someone')
+  assert.equal(result.pageMetadata.publishedAt, '2024-03-01T10:00:00.000Z')
+  assert.deepEqual(result.pageMetadata.sources.reddit, {
+    subreddit: 'r/node',
+    link: null,
+    score: 42,
+    comment_count: 7,
+    comments_kept: 2
+  })
+})
+
+test('old Reddit thread', () => {
+  const { extractor, result } = extractFixture('old-reddit-thread', 'https://old.reddit.com/r/node/comments/abc123/title_slug/')
+
+  assert.equal(extractor.name, 'reddit')
+  assert.equal(result.title, 'How do I X?')
+  assert.equal(result.description, 'Body text')
+  assert.match(result.markdown, /r\/node · 42 points · by u\/someone · 2024-03-01/)
+  assert.match(result.markdown, /> \*\*helper\*\* · 15 points · 2024-03-01\n>\n> Use promises/)
+  assert.match(result.markdown, /> > \*\*someone\*\*\n> >\n> > Thanks/)
+
+  assert.equal(result.pageMetadata.author, 'u/someone')
+  assert.equal(result.pageMetadata.sources.reddit.subreddit, 'r/node')
+  assert.equal(result.pageMetadata.sources.reddit.score, 42)
+  assert.equal(result.pageMetadata.sources.reddit.comments_kept, 2)
+})
+
+test('arXiv abstract', () => {
+  const { extractor, result } = extractFixture('arxiv-abstract', 'https://arxiv.org/abs/1706.03762')
+
+  assert.equal(extractor.name, 'arxiv')
+  assert.equal(result.title, 'Attention Is All You Need')
+  assert.equal(result.description, 'The dominant sequence transduction models are based on complex recurrent or convolutional neural networks.')
+  assert.match(result.markdown, /Ashish Vaswani, Noam Shazeer/)
+  assert.match(result.markdown, /arXiv:1706\.03762 · \[PDF\]\(https:\/\/arxiv\.org\/pdf\/1706\.03762\)/)
+  assert.match(result.markdown, /## Abstract\n\nThe dominant sequence transduction models/)
+  assert.match(result.markdown, /\*\*Subjects:\*\* Computation and Language \(cs\.CL\); Machine Learning \(cs\.LG\)/)
+
+  assert.equal(result.pageMetadata.author, 'Ashish Vaswani, Noam Shazeer')
+  assert.equal(result.pageMetadata.publishedAt, '2017-06-12T00:00:00.000Z')
+  assert.deepEqual(result.pageMetadata.keywords, ['Computation and Language (cs.CL)', 'Machine Learning (cs.LG)'])
+
+  const arxiv = result.pageMetadata.sources.arxiv
+  assert.equal(arxiv.id, '1706.03762')
+  assert.equal(arxiv.pdf_url, 'https://arxiv.org/pdf/1706.03762')
+  assert.deepEqual(arxiv.authors, ['Ashish Vaswani', 'Noam Shazeer'])
+  assert.equal(arxiv.primary_subject, 'Computation and Language (cs.CL)')
+  assert.equal(arxiv.comments, '15 pages, 5 figures')
+  assert.equal(arxiv.submitted_at, '2017-06-12T00:00:00.000Z')
+  assert.equal(arxiv.revised_at, '2023-08-02T00:00:00.000Z')
+})
+
+test('Stack Overflow question', () => {
+  const { extractor, result } = extractFixture('stack-overflow-question', 'https://stackoverflow.com/questions/111/how-to-x')
+
+  assert.equal(extractor.name, 'stack-exchange')
+  assert.equal(result.title, 'How to X in JavaScript?')
+  assert.equal(result.description, 'How do I X? foo() bar()')
+  assert.match(result.markdown, /120 votes · asked by asker · 2020-01-02/)
+  assert.match(result.markdown, /Tags: javascript, arrays/)
+  assert.match(result.markdown, /```javascript\nfoo\(\)\nbar\(\)\n```/)
+  assert.match(result.markdown, /## Accepted answer\n\n30 votes · by answerer\n\nUse `Array\.from`:/)
+
+  assert.equal(result.pageMetadata.author, 'asker')
+  assert.equal(result.pageMetadata.publishedAt, '2020-01-02T03:04:05.000Z')
+  assert.equal(result.pageMetadata.siteName, 'Stack Overflow')
+  assert.deepEqual(result.pageMetadata.sources.stack_exchange, {
+    question_id: '111',
+    score: 120,
+    tags: ['javascript', 'arrays'],
+    answer_count: 2,
+    answer: { accepted: true, score: 30, author: 'answerer' }
+  })
+})
+
+test('pages without a site extractor', () => {
+  assert.equal(siteExtractorFor('https://example.com/post'), null)
+  assert.equal(siteExtractorFor('https://github.com/settings/profile'), null)
+})
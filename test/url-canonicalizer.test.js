@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { canonicalizeUrl, resolveCanonicalUrl } = require('../url-canonicalizer')
+
+test('declared canonicals for the same document are trusted', () => {
+  // Same path, tracking and presentation parameters dropped
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/blog/my-post?utm_source=x&view=print', 'https://example.com/blog/my-post'),
+    'https://example.com/blog/my-post'
+  )
+  // Same depth, renamed
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/2024/old-slug', 'https://example.com/2024/new-slug'),
+    'https://example.com/2024/new-slug'
+  )
+  // Same slug, different section
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/amp/stories/my-post', 'https://www.example.com/news/my-post'),
+    'https://example.com/news/my-post'
+  )
+})
+
+test('declared canonicals pointing at a section above the page are ignored', () => {
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/blog/first-post', 'https://example.com/blog'),
+    'https://example.com/blog/first-post'
+  )
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/news/2024/05/story', 'https://example.com/news/'),
+    'https://example.com/news/2024/05/story'
+  )
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/articles/story', 'https://example.com/'),
+    'https://example.com/articles/story'
+  )
+})
+
+test('declared canonicals that look like a different document are ignored', () => {
+  // Another site
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/post', 'https://other.example/post'),
+    'https://example.com/post'
+  )
+  // Different depth and slug
+  assert.equal(
+    resolveCanonicalUrl('https://example.com/blog/a-post', 'https://example.com/about'),
+    'https://example.com/blog/a-post'
+  )
+  // Unparseable
+  assert.equal(resolveCanonicalUrl('https://example.com/post', 'http://['), 'https://example.com/post')
+})
+
+test('without a declared canonical the submitted URL is canonicalized', () => {
+  assert.equal(resolveCanonicalUrl('https://www.example.com/post/?utm_campaign=x#top', null), canonicalizeUrl('https://example.com/post'))
+})
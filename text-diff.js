@@ -0,0 +1,193 @@
+// Line diffs between archive versions (Myers' O(ND) algorithm)
+
+// Past this many edits the exact diff isn't worth its memory; the changed
+// region is reported as one replacement instead
+const MAX_EDIT_DISTANCE = 4000
+
+/**
+ * Shortest edit script between two line arrays, as a list of
+ * { type: 'equal' | 'delete' | 'insert', line } operations
+ */
+function myersDiff(a, b) {
+  const n = a.length
+  const m = b.length
+  const max = n + m
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  const trace = []
+
+  let distance = -1
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    // Only the diagonals reachable at this distance are kept for backtracking
+    trace.push(v.slice(offset - d, offset + d + 1))
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        distance = d
+        break
+      }
+    }
+    if (distance !== -1) break
+  }
+
+  if (distance === -1) return null
+
+  const operations = []
+  let x = n
+  let y = m
+
+  for (let d = distance; d > 0; d--) {
+    const previous = trace[d]
+    const get = k => previous[k + d]
+    const k = x - y
+    const previousK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1
+    const previousX = get(previousK)
+    const previousY = previousX - previousK
+
+    while (x > previousX && y > previousY) {
+      operations.push({ type: 'equal', line: a[--x] })
+      y--
+    }
+    if (x === previousX) {
+      operations.push({ type: 'insert', line: b[--y] })
+    } else {
+      operations.push({ type: 'delete', line: a[--x] })
+    }
+  }
+  while (x > 0 && y > 0) {
+    operations.push({ type: 'equal', line: a[--x] })
+    y--
+  }
+
+  return operations.reverse()
+}
+
+/**
+ * Diff two texts line by line. Returns { operations, added, removed,
+ * approximate }; `approximate` means the edit distance limit was hit.
+ */
+function diffLines(oldText, newText) {
+  const a = oldText ? oldText.split('\n') : []
+  const b = newText ? newText.split('\n') : []
+
+  // Common leading and trailing lines never need the full algorithm
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const middleA = a.slice(start, endA)
+  const middleB = b.slice(start, endB)
+  let middle = myersDiff(middleA, middleB)
+  const approximate = middle === null
+  if (approximate) {
+    middle = [
+      ...middleA.map(line => ({ type: 'delete', line })),
+      ...middleB.map(line => ({ type: 'insert', line }))
+    ]
+  }
+
+  const operations = [
+    ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: 'equal', line }))
+  ]
+
+  return {
+    operations,
+    added: operations.filter(operation => operation.type === 'insert').length,
+    removed: operations.filter(operation => operation.type === 'delete').length,
+    approximate
+  }
+}
+
+/**
+ * Render diff operations as a unified diff with `context` lines around changes
+ */
+function formatUnifiedDiff(operations, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const hunks = []
+  let oldLine = 1
+  let newLine = 1
+  let hunk = null
+  let trailingEqual = 0
+
+  operations.forEach((operation, index) => {
+    if (operation.type === 'equal') {
+      if (hunk) {
+        if (trailingEqual < context) {
+          hunk.lines.push(` ${operation.line}`)
+          hunk.oldCount++
+          hunk.newCount++
+          trailingEqual++
+        } else {
+          // Keep the hunk open only if another change is within reach
+          const nextChange = operations.slice(index, index + context + 1).findIndex(next => next.type !== 'equal')
+          if (nextChange === -1) {
+            hunks.push(hunk)
+            hunk = null
+          } else {
+            hunk.lines.push(` ${operation.line}`)
+            hunk.oldCount++
+            hunk.newCount++
+          }
+        }
+      }
+      oldLine++
+      newLine++
+      return
+    }
+
+    if (!hunk) {
+      const leading = []
+      for (let i = index - 1; i >= 0 && leading.length < context && operations[i].type === 'equal'; i--) {
+        leading.unshift(` ${operations[i].line}`)
+      }
+      hunk = {
+        oldStart: oldLine - leading.length,
+        newStart: newLine - leading.length,
+        oldCount: leading.length,
+        newCount: leading.length,
+        lines: leading
+      }
+    }
+    trailingEqual = 0
+
+    if (operation.type === 'delete') {
+      hunk.lines.push(`-${operation.line}`)
+      hunk.oldCount++
+      oldLine++
+    } else {
+      hunk.lines.push(`+${operation.line}`)
+      hunk.newCount++
+      newLine++
+    }
+  })
+  if (hunk) hunks.push(hunk)
+
+  if (hunks.length === 0) return ''
+
+  const range = (start, count) => `${count === 0 ? start - 1 : start},${count}`
+  return [
+    `--- ${fromLabel}`,
+    `+++ ${toLabel}`,
+    ...hunks.flatMap(h => [`@@ -${range(h.oldStart, h.oldCount)} +${range(h.newStart, h.newCount)} @@`, ...h.lines])
+  ].join('\n') + '\n'
+}
+
+module.exports = {
+  diffLines,
+  formatUnifiedDiff
+}
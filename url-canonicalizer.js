@@ -0,0 +1,336 @@
+// URL canonicalization for duplicate detection. The canonical form is only an
+// identity key (stored as archives.canonical_url); the URL the user submitted
+// is still what gets archived and shown.
+
+// Query parameters that only track where a click came from. Entries ending
+// in `*` match as prefixes. Extend with CANONICAL_STRIP_PARAMS, exempt with
+// CANONICAL_KEEP_PARAMS (both comma-separated).
+const DEFAULT_TRACKING_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+  'mc_cid', 'mc_eid', 'igshid', 'igsh', 'si', '_hsenc', '_hsmi', '__hssc', '__hstc', '__hsfp', 'hsctatracking',
+  'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id', 'vero_conv', 'rb_clickid', 's_cid', 'ncid', 'cmpid',
+  'sr_share', 'ref_src', 'ref_url', 'at_medium', 'at_campaign', 'at_custom*', 'pk_*', 'piwik_*', 'mtm_*', 'ga_*',
+  '_ga', '_gl', 'wt.mc_id', 'ito', 'ocid', 'cvid', 'spm', 'scm', 'trk', 'trkcampaign', 'guccounter', 'guce_*',
+  '__twitter_impression', 'smid', 'smtyp'
+]
+
+// AMP query flags; the rest of the query survives
+const AMP_QUERY_PARAMS = ['amp', 'amp_js_v', 'amp_gsa', 'usqp', 'outputtype', '_gsa']
+
+// Second-level labels that are public suffixes under country-code TLDs (co.uk, com.au, ne.jp...)
+const SECOND_LEVEL_SUFFIXES = ['ac', 'co', 'com', 'edu', 'gob', 'go', 'gov', 'mil', 'ne', 'net', 'nic', 'or', 'org']
+
+/**
+ * A capture turned out to be a page the user has already archived
+ */
+class DuplicateArchiveError extends Error {
+  constructor(archive) {
+    super('URL already archived')
+    this.name = 'DuplicateArchiveError'
+    this.code = 'DUPLICATE_ARCHIVE'
+    this.archive = archive
+  }
+}
+
+/**
+ * Split a comma-separated env var into lowercase entries
+ */
+function parseParamList(value) {
+  return (value || '').split(',').map(param => param.trim().toLowerCase()).filter(Boolean)
+}
+
+const configuredStripParams = parseParamList(process.env.CANONICAL_STRIP_PARAMS)
+const configuredKeepParams = parseParamList(process.env.CANONICAL_KEEP_PARAMS)
+
+/**
+ * Whether a parameter name matches a list of names and `prefix*` patterns
+ */
+function matchesParam(name, patterns) {
+  const lowerName = name.toLowerCase()
+  return patterns.some(pattern => pattern.endsWith('*')
+    ? lowerName.startsWith(pattern.slice(0, -1))
+    : lowerName === pattern)
+}
+
+/**
+ * Whether a hostname is more than a public suffix (example.com, not com or co.uk)
+ */
+function hasRegistrableDomain(hostname) {
+  const labels = hostname.split('.').filter(Boolean)
+  if (labels.length < 2) return false
+  return !(labels.length === 2 && labels[1].length === 2 && SECOND_LEVEL_SUFFIXES.includes(labels[0]))
+}
+
+/**
+ * Undo AMP cache and AMP viewer URLs:
+ *   https://example-com.cdn.ampproject.org/c/s/example.com/a -> https://example.com/a
+ *   https://www.google.com/amp/s/example.com/a -> https://example.com/a
+ * Returns null for any other URL.
+ */
+function unwrapAmpCache(parsed) {
+  const match = parsed.hostname.endsWith('.cdn.ampproject.org')
+    ? parsed.pathname.match(/^\/(?:[cvi]\/)?(?:wp\/)?(s\/)?(.+)$/)
+    : /^(www\.)?google\.[a-z.]+$/.test(parsed.hostname)
+      ? parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/)
+      : null
+
+  if (!match) return null
+
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}`)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Map common AMP URL layouts to their regular article URL. An `amp.`
+ * subdomain is dropped only when a registrable domain is left (not amp.dev).
+ * /amp path segments are real pages on many sites, so they're only rewritten
+ * for URLs that came out of an AMP cache; elsewhere the page's own
+ * <link rel=canonical> settles it (see resolveCanonicalUrl).
+ */
+function stripAmpPath(parsed, fromAmpCache) {
+  if (parsed.hostname.startsWith('amp.') && hasRegistrableDomain(parsed.hostname.slice(4))) {
+    parsed.hostname = parsed.hostname.slice(4)
+  }
+
+  if (fromAmpCache) {
+    parsed.pathname = parsed.pathname
+      .replace(/\/amp\/?$/i, '/') // /article/amp
+      .replace(/^\/amp\//i, '/') // /amp/article
+      .replace(/\.amp(\.html?)?$/i, (match, extension) => extension || '') // /article.amp, /article.amp.html
+  }
+
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (AMP_QUERY_PARAMS.includes(name.toLowerCase())) {
+      parsed.searchParams.delete(name)
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Canonicalize a URL for duplicate detection:
+ * - https and http are the same page; `www.` is dropped
+ * - hostnames are lowercased and IDNs converted to punycode
+ * - tracking parameters are removed and the remaining ones sorted
+ * - AMP cache and viewer URLs map to the regular URL, as do amp. subdomains
+ * - fragments (except `#!` routes) and trailing slashes are dropped
+ *
+ * Options: `stripParams` / `keepParams` add to or exempt from the tracking
+ * parameter list. Uploaded files (file://sha256-<hash>/<name>) are the same
+ * file whatever they were called. Other non-http(s) URLs are returned unchanged.
+ */
+function canonicalizeUrl(url, options = {}) {
+  const stripParams = [...DEFAULT_TRACKING_PARAMS, ...configuredStripParams, ...parseParamList((options.stripParams || []).join(','))]
+  const keepParams = [...configuredKeepParams, ...parseParamList((options.keepParams || []).join(','))]
+
+  let parsed
+  try {
+    // WHATWG URL parsing lowercases the host, applies punycode and drops default ports
+    parsed = new URL(String(url).trim())
+  } catch {
+    return String(url || '').trim()
+  }
+
+  if (parsed.protocol === 'file:' && /^sha256-[0-9a-f]{64}$/.test(parsed.hostname)) {
+    return `file://${parsed.hostname}/`
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return parsed.href
+  }
+
+  const unwrapped = unwrapAmpCache(parsed)
+  parsed = stripAmpPath(unwrapped || parsed, Boolean(unwrapped))
+
+  parsed.protocol = 'https:'
+  parsed.username = ''
+  parsed.password = ''
+  parsed.hostname = parsed.hostname.replace(/\.$/, '').replace(/^www\./, '')
+  if (parsed.port === '80' || parsed.port === '443') parsed.port = ''
+
+  // Collapse duplicate slashes and drop the trailing one
+  let pathname = parsed.pathname.replace(/\/{2,}/g, '/')
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '')
+  parsed.pathname = pathname
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => matchesParam(name, keepParams) || !matchesParam(name, stripParams))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  parsed.search = new URLSearchParams(params).toString()
+
+  // Hash-bang routes identify content; other fragments are in-page anchors
+  if (!parsed.hash.startsWith('#!')) parsed.hash = ''
+
+  return parsed.href
+}
+
+/**
+ * Whether a declared canonical plausibly names the same document as the
+ * submitted URL: same site, and either the same path depth or the same last
+ * segment (slug). A section above the page (/blog for /blog/my-post, or the
+ * homepage) is what site-wide canonical mistakes usually point at, so it
+ * never counts.
+ */
+function isSameDocumentCanonical(submitted, declared) {
+  if (declared.hostname !== submitted.hostname) return false
+
+  const submittedSegments = submitted.pathname.split('/').filter(Boolean)
+  const declaredSegments = declared.pathname.split('/').filter(Boolean)
+
+  const isSection = declaredSegments.length < submittedSegments.length &&
+    declaredSegments.every((segment, index) => segment === submittedSegments[index])
+  if (isSection) return false
+
+  return declaredSegments.length === submittedSegments.length ||
+    declaredSegments[declaredSegments.length - 1] === submittedSegments[submittedSegments.length - 1]
+}
+
+/**
+ * Canonical URL for a captured page: the page's own <link rel=canonical> when
+ * it plausibly names the same document, otherwise the submitted URL
+ * canonicalized.
+ */
+function resolveCanonicalUrl(submittedUrl, declaredCanonicalUrl) {
+  const canonical = canonicalizeUrl(submittedUrl)
+  if (!declaredCanonicalUrl) return canonical
+
+  try {
+    const declared = new URL(canonicalizeUrl(declaredCanonicalUrl))
+    return isSameDocumentCanonical(new URL(canonical), declared) ? declared.href : canonical
+  } catch {
+    return canonical
+  }
+}
+
+/**
+ * An archive's duplicate-detection key: the stored canonical_url (which may
+ * come from the page's <link rel=canonical>), or the canonicalized URL for
+ * archives saved before canonicalization. Everything that matches archives
+ * against each other goes through this.
+ */
+function archiveCanonicalUrl(archive) {
+  return archive.canonical_url || canonicalizeUrl(archive.url)
+}
+
+/**
+ * Find the user's existing archive of a URL, by canonical URL and (for
+ * archives saved before canonicalization) by the raw URL. Before a capture
+ * only the submitted URL is known; pass the captured record's
+ * `canonicalUrl` afterwards to also catch variants of a page whose declared
+ * canonical differs from its URL.
+ */
+async function findDuplicateArchive(supabase, userId, url, options = {}) {
+  const canonicalUrls = [...new Set([canonicalizeUrl(url), options.canonicalUrl].filter(Boolean))]
+
+  const lookups = await Promise.all([
+    supabase
+      .from('archives')
+      .select('id, title, url, canonical_url')
+      .eq('user_id', userId)
+      .in('canonical_url', canonicalUrls)
+      .limit(1),
+    supabase
+      .from('archives')
+      .select('id, title, url, canonical_url')
+      .eq('user_id', userId)
+      .eq('url', url)
+      .limit(1)
+  ])
+
+  for (const { error } of lookups) {
+    if (error) throw error
+  }
+
+  return lookups.map(({ data }) => (data || [])[0]).find(Boolean) || null
+}
+
+/**
+ * Canonical URLs, among `urls`, that the user has already archived.
+ * Queried in batches to stay under PostgREST's URL length limits.
+ */
+async function findArchivedCanonicalUrls(supabase, userId, urls, batchSize = 100) {
+  const archived = new Set()
+
+  for (let i = 0; i < urls.length; i += batchSize) {
+    const batch = urls.slice(i, i + batchSize)
+
+    const lookups = await Promise.all([
+      supabase
+        .from('archives')
+        .select('url, canonical_url')
+        .eq('user_id', userId)
+        .in('canonical_url', [...new Set(batch.map(url => canonicalizeUrl(url)))]),
+      supabase
+        .from('archives')
+        .select('url, canonical_url')
+        .eq('user_id', userId)
+        .in('url', batch)
+    ])
+
+    for (const { data, error } of lookups) {
+      if (error) throw error
+      for (const archive of data || []) {
+        // A stored canonical may come from the page's <link rel=canonical>,
+        // so the archive's own URL is matched too
+        archived.add(archiveCanonicalUrl(archive))
+        archived.add(canonicalizeUrl(archive.url))
+      }
+    }
+  }
+
+  return archived
+}
+
+/**
+ * Fill canonical_url on archives saved before canonicalization, `batchSize`
+ * rows per call, so they match by canonical URL like everything else. Only
+ * the URL is available for these rows, so the page's own rel=canonical is
+ * not consulted. Returns { filled, done }.
+ */
+async function backfillCanonicalUrls(supabase, options = {}) {
+  const { batchSize = 500 } = options
+
+  const { data: rows, error } = await supabase
+    .from('archives')
+    .select('id, url')
+    .is('canonical_url', null)
+    .order('created_at', { ascending: true })
+    .limit(batchSize)
+
+  if (error) throw error
+
+  let filled = 0
+  for (const row of rows || []) {
+    const { error: updateError } = await supabase
+      .from('archives')
+      .update({ canonical_url: canonicalizeUrl(row.url) })
+      .eq('id', row.id)
+      .is('canonical_url', null)
+
+    if (updateError) {
+      console.error(`Canonical URL backfill failed for archive ${row.id}:`, updateError.message)
+      continue
+    }
+    filled++
+  }
+
+  if (filled > 0) {
+    console.log(`🔗 Filled canonical URLs for ${filled} archives`)
+  }
+
+  return { filled, done: (rows || []).length < batchSize }
+}
+
+module.exports = {
+  DEFAULT_TRACKING_PARAMS,
+  DuplicateArchiveError,
+  canonicalizeUrl,
+  resolveCanonicalUrl,
+  archiveCanonicalUrl,
+  findDuplicateArchive,
+  findArchivedCanonicalUrls,
+  backfillCanonicalUrls
+}
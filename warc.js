@@ -0,0 +1,440 @@
+const crypto = require('crypto')
+const zlib = require('zlib')
+const { decodeBody } = require('./charset')
+
+// WARC/1.1 (ISO 28500:2017) export and import, so archives can move to and
+// from standard web-archiving tools (pywb, ReplayWeb.page, warcio...)
+
+const WARC_VERSION = 'WARC/1.1'
+const MAX_DECOMPRESSED_WARC_BYTES = parseInt(process.env.MAX_WARC_BYTES) || 200 * 1024 * 1024 // 200MB
+
+/**
+ * Error raised for input that isn't a readable WARC file
+ */
+class WarcFormatError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'WarcFormatError'
+    this.code = 'INVALID_WARC'
+  }
+}
+
+/**
+ * RFC 4648 base32, the encoding WARC digests conventionally use
+ */
+function base32(buffer) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * sha1 digest in WARC's `sha1:BASE32` form
+ */
+function warcDigest(buffer) {
+  return `sha1:${base32(crypto.createHash('sha1').update(buffer).digest())}`
+}
+
+/**
+ * Build one WARC record, gzipped on its own so the file stays seekable
+ * (the usual .warc.gz layout). Returns { id, buffer }.
+ */
+function createWarcRecord({ type, targetUri, date, contentType, block, payload, fields = {} }) {
+  const id = `<urn:uuid:${crypto.randomUUID()}>`
+  const body = Buffer.isBuffer(block) ? block : Buffer.from(block || '', 'utf8')
+
+  const headers = {
+    'WARC-Type': type,
+    'WARC-Record-ID': id,
+    'WARC-Date': new Date(date || Date.now()).toISOString(),
+    ...(targetUri ? { 'WARC-Target-URI': targetUri } : {}),
+    ...fields,
+    'WARC-Block-Digest': warcDigest(body),
+    ...(payload ? { 'WARC-Payload-Digest': warcDigest(payload) } : {}),
+    'Content-Type': contentType,
+    'Content-Length': String(body.length)
+  }
+
+  const head = [WARC_VERSION, ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)].join('\r\n')
+  const record = Buffer.concat([Buffer.from(`${head}\r\n\r\n`, 'utf8'), body, Buffer.from('\r\n\r\n')])
+
+  return { id, buffer: zlib.gzipSync(record) }
+}
+
+/**
+ * Serialize `application/warc-fields` (one "name: value" per line)
+ */
+function formatWarcFields(entries) {
+  return entries
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => `${name}: ${String(value).replace(/[\r\n]+/g, ' ')}`)
+    .join('\r\n') + '\r\n'
+}
+
+/**
+ * Parse `application/warc-fields` into { name: [values] }
+ */
+function parseWarcFields(text) {
+  const fields = {}
+  for (const line of text.split(/\r?\n/)) {
+    const separator = line.indexOf(':')
+    if (separator <= 0) continue
+    const name = line.slice(0, separator).trim().toLowerCase()
+    fields[name] = fields[name] || []
+    fields[name].push(line.slice(separator + 1).trim())
+  }
+  return fields
+}
+
+/**
+ * The warcinfo record that opens every exported file
+ */
+function createWarcinfoRecord(filename) {
+  return createWarcRecord({
+    type: 'warcinfo',
+    contentType: 'application/warc-fields',
+    fields: { 'WARC-Filename': filename },
+    block: formatWarcFields([
+      ['software', 'pants-api-server'],
+      ['format', 'WARC File Format 1.1'],
+      ['conformsTo', 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/'],
+      ['description', 'Archives exported from Pants']
+    ])
+  })
+}
+
+/**
+ * Build an HTTP/1.1 response message for a response record
+ */
+function httpResponseBlock(contentType, body, date) {
+  const head = [
+    'HTTP/1.1 200 OK',
+    `Content-Type: ${contentType}`,
+    `Content-Length: ${body.length}`,
+    `Date: ${new Date(date || Date.now()).toUTCString()}`
+  ].join('\r\n')
+
+  return Buffer.concat([Buffer.from(`${head}\r\n\r\n`, 'utf8'), body])
+}
+
+/**
+ * Pull inlined assets back out of a self-contained snapshot: every data: URI
+ * whose hash matches the asset manifest is replaced by its original URL.
+ * Returns { html, assets: [{ url, contentType, body }] }.
+ */
+function extractInlinedAssets(html, manifest) {
+  const byHash = new Map()
+  for (const entry of manifest || []) {
+    if (entry.status === 'inlined' && entry.sha256 && entry.contentType !== 'text/css') {
+      byHash.set(entry.sha256, entry)
+    }
+  }
+
+  const assets = new Map()
+  const restoredHtml = (html || '').replace(/data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=]+)/g, (match, contentType, data) => {
+    const body = Buffer.from(data, 'base64')
+    const entry = byHash.get(crypto.createHash('sha256').update(body).digest('hex'))
+    if (!entry) return match
+
+    if (!assets.has(entry.url)) {
+      assets.set(entry.url, { url: entry.url, contentType: entry.contentType, body })
+    }
+    return entry.url
+  })
+
+  return { html: restoredHtml, assets: [...assets.values()] }
+}
+
+/**
+ * WARC records for one archive: request/response for the page, a response
+ * per preserved asset, a metadata record and a markdown conversion, each
+ * gzipped.
+ */
+function buildArchiveWarcRecords(archive) {
+  const capturedAt = archive.created_at
+  const { html, assets } = extractInlinedAssets(archive.archived_html, archive.asset_manifest)
+  const page = new URL(archive.url)
+  const body = Buffer.from(html, 'utf8')
+
+  const response = createWarcRecord({
+    type: 'response',
+    targetUri: archive.url,
+    date: capturedAt,
+    contentType: 'application/http;msgtype=response',
+    block: httpResponseBlock('text/html; charset=utf-8', body, capturedAt),
+    payload: body
+  })
+
+  const request = createWarcRecord({
+    type: 'request',
+    targetUri: archive.url,
+    date: capturedAt,
+    contentType: 'application/http;msgtype=request',
+    fields: { 'WARC-Concurrent-To': response.id },
+    block: `GET ${page.pathname}${page.search} HTTP/1.1\r\nHost: ${page.host}\r\n\r\n`
+  })
+
+  const assetRecords = assets.map(asset => createWarcRecord({
+    type: 'response',
+    targetUri: asset.url,
+    date: capturedAt,
+    contentType: 'application/http;msgtype=response',
+    block: httpResponseBlock(asset.contentType, asset.body, capturedAt),
+    payload: asset.body
+  }))
+
+  const metadata = createWarcRecord({
+    type: 'metadata',
+    targetUri: archive.url,
+    date: capturedAt,
+    contentType: 'application/warc-fields',
+    fields: { 'WARC-Refers-To': response.id },
+    block: formatWarcFields([
+      ['pants-archive-id', archive.id],
+      ['title', archive.title],
+      ['description', archive.description],
+      ...(archive.tags || []).map(tag => ['tag', tag]),
+      ['extraction-method', archive.extraction_method],
+      ['word-count', archive.word_count]
+    ])
+  })
+
+  const records = [request.buffer, response.buffer, ...assetRecords.map(record => record.buffer), metadata.buffer]
+
+  if (archive.archived_markdown) {
+    records.push(createWarcRecord({
+      type: 'conversion',
+      targetUri: archive.url,
+      date: capturedAt,
+      contentType: 'text/markdown; charset=utf-8',
+      fields: { 'WARC-Refers-To': response.id },
+      block: archive.archived_markdown
+    }).buffer)
+  }
+
+  return records
+}
+
+/**
+ * Split a WARC file (plain or gzipped, single- or multi-member) into records
+ * of { headers, block }. Header names are lowercased.
+ */
+function parseWarc(buffer) {
+  let data = buffer
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      data = zlib.gunzipSync(buffer, { maxOutputLength: MAX_DECOMPRESSED_WARC_BYTES })
+    } catch (error) {
+      throw new WarcFormatError(`Could not decompress WARC: ${error.message}`)
+    }
+  }
+
+  const records = []
+  let offset = 0
+
+  while (offset < data.length) {
+    // Records are separated by blank lines
+    while (offset < data.length && (data[offset] === 0x0d || data[offset] === 0x0a)) offset++
+    if (offset >= data.length) break
+
+    const headerEnd = data.indexOf('\r\n\r\n', offset)
+    if (headerEnd === -1) {
+      throw new WarcFormatError(`Truncated record header at byte ${offset}`)
+    }
+
+    const [versionLine, ...lines] = data.subarray(offset, headerEnd).toString('utf8').split('\r\n')
+    if (!/^WARC\/1\.[01]$/.test(versionLine.trim())) {
+      throw new WarcFormatError(`Expected a WARC/1.0 or WARC/1.1 record at byte ${offset}`)
+    }
+
+    const headers = {}
+    let lastName = null
+    for (const line of lines) {
+      if (/^[ \t]/.test(line) && lastName) {
+        headers[lastName] += ' ' + line.trim()
+        continue
+      }
+      const separator = line.indexOf(':')
+      if (separator <= 0) continue
+      lastName = line.slice(0, separator).trim().toLowerCase()
+      headers[lastName] = line.slice(separator + 1).trim()
+    }
+
+    const length = parseInt(headers['content-length'])
+    if (isNaN(length) || length < 0) {
+      throw new WarcFormatError(`Record at byte ${offset} has no valid Content-Length`)
+    }
+
+    const blockStart = headerEnd + 4
+    if (blockStart + length > data.length) {
+      throw new WarcFormatError(`Truncated record block at byte ${offset}`)
+    }
+
+    records.push({ headers, block: data.subarray(blockStart, blockStart + length) })
+    offset = blockStart + length
+  }
+
+  return records
+}
+
+/**
+ * Decode a chunked transfer-encoded body
+ */
+function decodeChunked(body) {
+  const chunks = []
+  let offset = 0
+
+  while (offset < body.length) {
+    const lineEnd = body.indexOf('\r\n', offset)
+    if (lineEnd === -1) break
+    const size = parseInt(body.subarray(offset, lineEnd).toString('ascii').split(';')[0], 16)
+    if (isNaN(size) || size === 0) break
+    chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size))
+    offset = lineEnd + 2 + size + 2
+  }
+
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Parse the HTTP response held in a response record into { status, headers,
+ * body }, undoing transfer and content encodings. Content decoding takes its
+ * output from `budget.remaining`.
+ */
+function parseHttpResponse(block, budget) {
+  const headerEnd = block.indexOf('\r\n\r\n')
+  if (headerEnd === -1) return null
+
+  const [statusLine, ...lines] = block.subarray(0, headerEnd).toString('latin1').split('\r\n')
+  const status = parseInt((statusLine.match(/^HTTP\/[\d.]+\s+(\d{3})/) || [])[1])
+  if (!status) return null
+
+  const headers = {}
+  for (const line of lines) {
+    const separator = line.indexOf(':')
+    if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+  }
+
+  let body = block.subarray(headerEnd + 4)
+  if (/chunked/i.test(headers['transfer-encoding'] || '')) {
+    body = decodeChunked(body)
+  }
+
+  const encoding = (headers['content-encoding'] || '').toLowerCase()
+  const limit = { maxOutputLength: Math.max(1, budget.remaining) }
+  try {
+    let decoded = null
+    if (encoding === 'gzip' || encoding === 'x-gzip') decoded = zlib.gunzipSync(body, limit)
+    else if (encoding === 'deflate') decoded = zlib.inflateSync(body, limit)
+    else if (encoding === 'br') decoded = zlib.brotliDecompressSync(body, limit)
+
+    if (decoded) {
+      budget.remaining -= decoded.length
+      body = decoded
+    }
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new WarcFormatError(`Decompressed responses in the WARC exceed ${MAX_DECOMPRESSED_WARC_BYTES} bytes`)
+    }
+    // Keep the stored bytes if the declared encoding is wrong
+  }
+
+  return { status, headers, body }
+}
+
+/**
+ * Group parsed WARC records into importable pages ({ url, html, charset,
+ * capturedAt, fields }, html transcoded to UTF-8). `fetchResource(url)`
+ * serves the other captured responses in safeFetch's shape, so the asset
+ * inliner can rebuild self-contained snapshots offline.
+ */
+function readWarcPages(records) {
+  const resources = new Map()
+  const metadataByRecordId = new Map()
+  const pages = []
+  // Shared by every record's Content-Encoding, like parseWarc's limit on the file
+  const budget = { remaining: MAX_DECOMPRESSED_WARC_BYTES }
+
+  for (const record of records) {
+    const type = record.headers['warc-type']
+    // WARC/1.0 writers sometimes wrap the URI in angle brackets
+    const targetUri = (record.headers['warc-target-uri'] || '').replace(/^<(.*)>$/, '$1')
+
+    if (type === 'metadata' && record.headers['warc-refers-to']) {
+      metadataByRecordId.set(record.headers['warc-refers-to'], parseWarcFields(record.block.toString('utf8')))
+      continue
+    }
+
+    if (!/^https?:\/\//i.test(targetUri)) continue
+
+    let response = null
+    if (type === 'response') {
+      response = parseHttpResponse(record.block, budget)
+    } else if (type === 'resource') {
+      response = { status: 200, headers: { 'content-type': record.headers['content-type'] || '' }, body: record.block }
+    }
+    if (!response) continue
+
+    const resource = { ...response, url: targetUri, recordId: record.headers['warc-record-id'], date: record.headers['warc-date'] }
+    if (!resources.has(targetUri) || (response.status >= 200 && response.status < 300)) {
+      resources.set(targetUri, resource)
+    }
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+    if (response.status === 200 && (contentType === 'text/html' || contentType === 'application/xhtml+xml')) {
+      pages.push(resource)
+    }
+  }
+
+  async function fetchResource(url) {
+    const resource = resources.get(url)
+    if (!resource) {
+      return { ok: false, status: 404, statusText: 'Not in WARC', url, headers: {}, body: Buffer.alloc(0) }
+    }
+
+    return {
+      ok: resource.status >= 200 && resource.status < 300,
+      status: resource.status,
+      url,
+      headers: resource.headers,
+      body: resource.body
+    }
+  }
+
+  return {
+    pages: pages.map(page => {
+      const { text, charset } = decodeBody(page.body, page.headers['content-type'])
+      return {
+        url: page.url,
+        html: text,
+        charset,
+        capturedAt: page.date || null,
+        fields: metadataByRecordId.get(page.recordId) || {}
+      }
+    }),
+    fetchResource
+  }
+}
+
+module.exports = {
+  WarcFormatError,
+  createWarcinfoRecord,
+  buildArchiveWarcRecords,
+  parseWarc,
+  readWarcPages
+}
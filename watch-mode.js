@@ -0,0 +1,273 @@
+const EventEmitter = require('events')
+const { capturePage, buildArchiveRecord } = require('./capture')
+const { addArchiveVersion, listArchiveVersions, getArchiveVersion, diffArchiveVersions } = require('./archive-versions')
+const { substantiveText, contentSimilarity } = require('./content-comparison')
+const { uploadOriginalFile } = require('./original-files')
+
+// Watch mode: re-capture watched archives on an interval and store a new
+// version when the page really changed. Watches live on the archives row
+// (watch_interval_minutes, null when not watched; watch_threshold;
+// watch_next_at; watch_last_checked_at; watch_last_error). Each detected
+// change is stored in `archive_change_events` (id, archive_id, user_id,
+// from_version, to_version, change_score, summary, created_at; archive_id
+// cascades on delete) and emitted as a 'change' event on `watchEvents`.
+
+const DEFAULT_WATCH_OPTIONS = {
+  batchSize: parseInt(process.env.WATCH_BATCH_SIZE) || 20,
+  changeThreshold: parseFloat(process.env.WATCH_CHANGE_THRESHOLD) || 0.05,
+  minIntervalMinutes: parseInt(process.env.WATCH_MIN_INTERVAL_MINUTES) || 60
+}
+
+const MAX_INTERVAL_MINUTES = 60 * 24 * 365
+
+// Lines of added and removed text quoted in a change summary
+const SUMMARY_LINES = 5
+const SUMMARY_LINE_LENGTH = 200
+
+// Emits ('change', event, archive) whenever a watched page changes
+const watchEvents = new EventEmitter()
+
+/**
+ * Parse a watch request body ({ interval_minutes, threshold }) into
+ * { settings } or { error }.
+ */
+function parseWatchSettings(body, options = {}) {
+  const { minIntervalMinutes } = { ...DEFAULT_WATCH_OPTIONS, ...options }
+
+  const intervalMinutes = parseInt(body.interval_minutes)
+  if (!intervalMinutes || intervalMinutes < minIntervalMinutes || intervalMinutes > MAX_INTERVAL_MINUTES) {
+    return { error: `interval_minutes must be between ${minIntervalMinutes} and ${MAX_INTERVAL_MINUTES}` }
+  }
+
+  let threshold = null
+  if (body.threshold !== undefined && body.threshold !== null) {
+    threshold = Number(body.threshold)
+    if (!(threshold > 0 && threshold <= 1)) {
+      return { error: 'threshold must be a number above 0 and at most 1' }
+    }
+  }
+
+  return { settings: { intervalMinutes, threshold } }
+}
+
+/**
+ * Start (or update) watching an archive. The first check happens one
+ * interval from now. Resolves to the updated archive row.
+ */
+async function setArchiveWatch(supabase, archive, settings) {
+  const { data, error } = await supabase
+    .from('archives')
+    .update({
+      watch_interval_minutes: settings.intervalMinutes,
+      watch_threshold: settings.threshold,
+      watch_next_at: new Date(Date.now() + settings.intervalMinutes * 60 * 1000).toISOString(),
+      watch_last_error: null
+    })
+    .eq('id', archive.id)
+    .select('id, url, title, watch_interval_minutes, watch_threshold, watch_next_at, watch_last_checked_at')
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Stop watching an archive
+ */
+async function clearArchiveWatch(supabase, archive) {
+  const { error } = await supabase
+    .from('archives')
+    .update({ watch_interval_minutes: null, watch_threshold: null, watch_next_at: null, watch_last_error: null })
+    .eq('id', archive.id)
+
+  if (error) throw error
+}
+
+/**
+ * How much a page changed between two captures, from 0 (no change) to 1
+ * (nothing in common). Only substantive blocks are compared, so datelines,
+ * navigation and related-story churn don't count; figures do.
+ */
+function changeScore(previous, current) {
+  const previousText = substantiveText(previous.archived_markdown || previous.archived_text)
+  const currentText = substantiveText(current.archived_markdown || current.archived_text)
+  return 1 - contentSimilarity(previousText, currentText, { maskNumbers: false })
+}
+
+/**
+ * Summarize a change for notifications: counts plus a few of the lines that
+ * were added and removed
+ */
+function summarizeChange(fromVersion, toVersion, score) {
+  const diff = diffArchiveVersions(fromVersion, toVersion, 'text')
+  const changedLines = prefix => diff.diff
+    .split('\n')
+    .filter(line => line.startsWith(prefix) && !line.startsWith(prefix.repeat(3)) && line.length > 1)
+    .slice(0, SUMMARY_LINES)
+    .map(line => line.substring(1, SUMMARY_LINE_LENGTH + 1))
+
+  return {
+    change_score: Math.round(score * 1000) / 1000,
+    title_changed: fromVersion.title !== toVersion.title,
+    previous_title: fromVersion.title,
+    title: toVersion.title,
+    lines_added: diff.added,
+    lines_removed: diff.removed,
+    added: changedLines('+'),
+    removed: changedLines('-')
+  }
+}
+
+/**
+ * Re-capture a watched archive and store a new version if the page changed
+ * past its threshold. Capture failures are recorded on the archive rather
+ * than thrown. Resolves to { changed, change_score, event, error }.
+ */
+async function checkWatchedArchive(supabase, archive, options = {}) {
+  const { changeThreshold } = { ...DEFAULT_WATCH_OPTIONS, ...options }
+  const checkedAt = new Date()
+  const schedule = {
+    watch_last_checked_at: checkedAt.toISOString(),
+    watch_next_at: new Date(checkedAt.getTime() + (archive.watch_interval_minutes || 0) * 60 * 1000).toISOString()
+  }
+
+  let outcome
+  try {
+    const captured = await capturePage(archive.url)
+    const record = buildArchiveRecord(captured, { userId: archive.user_id, url: archive.url, tags: archive.tags })
+
+    const [latestSummary] = await listArchiveVersions(supabase, archive)
+    const latest = await getArchiveVersion(supabase, archive, latestSummary.version_number)
+    const score = changeScore(latest, record)
+
+    outcome = { changed: false, change_score: Math.round(score * 1000) / 1000, event: null, error: null }
+
+    if (score >= (archive.watch_threshold ?? changeThreshold)) {
+      record.original_file_url = await uploadOriginalFile(supabase, archive.id, captured.originalFile)
+      const result = await addArchiveVersion(supabase, archive, record)
+
+      if (result.changed) {
+        const toVersion = { ...record, ...result.version }
+        const { data: event, error } = await supabase
+          .from('archive_change_events')
+          .insert({
+            archive_id: archive.id,
+            user_id: archive.user_id,
+            from_version: latest.version_number,
+            to_version: result.version.version_number,
+            change_score: outcome.change_score,
+            summary: summarizeChange(latest, toVersion, score)
+          })
+          .select()
+          .single()
+
+        if (error) throw error
+
+        outcome = { ...outcome, changed: true, event }
+        console.log(`👀 Watched page changed (${outcome.change_score}): ${archive.url}`)
+        watchEvents.emit('change', event, result.archive)
+      }
+    }
+
+    schedule.watch_last_error = null
+  } catch (error) {
+    console.error(`Watch check failed for ${archive.url}:`, error.message)
+    outcome = { changed: false, change_score: null, event: null, error: error.message }
+    schedule.watch_last_error = error.message
+  }
+
+  const { error: scheduleError } = await supabase
+    .from('archives')
+    .update(schedule)
+    .eq('id', archive.id)
+
+  if (scheduleError) throw scheduleError
+  return outcome
+}
+
+/**
+ * Check every watched archive that is due, one at a time.
+ * Resolves to { checked, changed, failed }.
+ */
+async function runWatchChecks(supabase, options = {}) {
+  const { batchSize } = { ...DEFAULT_WATCH_OPTIONS, ...options }
+
+  // Only ids here; full rows (with their archived HTML) are loaded one by one
+  const { data: due, error } = await supabase
+    .from('archives')
+    .select('id')
+    .not('watch_interval_minutes', 'is', null)
+    .lte('watch_next_at', new Date().toISOString())
+    .order('watch_next_at', { ascending: true })
+    .limit(batchSize)
+
+  if (error) throw error
+
+  const totals = { checked: 0, changed: 0, failed: 0 }
+  for (const { id } of due || []) {
+    const { data: archive, error: loadError } = await supabase
+      .from('archives')
+      .select('*')
+      .eq('id', id)
+      .single()
+
+    if (loadError) {
+      if (loadError.code === 'PGRST116') continue
+      throw loadError
+    }
+
+    const outcome = await checkWatchedArchive(supabase, archive, options)
+    totals.checked++
+    if (outcome.changed) totals.changed++
+    if (outcome.error) totals.failed++
+  }
+
+  return totals
+}
+
+/**
+ * The user's watched archives, next check first
+ */
+async function listWatchedArchives(supabase, userId) {
+  const { data, error } = await supabase
+    .from('archives')
+    .select('id, url, title, watch_interval_minutes, watch_threshold, watch_next_at, watch_last_checked_at, watch_last_error, version_count')
+    .eq('user_id', userId)
+    .not('watch_interval_minutes', 'is', null)
+    .order('watch_next_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * The user's change events, newest first, optionally for one archive
+ */
+async function listChangeEvents(supabase, userId, options = {}) {
+  const { archiveId, since, limit = 50, offset = 0 } = options
+
+  let query = supabase
+    .from('archive_change_events')
+    .select('*, archives(url, title)')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1)
+
+  if (archiveId) query = query.eq('archive_id', archiveId)
+  if (since) query = query.gte('created_at', since)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+module.exports = {
+  watchEvents,
+  parseWatchSettings,
+  setArchiveWatch,
+  clearArchiveWatch,
+  checkWatchedArchive,
+  runWatchChecks,
+  listWatchedArchives,
+  listChangeEvents
+}